@@ -0,0 +1,17 @@
+// Dev server proxy configuration, see
+// https://angular.io/guide/build#proxying-to-a-backend-server
+//
+// Starts the mock server-to-server push API (scripts/mock-push-api.js) inside
+// `ng serve` and serves it on the harness origin. Add proxies for your own
+// backends here, e.g. the issuer backend webhook.
+
+const { MOCK_PUSH_API_PATH, startMockPushApi } = require('./scripts/mock-push-api');
+
+const sessionTtlMs = Number(process.env.MOCK_PUSH_API_SESSION_TTL_MS) || undefined;
+
+module.exports = startMockPushApi({ sessionTtlMs }).then(({ url }) => ({
+  [MOCK_PUSH_API_PATH]: {
+    target: url,
+    logLevel: 'info'
+  }
+}));
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * Generates sessions without a browser window: opens the harness's /generate
+ * route in headless Chrome, which launches each option set against the local
+ * mock app window and POSTs the onSessionCreated and outcome payloads back to
+ * a server started here. If nothing answers at --url, the harness is served
+ * with `ng serve` for the run, on the port that --url names, and stopped
+ * afterwards.
+ *
+ *   npm run generate-sessions -- [--options <file or JSON array>]
+ *       [--scenario <mock scenario id>] [--url <harness URL>]
+ *       [--out <file>] [--timeout <seconds>]
+ *
+ * Option sets are partial launch options applied over the defaults, as in the
+ * batch runner. The report is printed as JSON, or written to --out.
+ *
+ * Exit codes: 0 when every launch succeeded, 1 when one did not, and 2 when
+ * no report arrived (bad arguments, Chrome missing, harness not started or
+ * timed out).
+ *
+ * Chrome is found the way `ng test` finds it: CHROME_BIN, or the default
+ * install location known to karma-chrome-launcher.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const USAGE = 'Usage: generate-sessions [--options <file or JSON array>] [--scenario <id>] ' +
+  '[--url <harness URL>] [--out <file>] [--timeout <seconds>]\n' +
+  'The harness is served for the run unless it already answers at --url.';
+
+/** How often to check whether `ng serve` has started answering. */
+const SERVE_POLL_INTERVAL_MS = 1000;
+
+const DEFAULTS = {
+  options: '[{}]',
+  scenario: 'success',
+  url: 'http://localhost:3000',
+  out: '',
+  timeout: '120'
+};
+
+class UsageError extends Error {}
+
+/**
+ * @param {string[]} argv
+ * @return {typeof DEFAULTS}
+ */
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!argv[i].startsWith('--') || !(name in args) || argv[i + 1] === undefined) {
+      throw new UsageError(`Unexpected argument '${argv[i]}'.`);
+    }
+    args[/** @type {keyof typeof DEFAULTS} */ (name)] = argv[i + 1];
+  }
+  if (!(Number(args.timeout) > 0)) {
+    throw new UsageError('--timeout must be a positive number of seconds.');
+  }
+  return args;
+}
+
+/**
+ * @param {string} options A JSON array, or the path of a file holding one.
+ * @return {string} The JSON, checked to be an array of objects.
+ */
+function readOptionSets(options) {
+  const json = options.trim().startsWith('[') ? options : fs.readFileSync(options, 'utf8');
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch (error) {
+    throw new UsageError(`--options is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(list) || list.some(entry => typeof entry !== 'object' || entry === null || Array.isArray(entry))) {
+    throw new UsageError('--options must be a JSON array of option objects.');
+  }
+  return JSON.stringify(list);
+}
+
+/** @return {string} */
+function findChrome() {
+  if (process.env.CHROME_BIN) {
+    return process.env.CHROME_BIN;
+  }
+  const launcher = require('karma-chrome-launcher')['launcher:ChromeHeadless'][1];
+  const command = launcher.prototype.DEFAULT_CMD[process.platform];
+  if (!command) {
+    throw new Error('Chrome was not found. Set CHROME_BIN to its executable.');
+  }
+  return command;
+}
+
+/**
+ * Listens on a free local port for the report that the /generate route POSTs.
+ *
+ * @return {Promise<{server: http.Server, reportUrl: string, report: Promise<any>}>}
+ */
+function startReportServer() {
+  /** @type {(report: any) => void} */
+  let resolveReport = () => {};
+  const report = new Promise(resolve => resolveReport = resolve);
+  const server = http.createServer((request, response) => {
+    // The harness is served from another origin, so answer the CORS preflight.
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'POST');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+    if (request.method !== 'POST' || request.url !== '/report') {
+      response.writeHead(404).end();
+      return;
+    }
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => body += chunk);
+    request.on('end', () => {
+      try {
+        resolveReport(JSON.parse(body));
+        response.writeHead(204).end();
+      } catch {
+        response.writeHead(400).end();
+      }
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const address = /** @type {import('net').AddressInfo} */ (server.address());
+      resolve({ server, reportUrl: `http://127.0.0.1:${address.port}/report`, report });
+    });
+  });
+}
+
+/**
+ * @param {string} url
+ * @return {Promise<boolean>} Whether anything answers at the URL.
+ */
+function isServed(url) {
+  return new Promise(resolve => {
+    http.get(url, response => {
+      response.resume();
+      resolve(true);
+    }).on('error', () => resolve(false));
+  });
+}
+
+/**
+ * Serves the harness with `ng serve` unless it already answers at the URL,
+ * and waits until it does.
+ *
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @return {Promise<import('child_process').ChildProcess | null>} The `ng serve`
+ *     process to stop afterwards, or null if the harness was already served.
+ */
+async function serveHarness(url, timeoutMs) {
+  if (await isServed(url)) {
+    return null;
+  }
+  const { hostname, port } = new URL(url);
+  if (!['localhost', '127.0.0.1'].includes(hostname) || !port) {
+    throw new Error(`Nothing answers at ${url}, and only a harness on a local port can be served from here.`);
+  }
+  console.error(`Serving the harness at ${url} with ng serve...`);
+  const ng = spawn(process.execPath, [require.resolve('@angular/cli/bin/ng.js'), 'serve', '--port', port], {
+    cwd: path.join(__dirname, '..'),
+    stdio: 'ignore'
+  });
+  /** @type {number | null} */
+  let exitCode = null;
+  ng.once('exit', code => exitCode = code ?? -1);
+  const deadline = Date.now() + timeoutMs;
+  while (!(await isServed(url))) {
+    if (exitCode !== null || Date.now() > deadline) {
+      ng.kill();
+      throw new Error(exitCode === null ?
+        `ng serve did not answer at ${url} within ${timeoutMs / 1000} s.` :
+        `ng serve exited with code ${exitCode} before answering at ${url}.`);
+    }
+    await new Promise(resolve => setTimeout(resolve, SERVE_POLL_INTERVAL_MS));
+  }
+  return ng;
+}
+
+/**
+ * @param {string} chrome
+ * @param {string} url
+ * @param {string} userDataDir
+ */
+function launchChrome(chrome, url, userDataDir) {
+  const flags = [
+    '--headless=new',
+    '--disable-gpu',
+    '--disable-popup-blocking',
+    '--no-first-run',
+    '--no-default-browser-check',
+    `--user-data-dir=${userDataDir}`
+  ];
+  // Chrome refuses to start as root, e.g. in CI containers, unless sandboxing is off.
+  if (process.getuid && process.getuid() === 0) {
+    flags.push('--no-sandbox');
+  }
+  return spawn(chrome, [...flags, url], { stdio: 'ignore' });
+}
+
+/**
+ * @param {typeof DEFAULTS} args
+ * @return {Promise<any>} The report posted by the /generate route.
+ */
+async function generate(args) {
+  const optionSets = readOptionSets(args.options);
+  const chrome = findChrome();
+
+  const harness = await serveHarness(args.url, Number(args.timeout) * 1000);
+  try {
+    return await generateWithHarness(args, optionSets, chrome);
+  } finally {
+    harness?.kill();
+  }
+}
+
+/**
+ * @param {typeof DEFAULTS} args
+ * @param {string} optionSets
+ * @param {string} chrome
+ * @return {Promise<any>} The report posted by the /generate route.
+ */
+async function generateWithHarness(args, optionSets, chrome) {
+  const { server, reportUrl, report } = await startReportServer();
+  const generateUrl = new URL('/generate', args.url);
+  generateUrl.search = new URLSearchParams({ options: optionSets, scenario: args.scenario, report: reportUrl }).toString();
+
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'google-pay-push-'));
+  const browser = launchChrome(chrome, generateUrl.toString(), userDataDir);
+  /** @type {NodeJS.Timeout | undefined} */
+  let timer;
+  try {
+    return await Promise.race([
+      report,
+      new Promise((_, reject) => {
+        browser.once('error', error => reject(new Error(`Could not start Chrome (${chrome}): ${error.message}`)));
+        browser.once('exit', code => reject(new Error(`Chrome exited with code ${code} before reporting.`)));
+      }),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`No report from the harness at ${args.url} within ${args.timeout} s.`)),
+          Number(args.timeout) * 1000);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+    browser.removeAllListeners('exit');
+    browser.kill();
+    server.close();
+    // Chrome may still hold files in its profile for a moment after the kill.
+    setTimeout(() => fs.rmSync(userDataDir, { recursive: true, force: true, maxRetries: 3 }), 500);
+  }
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const report = await generate(args);
+    const json = `${JSON.stringify(report, null, 2)}\n`;
+    if (args.out) {
+      fs.writeFileSync(args.out, json);
+    } else {
+      process.stdout.write(json);
+    }
+    if (report.error) {
+      console.error(report.error);
+    }
+    process.exitCode = report.ok ? 0 : 1;
+  } catch (error) {
+    console.error(error.message);
+    if (error instanceof UsageError) {
+      console.error(USAGE);
+    }
+    process.exitCode = 2;
+  }
+}
+
+main();
@@ -0,0 +1,315 @@
+// @ts-check
+/**
+ * Local stand-in for the server-to-server push provisioning API. After
+ * onSessionCreated, an issuer backend pushes the card credentials for the
+ * serverSessionId, and only then does the app window report the outcome.
+ *
+ * proxy.conf.js starts this inside `ng serve` and proxies MOCK_PUSH_API_PATH
+ * to it, so the harness origin serves:
+ *
+ *   POST /mock-push-api/sessions
+ *       Registers a session. The mock app window calls this before it sends
+ *       sessionCreated in a scenario with an 'awaitPush' step. Answers 201, or
+ *       409 if the serverSessionId is already registered.
+ *   POST /mock-push-api/sessions/{serverSessionId}/push
+ *       The issuer backend's push, e.g.
+ *       {"token": {"tokenReferenceId": "DNITHE...", "network": "VISA"},
+ *        "card": {"fpan": "4111111111111111", "expiryMonth": 12,
+ *                 "expiryYear": 2030}}
+ *       Push a token if and only if the session's tokenSetting is '1', and a
+ *       card if and only if its cardSetting is '1'. Answers 200 with the
+ *       outcome, 400 with the problems found (the window then reports
+ *       failure), 404 for an unknown session, 409 if the session already has
+ *       an outcome, and 410 once the session has expired.
+ *   GET /mock-push-api/sessions/{serverSessionId}
+ *       The session's state, polled by the mock app window: 'pending',
+ *       'success', 'failure' or 'expired', with the message to send.
+ *
+ * Sessions expire MOCK_PUSH_API_SESSION_TTL_MS (default ten minutes) after
+ * they are registered, and are kept in memory only.
+ */
+
+const http = require('http');
+
+const MOCK_PUSH_API_PATH = '/mock-push-api';
+const DEFAULT_SESSION_TTL_MS = 10 * 60 * 1000;
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * @typedef {{code: string, message: string}} PushProblem
+ * @typedef {{action: 'success' | 'failure', payload: Object<string, *>}} PushOutcome
+ * @typedef {{
+ *   serverSessionId: string,
+ *   clientSessionId: string,
+ *   tokenSetting: string,
+ *   cardSetting: string,
+ *   registeredAt: number,
+ *   expiresAt: number,
+ *   outcome: (PushOutcome | null),
+ * }} PushSession
+ */
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Checks a push against the session it is for.
+ *
+ * @param {PushSession} session
+ * @param {*} body The parsed request body.
+ * @param {number} now Epoch milliseconds, to tell expired cards.
+ * @return {!Array<PushProblem>} Empty if the push is valid.
+ */
+function validatePush(session, body, now) {
+  if (!isObject(body)) {
+    return [{ code: 'INVALID_BODY', message: 'The body must be a JSON object.' }];
+  }
+  /** @type {!Array<PushProblem>} */
+  const problems = [];
+  if (body.token === undefined && body.card === undefined && session.tokenSetting !== '1' &&
+      session.cardSetting !== '1') {
+    problems.push({ code: 'MISSING_CREDENTIALS', message: 'Push a token, a card, or both.' });
+  }
+
+  if (body.token === undefined) {
+    if (session.tokenSetting === '1') {
+      problems.push({ code: 'MISSING_TOKEN', message: 'The session was created with tokenSetting 1, but no token was pushed.' });
+    }
+  } else if (session.tokenSetting !== '1') {
+    problems.push({ code: 'TOKEN_NOT_REQUESTED', message: 'The session was created with tokenSetting 0.' });
+  } else if (!isObject(body.token) || !isNonEmptyString(body.token.tokenReferenceId) ||
+      !isNonEmptyString(body.token.network)) {
+    problems.push({ code: 'INVALID_TOKEN', message: 'token needs non-empty tokenReferenceId and network strings.' });
+  }
+
+  const card = body.card;
+  const today = new Date(now);
+  if (card === undefined) {
+    if (session.cardSetting === '1') {
+      problems.push({ code: 'MISSING_CARD', message: 'The session was created with cardSetting 1, but no card was pushed.' });
+    }
+  } else if (session.cardSetting !== '1') {
+    problems.push({ code: 'CARD_NOT_REQUESTED', message: 'The session was created with cardSetting 0.' });
+  } else if (!isObject(card) || typeof card.fpan !== 'string' || !/^\d{12,19}$/.test(card.fpan) ||
+      !Number.isInteger(card.expiryMonth) || card.expiryMonth < 1 || card.expiryMonth > 12 ||
+      !Number.isInteger(card.expiryYear) || card.expiryYear < 1000 || card.expiryYear > 9999) {
+    problems.push({
+      code: 'INVALID_CARD',
+      message: 'card needs an fpan of 12 to 19 digits, an expiryMonth from 1 to 12 and a four-digit expiryYear.'
+    });
+  } else if (card.expiryYear * 12 + card.expiryMonth < today.getUTCFullYear() * 12 + today.getUTCMonth() + 1) {
+    problems.push({ code: 'CARD_EXPIRED', message: `The card expired in ${card.expiryMonth}/${card.expiryYear}.` });
+  }
+  return problems;
+}
+
+/**
+ * The message the app window sends once a push was received: success with a
+ * result for each pushed part, or failure with one error per problem.
+ *
+ * @param {*} body
+ * @param {!Array<PushProblem>} problems
+ * @return {PushOutcome}
+ */
+function toPushOutcome(body, problems) {
+  if (problems.length) {
+    return {
+      action: 'failure',
+      payload: { errors: problems.map(problem => ({ errorCode: `MOCK_PUSH_${problem.code}` })) }
+    };
+  }
+  return {
+    action: 'success',
+    payload: {
+      tokenResult: body.token ? 'SUCCESS' : '',
+      cardResult: body.card ? 'SUCCESS' : '',
+      debugInfo: { mockPushApi: true }
+    }
+  };
+}
+
+/**
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {*} body
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(`${JSON.stringify(body)}\n`);
+}
+
+/**
+ * @param {http.IncomingMessage} request
+ * @return {Promise<*>} The parsed body; undefined if it is not JSON.
+ */
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('The body is too large.'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        resolve(undefined);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * @param {{sessionTtlMs?: number, now?: () => number}=} options
+ * @return {(request: http.IncomingMessage, response: http.ServerResponse) => void}
+ */
+function createMockPushApi({ sessionTtlMs = DEFAULT_SESSION_TTL_MS, now = Date.now } = {}) {
+  /** @type {!Map<string, PushSession>} */
+  const sessions = new Map();
+
+  /**
+   * @param {PushSession} session
+   * @return {*} What GET returns for the session.
+   */
+  const describe = session => {
+    if (session.outcome) {
+      return { state: session.outcome.action, expiresAt: session.expiresAt, outcome: session.outcome };
+    }
+    if (now() >= session.expiresAt) {
+      return {
+        state: 'expired',
+        expiresAt: session.expiresAt,
+        outcome: { action: 'failure', payload: { errors: [{ errorCode: 'MOCK_PUSH_SESSION_EXPIRED' }] } }
+      };
+    }
+    return { state: 'pending', expiresAt: session.expiresAt };
+  };
+
+  /**
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  const handle = async (request, response) => {
+    const url = new URL(request.url || '/', 'http://localhost');
+    const [collection, serverSessionId, push, ...rest] =
+      url.pathname.slice(MOCK_PUSH_API_PATH.length).split('/').filter(Boolean).map(decodeURIComponent);
+    if (!url.pathname.startsWith(`${MOCK_PUSH_API_PATH}/`) || collection !== 'sessions' || rest.length ||
+        (push !== undefined && push !== 'push')) {
+      sendJson(response, 404, { error: 'NOT_FOUND' });
+      return;
+    }
+
+    if (serverSessionId === undefined) {
+      if (request.method !== 'POST') {
+        sendJson(response, 405, { error: 'METHOD_NOT_ALLOWED' });
+        return;
+      }
+      const body = await readJson(request);
+      if (!isObject(body) || !isNonEmptyString(body.serverSessionId)) {
+        sendJson(response, 400, { error: 'INVALID_SESSION', message: 'serverSessionId must be a non-empty string.' });
+        return;
+      }
+      for (const [id, stale] of sessions) {
+        if (now() >= stale.expiresAt + sessionTtlMs) {
+          sessions.delete(id);
+        }
+      }
+      const existing = sessions.get(body.serverSessionId);
+      if (existing) {
+        sendJson(response, 409, { error: 'SESSION_EXISTS', ...describe(existing) });
+        return;
+      }
+      /** @type {PushSession} */
+      const session = {
+        serverSessionId: body.serverSessionId,
+        clientSessionId: String(body.clientSessionId ?? ''),
+        tokenSetting: String(body.tokenSetting ?? '0'),
+        cardSetting: String(body.cardSetting ?? '0'),
+        registeredAt: now(),
+        expiresAt: now() + sessionTtlMs,
+        outcome: null
+      };
+      sessions.set(session.serverSessionId, session);
+      sendJson(response, 201, describe(session));
+      return;
+    }
+
+    const session = sessions.get(serverSessionId);
+    if (!session) {
+      sendJson(response, 404, { error: 'UNKNOWN_SESSION', message: `No session ${serverSessionId} is registered.` });
+      return;
+    }
+    if (push === undefined) {
+      if (request.method !== 'GET') {
+        sendJson(response, 405, { error: 'METHOD_NOT_ALLOWED' });
+        return;
+      }
+      sendJson(response, 200, describe(session));
+      return;
+    }
+
+    if (request.method !== 'POST') {
+      sendJson(response, 405, { error: 'METHOD_NOT_ALLOWED' });
+      return;
+    }
+    if (session.outcome) {
+      sendJson(response, 409, { error: 'ALREADY_PUSHED', outcome: session.outcome });
+      return;
+    }
+    if (now() >= session.expiresAt) {
+      sendJson(response, 410, { error: 'SESSION_EXPIRED', expiresAt: session.expiresAt });
+      return;
+    }
+    const body = await readJson(request);
+    const problems = validatePush(session, body, now());
+    session.outcome = toPushOutcome(body, problems);
+    if (problems.length) {
+      sendJson(response, 400, { error: 'INVALID_PUSH', problems });
+    } else {
+      sendJson(response, 200, { outcome: session.outcome });
+    }
+  };
+
+  return (request, response) => {
+    handle(request, response).catch(error => sendJson(response, 400, { error: 'BAD_REQUEST', message: error.message }));
+  };
+}
+
+/**
+ * Serves the mock on a free local port, for the dev server to proxy to.
+ *
+ * @param {{sessionTtlMs?: number}=} options
+ * @return {Promise<{server: http.Server, url: string}>}
+ */
+function startMockPushApi(options) {
+  const server = http.createServer(createMockPushApi(options));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const address = /** @type {import('net').AddressInfo} */ (server.address());
+      // Do not keep `ng serve` (or anything else) running just for the mock.
+      server.unref();
+      resolve({ server, url: `http://127.0.0.1:${address.port}` });
+    });
+  });
+}
+
+module.exports = { MOCK_PUSH_API_PATH, createMockPushApi, startMockPushApi, toPushOutcome, validatePush };
@@ -0,0 +1,145 @@
+// @ts-check
+/**
+ * Run with `npm run test:scripts`. Karma only loads the app's specs, so the
+ * Node scripts are tested with Node's own test runner.
+ */
+
+const assert = require('assert/strict');
+const http = require('http');
+const { after, before, describe, it } = require('node:test');
+const { createMockPushApi, MOCK_PUSH_API_PATH, toPushOutcome, validatePush } = require('./mock-push-api');
+
+const NOW = Date.UTC(2026, 5, 15);
+const TOKEN = { tokenReferenceId: 'DNITHE000000000000000001', network: 'VISA' };
+const CARD = { fpan: '4111111111111111', expiryMonth: 12, expiryYear: 2030 };
+
+/**
+ * @param {string} tokenSetting
+ * @param {string} cardSetting
+ * @return {import('./mock-push-api').PushSession}
+ */
+function makeSession(tokenSetting, cardSetting) {
+  return {
+    serverSessionId: 'ssid',
+    clientSessionId: 'csid',
+    tokenSetting,
+    cardSetting,
+    registeredAt: NOW,
+    expiresAt: NOW + 60000,
+    outcome: null
+  };
+}
+
+/**
+ * @param {import('./mock-push-api').PushSession} session
+ * @param {*} body
+ * @return {!Array<string>}
+ */
+function problemCodes(session, body) {
+  return validatePush(session, body, NOW).map(problem => problem.code);
+}
+
+describe('validatePush', () => {
+  it('accepts every part that the session requested', () => {
+    assert.deepEqual(problemCodes(makeSession('1', '1'), { token: TOKEN, card: CARD }), []);
+    assert.deepEqual(problemCodes(makeSession('1', '0'), { token: TOKEN }), []);
+    assert.deepEqual(problemCodes(makeSession('0', '1'), { card: CARD }), []);
+  });
+
+  it('flags requested parts that were not pushed', () => {
+    assert.deepEqual(problemCodes(makeSession('1', '1'), { card: CARD }), ['MISSING_TOKEN']);
+    assert.deepEqual(problemCodes(makeSession('1', '1'), { token: TOKEN }), ['MISSING_CARD']);
+    assert.deepEqual(problemCodes(makeSession('1', '1'), {}), ['MISSING_TOKEN', 'MISSING_CARD']);
+    assert.deepEqual(problemCodes(makeSession('0', '0'), {}), ['MISSING_CREDENTIALS']);
+  });
+
+  it('flags parts that were not requested', () => {
+    assert.deepEqual(problemCodes(makeSession('0', '1'), { token: TOKEN, card: CARD }), ['TOKEN_NOT_REQUESTED']);
+    assert.deepEqual(problemCodes(makeSession('1', '0'), { token: TOKEN, card: CARD }), ['CARD_NOT_REQUESTED']);
+  });
+
+  it('flags malformed bodies, tokens and cards', () => {
+    assert.deepEqual(problemCodes(makeSession('1', '1'), undefined), ['INVALID_BODY']);
+    assert.deepEqual(problemCodes(makeSession('1', '1'), [TOKEN]), ['INVALID_BODY']);
+    assert.deepEqual(problemCodes(makeSession('1', '1'), { token: { ...TOKEN, network: ' ' }, card: CARD }), ['INVALID_TOKEN']);
+    assert.deepEqual(problemCodes(makeSession('1', '1'), { token: TOKEN, card: { ...CARD, fpan: '4111 1111' } }), ['INVALID_CARD']);
+    assert.deepEqual(problemCodes(makeSession('1', '1'), { token: TOKEN, card: { ...CARD, expiryMonth: '12' } }), ['INVALID_CARD']);
+  });
+
+  it('flags cards that expired before the current month', () => {
+    assert.deepEqual(problemCodes(makeSession('0', '1'), { card: { ...CARD, expiryMonth: 5, expiryYear: 2026 } }), ['CARD_EXPIRED']);
+    assert.deepEqual(problemCodes(makeSession('0', '1'), { card: { ...CARD, expiryMonth: 6, expiryYear: 2026 } }), []);
+  });
+});
+
+describe('toPushOutcome', () => {
+  it('reports a result for each pushed part', () => {
+    assert.deepEqual(toPushOutcome({ token: TOKEN }, []), {
+      action: 'success',
+      payload: { tokenResult: 'SUCCESS', cardResult: '', debugInfo: { mockPushApi: true } }
+    });
+    assert.deepEqual(toPushOutcome({ token: TOKEN, card: CARD }, []).payload.cardResult, 'SUCCESS');
+  });
+
+  it('reports one error per problem', () => {
+    const problems = validatePush(makeSession('1', '1'), { card: { ...CARD, fpan: 'x' } }, NOW);
+
+    assert.deepEqual(toPushOutcome({}, problems), {
+      action: 'failure',
+      payload: { errors: [{ errorCode: 'MOCK_PUSH_MISSING_TOKEN' }, { errorCode: 'MOCK_PUSH_INVALID_CARD' }] }
+    });
+  });
+});
+
+describe('createMockPushApi', () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {string} */
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer(createMockPushApi({ now: () => NOW }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+    const address = /** @type {import('net').AddressInfo} */ (server.address());
+    baseUrl = `http://127.0.0.1:${address.port}${MOCK_PUSH_API_PATH}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  /**
+   * @param {string} path
+   * @param {*=} body
+   * @return {Promise<{status: number, body: *}>}
+   */
+  async function request(path, body) {
+    const response = await fetch(`${baseUrl}${path}`, body === undefined ? {} : {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('fails a push that leaves out the requested token', async () => {
+    await request('/sessions', { serverSessionId: 'card-only', tokenSetting: '1', cardSetting: '1' });
+
+    const push = await request('/sessions/card-only/push', { card: CARD });
+
+    assert.equal(push.status, 400);
+    assert.deepEqual(push.body.problems.map(problem => problem.code), ['MISSING_TOKEN']);
+    assert.equal((await request('/sessions/card-only')).body.state, 'failure');
+  });
+
+  it('rejects registering a serverSessionId twice', async () => {
+    const first = await request('/sessions', { serverSessionId: 'twice', tokenSetting: '1', cardSetting: '0' });
+    await request('/sessions/twice/push', { token: TOKEN });
+
+    const second = await request('/sessions', { serverSessionId: 'twice', tokenSetting: '0', cardSetting: '1' });
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error, 'SESSION_EXISTS');
+    assert.equal(second.body.state, 'success');
+    assert.equal((await request('/sessions/twice')).body.outcome.payload.tokenResult, 'SUCCESS');
+  });
+});
@@ -0,0 +1,39 @@
+import { Component } from '@angular/core';
+import { FormBuilder } from '@angular/forms';
+import { parseApiVersionDefinitions } from 'src/models/api-version';
+import { ApiVersionDefinition } from 'src/models/google-pay';
+import { ApiVersionService } from 'src/services/api-version.service';
+import { GooglePayService } from 'src/services/google-pay.service';
+
+@Component({
+  selector: 'app-api-version-settings',
+  templateUrl: './api-version-settings.component.html',
+  styleUrls: ['./api-version-settings.component.scss']
+})
+export class ApiVersionSettingsComponent {
+  /** The library's own version, as a starting point for new definitions. */
+  readonly builtIn: ApiVersionDefinition = this.googlePay.getApiVersions()[0];
+
+  readonly definitionsControl = this.fb.nonNullable.control(this.toJson(this.apiVersions.definitions));
+
+  saveError: string | null = null;
+  saved = false;
+
+  constructor(private fb: FormBuilder, private apiVersions: ApiVersionService, private googlePay: GooglePayService) {}
+
+  save(): void {
+    this.saved = false;
+    try {
+      this.apiVersions.save(parseApiVersionDefinitions(this.definitionsControl.value));
+    } catch (error) {
+      this.saveError = error instanceof Error ? error.message : String(error);
+      return;
+    }
+    this.saveError = null;
+    this.saved = true;
+  }
+
+  private toJson(definitions: ApiVersionDefinition[]): string {
+    return definitions.length ? JSON.stringify(definitions, null, 2) : '';
+  }
+}
@@ -1,7 +1,12 @@
 import { NgModule } from '@angular/core';
 import { RouterModule, Routes } from '@angular/router';
+import { LaunchLinkComponent } from './launch-link/launch-link.component';
+import { SessionGeneratorComponent } from './session-generator/session-generator.component';
 
-const routes: Routes = [];
+const routes: Routes = [
+  { path: 'launch', component: LaunchLinkComponent },
+  { path: 'generate', component: SessionGeneratorComponent }
+];
 
 @NgModule({
   imports: [RouterModule.forRoot(routes)],
@@ -1,16 +1,41 @@
+import { NO_ERRORS_SCHEMA } from '@angular/core';
 import { TestBed } from '@angular/core/testing';
+import { ReactiveFormsModule } from '@angular/forms';
 import { RouterTestingModule } from '@angular/router/testing';
+import { EMPTY, of, throwError } from 'rxjs';
+import { GooglePayError } from 'src/models/google-pay';
+import { LaunchLock } from 'src/models/harness-tab';
+import { LaunchOutcome } from 'src/models/profile';
+import { ApiVersionService } from 'src/services/api-version.service';
+import { LaunchLockService } from 'src/services/launch-lock.service';
+import { LaunchRequestService } from 'src/services/launch-request.service';
+import { UtilsService } from 'src/services/utils.service';
 import { AppComponent } from './app.component';
 
 describe('AppComponent', () => {
+  let utils: jasmine.SpyObj<UtilsService>;
+  let launchLock: { lockElsewhere$: unknown, lockElsewhere: LaunchLock | null };
+
   beforeEach(async () => {
+    launchLock = { lockElsewhere$: of(null), lockElsewhere: null };
+    utils = jasmine.createSpyObj<UtilsService>('UtilsService', ['openAppWindow', 'lintOptions']);
+    utils.openAppWindow.and.returnValue(EMPTY);
+    utils.lintOptions.and.returnValue([]);
+
     await TestBed.configureTestingModule({
       imports: [
-        RouterTestingModule
+        RouterTestingModule,
+        ReactiveFormsModule
       ],
       declarations: [
         AppComponent
       ],
+      providers: [
+        { provide: UtilsService, useValue: utils },
+        { provide: ApiVersionService, useValue: { versions$: of([]) } },
+        { provide: LaunchLockService, useValue: launchLock }
+      ],
+      schemas: [NO_ERRORS_SCHEMA]
     }).compileComponents();
   });
 
@@ -26,10 +51,125 @@ describe('AppComponent', () => {
     expect(app.title).toEqual('google-pay-push');
   });
 
-  it('should render title', () => {
+  it('should render the heading and the tab label', () => {
     const fixture = TestBed.createComponent(AppComponent);
     fixture.detectChanges();
     const compiled = fixture.nativeElement;
-    expect(compiled.querySelector('.content span').textContent).toContain('google-pay-push app is running!');
+    expect(compiled.querySelector('h1').textContent).toBe('Google Pay Push Provisioning test harness');
+    expect(compiled.querySelector('.harness-tab').textContent).toBe(`This is ${fixture.componentInstance.tab.label}.`);
+  });
+
+  it('should launch with the options held by the form', () => {
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+    app.launchForm.patchValue({
+      integratorId: 'ACMEISSUER_1',
+      tokenSetting: 1,
+      cardSetting: 0,
+      clientSessionId: '0476106612151453164217831917',
+      contentHeight: 800,
+      contentWidth: 1200
+    });
+
+    app.link();
+
+    expect(utils.openAppWindow).toHaveBeenCalledWith(jasmine.objectContaining({
+      integratorId: 'ACMEISSUER_1',
+      tokenSetting: 1,
+      cardSetting: 0,
+      clientSessionId: '0476106612151453164217831917',
+      contentHeight: 800,
+      contentWidth: 1200
+    }));
+  });
+
+  it('should hold back a launch while another tab has a run open', () => {
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+    launchLock.lockElsewhere = { tab: { id: 'other', label: 'Tab OTHR' }, runId: 'run-1', since: 0, heartbeatAt: Date.now() };
+
+    app.link();
+
+    expect(app.heldBackBy).toBe(launchLock.lockElsewhere);
+    expect(utils.openAppWindow).not.toHaveBeenCalled();
+
+    app.link(true);
+
+    expect(app.heldBackBy).toBeNull();
+    expect(utils.openAppWindow).toHaveBeenCalled();
+  });
+
+  it('should not launch when the integrator ID is missing', () => {
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+    app.launchForm.patchValue({ integratorId: '' });
+
+    app.link();
+
+    expect(utils.openAppWindow).not.toHaveBeenCalled();
+  });
+
+  it('should show the error code thrown by openAppWindow', () => {
+    utils.openAppWindow.and.returnValue(throwError(new GooglePayError('E411')));
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+
+    expect(app.link()).toEqual({ status: 'failed', errorCode: 'E411' });
+    expect(app.launchErrorCode).toBe('E411');
+  });
+
+  it('should tell a launch link what its launch did', () => {
+    const outcomes: LaunchOutcome[] = [];
+    TestBed.createComponent(AppComponent);
+    const launchRequests = TestBed.inject(LaunchRequestService);
+
+    launchRequests.request({ options: { integratorId: 'ACMEISSUER_1' }, launch: true, onLaunch: outcome => outcomes.push(outcome) });
+    launchRequests.request({ options: { integratorId: '' }, launch: true, onLaunch: outcome => outcomes.push(outcome) });
+    launchLock.lockElsewhere = { tab: { id: 'other', label: 'Tab OTHR' }, runId: 'run-1', since: 0, heartbeatAt: Date.now() };
+    launchRequests.request({ options: {}, launch: true, onLaunch: outcome => outcomes.push(outcome) });
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['opened', 'invalid', 'heldBack']);
+    expect(utils.openAppWindow).toHaveBeenCalledTimes(1);
+  });
+
+  it('should lint the current options as the form changes', () => {
+    const finding = { severity: 'warning' as const, option: 'contentHeight', message: 'contentHeight 500 will be raised to 700.' };
+    utils.lintOptions.and.returnValue([finding]);
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+    let findings: unknown;
+    app.lintFindings$.subscribe(latest => findings = latest);
+
+    app.launchForm.patchValue({ contentHeight: 500, contentWidth: 1200 });
+
+    expect(utils.lintOptions).toHaveBeenCalledWith(jasmine.objectContaining({ contentHeight: 500 }));
+    expect(findings).toEqual([finding]);
+  });
+
+  it('should fill in and launch the options requested by a launch link', () => {
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+    app.launchForm.patchValue({ clientSessionId: 'stale' });
+
+    TestBed.inject(LaunchRequestService).request({ options: { integratorId: 'LINKED_1', cardSetting: 0 }, launch: true });
+
+    expect(app.launchForm.getRawValue().clientSessionId).toBe('');
+    expect(utils.openAppWindow).toHaveBeenCalledWith(jasmine.objectContaining({ integratorId: 'LINKED_1', cardSetting: 0 }));
+  });
+
+  it('should require both content dimensions or neither', () => {
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+    app.launchForm.patchValue({ contentHeight: 800 });
+
+    expect(app.launchForm.hasError('contentDimensions')).toBeTrue();
+
+    app.launchForm.patchValue({ contentWidth: 1200 });
+
+    expect(app.launchForm.hasError('contentDimensions')).toBeFalse();
+  });
+
+  it('should omit empty optional options', () => {
+    const app = TestBed.createComponent(AppComponent).componentInstance;
+    app.launchForm.patchValue({ clientSessionId: '', hl: '' });
+
+    const options = app.getLaunchOptions();
+
+    expect(options.clientSessionId).toBeUndefined();
+    expect(options.hl).toBeUndefined();
+    expect(options.contentHeight).toBeUndefined();
   });
 });
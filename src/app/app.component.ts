@@ -1,16 +1,167 @@
-import { Component } from '@angular/core';
+import { Component, OnDestroy } from '@angular/core';
+import { FormBuilder, Validators } from '@angular/forms';
+import { Observable, Subscription } from 'rxjs';
+import { map, startWith } from 'rxjs/operators';
+import {
+  ApiVersionDefinition,
+  DEFAULT_API_VERSION,
+  GooglePayError,
+  OptionLintFinding,
+  WindowPlacement,
+  WindowSizePreset
+} from 'src/models/google-pay';
+import { LaunchLock } from 'src/models/harness-tab';
+import { LaunchOptions, DEFAULT_LAUNCH_OPTIONS, WINDOW_PLACEMENTS, WINDOW_SIZE_PRESETS } from 'src/models/launch-options';
+import { LaunchOutcome } from 'src/models/profile';
+import { ApiVersionService } from 'src/services/api-version.service';
+import { HarnessTabService } from 'src/services/harness-tab.service';
+import { LaunchLockService } from 'src/services/launch-lock.service';
+import { LaunchRequestService } from 'src/services/launch-request.service';
 import { UtilsService } from 'src/services/utils.service';
+import {
+  clientSessionIdValidator,
+  contentDimensionsValidator,
+  integerValidator,
+  languageTagValidator,
+  positiveIntegerValidators,
+  windowOptionsValidator
+} from './launch-options.validators';
 
 @Component({
   selector: 'app-root',
   templateUrl: './app.component.html',
   styleUrls: ['./app.component.scss']
 })
-export class AppComponent {
-  constructor(private utils: UtilsService) {}
+export class AppComponent implements OnDestroy {
+  title = 'google-pay-push';
 
-  link() {
-    console.debug("Start flow");
-    this.utils.openAppWindow();
+  /** Code of the error openAppWindow threw on the last launch, if any. */
+  launchErrorCode: string | null = null;
+
+  /** Another tab's lock that held back the last launch, until it is launched anyway. */
+  heldBackBy: LaunchLock | null = null;
+
+  readonly launchForm = this.fb.group({
+    apiVersion: this.fb.nonNullable.control(DEFAULT_API_VERSION),
+    integratorId: this.fb.nonNullable.control(DEFAULT_LAUNCH_OPTIONS.integratorId, [Validators.required, Validators.pattern(/^\S+$/)]),
+    tokenSetting: this.fb.nonNullable.control(DEFAULT_LAUNCH_OPTIONS.tokenSetting, Validators.required),
+    cardSetting: this.fb.nonNullable.control(DEFAULT_LAUNCH_OPTIONS.cardSetting, Validators.required),
+    isTestEnvironment: this.fb.nonNullable.control(DEFAULT_LAUNCH_OPTIONS.isTestEnvironment),
+    clientSessionId: this.fb.nonNullable.control('', clientSessionIdValidator),
+    hl: this.fb.nonNullable.control(DEFAULT_LAUNCH_OPTIONS.hl ?? '', languageTagValidator),
+    contentHeight: this.fb.control<number | null>(null, positiveIntegerValidators),
+    contentWidth: this.fb.control<number | null>(null, positiveIntegerValidators),
+    windowSizePreset: this.fb.control<WindowSizePreset | null>(null),
+    windowPlacement: this.fb.nonNullable.control<WindowPlacement>('auto'),
+    windowLeft: this.fb.control<number | null>(null, integerValidator),
+    windowTop: this.fb.control<number | null>(null, integerValidator),
+    popupBlockedPrompt: this.fb.nonNullable.control(false),
+    readyTimeoutMs: this.fb.control<number | null>(null, positiveIntegerValidators),
+    sessionCreatedTimeoutMs: this.fb.control<number | null>(null, positiveIntegerValidators),
+    outcomeTimeoutMs: this.fb.control<number | null>(null, positiveIntegerValidators),
+    closeOnTimeout: this.fb.nonNullable.control(false),
+    strictOptions: this.fb.nonNullable.control(false),
+    useMockAppWindow: this.fb.nonNullable.control(DEFAULT_LAUNCH_OPTIONS.useMockAppWindow)
+  }, { validators: [contentDimensionsValidator, windowOptionsValidator] });
+
+  readonly windowSizePresets = WINDOW_SIZE_PRESETS;
+  readonly windowPlacements = WINDOW_PLACEMENTS;
+  readonly apiVersions$: Observable<ApiVersionDefinition[]> = this.apiVersions.versions$;
+  readonly tab = this.harnessTab.tab;
+  readonly lockElsewhere$: Observable<LaunchLock | null> = this.launchLock.lockElsewhere$;
+
+  /** Current form options, or null while the form is invalid. */
+  readonly launchOptions$: Observable<LaunchOptions | null> = this.launchForm.valueChanges.pipe(
+    startWith(null),
+    map(() => this.launchForm.valid ? this.getLaunchOptions() : null)
+  );
+
+  /** The library's checks of the current form values, valid or not. */
+  readonly lintFindings$: Observable<OptionLintFinding[]> = this.launchForm.valueChanges.pipe(
+    startWith(null),
+    map(() => this.utils.lintOptions(this.getLaunchOptions()))
+  );
+
+  private readonly subscription: Subscription;
+
+  constructor(
+    private fb: FormBuilder,
+    private utils: UtilsService,
+    private apiVersions: ApiVersionService,
+    private harnessTab: HarnessTabService,
+    private launchLock: LaunchLockService,
+    launchRequests: LaunchRequestService
+  ) {
+    this.subscription = launchRequests.requests$.subscribe(request => {
+      this.applyOptions(request.options);
+      if (request.launch) {
+        const outcome = this.link();
+        request.onLaunch?.(outcome);
+      }
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.subscription.unsubscribe();
+  }
+
+  /**
+   * @param ignoreLaunchLock Launch even while another tab has a run open.
+   * @returns What the launch did, as far as is known once openAppWindow returns.
+   */
+  link(ignoreLaunchLock = false): LaunchOutcome {
+    if (this.launchForm.invalid) {
+      this.launchForm.markAllAsTouched();
+      return { status: 'invalid' };
+    }
+    this.heldBackBy = ignoreLaunchLock ? null : this.launchLock.lockElsewhere;
+    if (this.heldBackBy) {
+      return { status: 'heldBack' };
+    }
+    console.debug('Start flow');
+    this.launchErrorCode = null;
+    let outcome: LaunchOutcome = { status: 'opened' };
+    this.utils.openAppWindow(this.getLaunchOptions()).subscribe({
+      next: event => {
+        if (event.type === 'popupBlocked' && outcome.status === 'opened') {
+          outcome = { status: 'blocked' };
+        }
+      },
+      error: error => {
+        this.launchErrorCode = error instanceof GooglePayError ? error.code : String(error);
+        outcome = { status: 'failed', errorCode: this.launchErrorCode };
+      }
+    });
+    return outcome;
+  }
+
+  /** Replaces the form values with the given options; options left out get their defaults. */
+  applyOptions(options: Partial<LaunchOptions>): void {
+    this.launchForm.reset();
+    for (const [name, value] of Object.entries(options)) {
+      const control = this.launchForm.get(name);
+      if (control && value !== undefined) {
+        control.setValue(value);
+      }
+    }
+  }
+
+  getLaunchOptions(): LaunchOptions {
+    const value = this.launchForm.getRawValue();
+    return {
+      ...value,
+      tokenSetting: Number(value.tokenSetting),
+      cardSetting: Number(value.cardSetting),
+      clientSessionId: value.clientSessionId || undefined,
+      hl: value.hl || undefined,
+      contentHeight: value.contentHeight ?? undefined,
+      contentWidth: value.contentWidth ?? undefined,
+      windowSizePreset: value.windowSizePreset ?? undefined,
+      windowLeft: value.windowLeft ?? undefined,
+      windowTop: value.windowTop ?? undefined,
+      readyTimeoutMs: value.readyTimeoutMs ?? undefined,
+      sessionCreatedTimeoutMs: value.sessionCreatedTimeoutMs ?? undefined,
+      outcomeTimeoutMs: value.outcomeTimeoutMs ?? undefined
+    };
   }
 }
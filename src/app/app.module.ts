@@ -1,15 +1,53 @@
+import { HttpClientModule } from '@angular/common/http';
 import { NgModule } from '@angular/core';
+import { ReactiveFormsModule } from '@angular/forms';
 import { BrowserModule } from '@angular/platform-browser';
 
 import { AppRoutingModule } from './app-routing.module';
+import { ApiVersionSettingsComponent } from './api-version-settings/api-version-settings.component';
 import { AppComponent } from './app.component';
+import { BatchRunnerComponent } from './batch-runner/batch-runner.component';
+import { ClientSessionIdGeneratorComponent } from './client-session-id-generator/client-session-id-generator.component';
+import { ErrorDetailsComponent } from './error-details/error-details.component';
+import { IdSearchComponent } from './id-search/id-search.component';
+import { LaunchLinkComponent } from './launch-link/launch-link.component';
+import { LibraryStateComponent } from './library-state/library-state.component';
+import { MaskedIdComponent } from './masked-id/masked-id.component';
+import { MessageInspectorComponent } from './message-inspector/message-inspector.component';
+import { MockScenarioPickerComponent } from './mock-scenario-picker/mock-scenario-picker.component';
+import { ProfilesComponent } from './profiles/profiles.component';
+import { RedactionSettingsComponent } from './redaction-settings/redaction-settings.component';
+import { RunReportComponent } from './run-report/run-report.component';
+import { RunTimelineComponent } from './run-timeline/run-timeline.component';
+import { SessionGeneratorComponent } from './session-generator/session-generator.component';
+import { SessionPanelComponent } from './session-panel/session-panel.component';
+import { WebhookSettingsComponent } from './webhook-settings/webhook-settings.component';
 
 @NgModule({
   declarations: [
-    AppComponent
+    ApiVersionSettingsComponent,
+    AppComponent,
+    BatchRunnerComponent,
+    ClientSessionIdGeneratorComponent,
+    ErrorDetailsComponent,
+    IdSearchComponent,
+    LaunchLinkComponent,
+    LibraryStateComponent,
+    MaskedIdComponent,
+    MessageInspectorComponent,
+    MockScenarioPickerComponent,
+    ProfilesComponent,
+    RedactionSettingsComponent,
+    RunReportComponent,
+    RunTimelineComponent,
+    SessionGeneratorComponent,
+    SessionPanelComponent,
+    WebhookSettingsComponent
   ],
   imports: [
     BrowserModule,
+    HttpClientModule,
+    ReactiveFormsModule,
     AppRoutingModule
   ],
   providers: [],
@@ -0,0 +1,98 @@
+import { Component, Input } from '@angular/core';
+import { FormBuilder } from '@angular/forms';
+import { BatchItem, expandBatchMatrix, parseBatchOptionList } from 'src/models/batch';
+import { LaunchLock } from 'src/models/harness-tab';
+import { LaunchOptions } from 'src/models/launch-options';
+import { BatchRunnerService } from 'src/services/batch-runner.service';
+import { LaunchLockService } from 'src/services/launch-lock.service';
+
+@Component({
+  selector: 'app-batch-runner',
+  templateUrl: './batch-runner.component.html',
+  styleUrls: ['./batch-runner.component.scss']
+})
+export class BatchRunnerComponent {
+  /** Launch form options that every queued option set starts from. */
+  @Input() baseOptions: LaunchOptions | null = null;
+
+  readonly state$ = this.batchRunner.state$;
+
+  readonly batchForm = this.fb.nonNullable.group({
+    mode: this.fb.nonNullable.control<'matrix' | 'list'>('matrix'),
+    tokenSetting0: false,
+    tokenSetting1: true,
+    cardSetting0: false,
+    cardSetting1: true,
+    hl: '',
+    list: '[\n  { "tokenSetting": 1, "cardSetting": 1 },\n  { "tokenSetting": 0, "cardSetting": 1 }\n]'
+  });
+
+  queueError: string | null = null;
+
+  /** Another tab's lock that held back the last start, until it is started anyway. */
+  heldBackBy: LaunchLock | null = null;
+
+  constructor(private fb: FormBuilder, private batchRunner: BatchRunnerService, private launchLock: LaunchLockService) {}
+
+  enqueue(): void {
+    if (!this.baseOptions) {
+      this.queueError = 'Fix the launch form first; its values are the base of every option set.';
+      return;
+    }
+    try {
+      const optionSets = this.buildOptionSets(this.baseOptions);
+      if (!optionSets.length) {
+        throw new Error('Pick at least one token setting and one card setting.');
+      }
+      this.batchRunner.enqueue(optionSets);
+      this.queueError = null;
+    } catch (error) {
+      this.queueError = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  /** @param ignoreLaunchLock Start even while another tab has a run open. */
+  start(ignoreLaunchLock = false): void {
+    this.heldBackBy = ignoreLaunchLock ? null : this.launchLock.lockElsewhere;
+    if (!this.heldBackBy) {
+      this.batchRunner.start();
+    }
+  }
+
+  pause(): void {
+    this.batchRunner.pause();
+  }
+
+  skip(item: BatchItem): void {
+    this.batchRunner.skip(item.id);
+  }
+
+  retry(item: BatchItem): void {
+    this.batchRunner.retry(item.id);
+  }
+
+  clear(): void {
+    this.batchRunner.clear();
+  }
+
+  exportResults(format: 'csv' | 'json'): void {
+    this.batchRunner.exportResults(format);
+  }
+
+  trackById(index: number, item: BatchItem): string {
+    return item.id;
+  }
+
+  private buildOptionSets(base: LaunchOptions): LaunchOptions[] {
+    const value = this.batchForm.getRawValue();
+    if (value.mode === 'list') {
+      return parseBatchOptionList(base, value.list);
+    }
+    const settings = (zero: boolean, one: boolean) => [...(zero ? [0] : []), ...(one ? [1] : [])];
+    return expandBatchMatrix(base, {
+      tokenSetting: settings(value.tokenSetting0, value.tokenSetting1),
+      cardSetting: settings(value.cardSetting0, value.cardSetting1),
+      hl: value.hl.split(',').map(hl => hl.trim()).filter(Boolean)
+    });
+  }
+}
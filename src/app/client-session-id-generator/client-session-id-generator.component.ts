@@ -0,0 +1,33 @@
+import { Component, EventEmitter, Output } from '@angular/core';
+import { FormBuilder, Validators } from '@angular/forms';
+import { CLIENT_SESSION_ID_FORMATS, CLIENT_SESSION_ID_PREFIX_PATTERN } from 'src/models/client-session-id';
+import { ClientSessionIdService } from 'src/services/client-session-id.service';
+
+@Component({
+  selector: 'app-client-session-id-generator',
+  templateUrl: './client-session-id-generator.component.html',
+  styleUrls: ['./client-session-id-generator.component.scss']
+})
+export class ClientSessionIdGeneratorComponent {
+  /** Emits a freshly generated clientSessionId for the launch form. */
+  @Output() generated = new EventEmitter<string>();
+
+  readonly formats = CLIENT_SESSION_ID_FORMATS;
+  readonly settingsForm = this.fb.nonNullable.group({
+    format: this.clientSessionIds.settings.format,
+    prefix: [this.clientSessionIds.settings.prefix, Validators.pattern(CLIENT_SESSION_ID_PREFIX_PATTERN)],
+    autoGenerate: this.clientSessionIds.settings.autoGenerate
+  });
+
+  constructor(private fb: FormBuilder, private clientSessionIds: ClientSessionIdService) {
+    this.settingsForm.valueChanges.subscribe(() => {
+      if (this.settingsForm.valid) {
+        this.clientSessionIds.settings = this.settingsForm.getRawValue();
+      }
+    });
+  }
+
+  generate(): void {
+    this.generated.emit(this.clientSessionIds.generate());
+  }
+}
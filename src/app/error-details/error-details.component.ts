@@ -0,0 +1,16 @@
+import { Component, Input } from '@angular/core';
+import { describeErrorCode, ErrorDescription } from 'src/models/error-catalogue';
+
+@Component({
+  selector: 'app-error-details',
+  templateUrl: './error-details.component.html',
+  styleUrls: ['./error-details.component.scss']
+})
+export class ErrorDetailsComponent {
+  descriptions: ErrorDescription[] = [];
+
+  @Input()
+  set codes(codes: string[]) {
+    this.descriptions = codes.map(describeErrorCode);
+  }
+}
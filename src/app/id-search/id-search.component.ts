@@ -0,0 +1,80 @@
+import { Component } from '@angular/core';
+import { FormBuilder } from '@angular/forms';
+import { combineLatest, Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { findMatchingId, getRunIds, RUN_ID_FIELDS, RunIds } from 'src/models/run';
+import { RunStoreService } from 'src/services/run-store.service';
+import { SessionStoreService } from 'src/services/session-store.service';
+
+/** A run or captured session with an ID that matches the query. */
+export interface IdSearchResult {
+  kind: 'run' | 'session';
+  /** The id of the run timeline or session panel entry to scroll to. */
+  elementId: string;
+  /** Epoch milliseconds. */
+  at: number;
+  integratorId: string;
+  matchedField: keyof RunIds;
+  ids: RunIds;
+}
+
+/** Shorter queries match too much to be useful, e.g. single digits. */
+const MIN_QUERY_LENGTH = 3;
+
+@Component({
+  selector: 'app-id-search',
+  templateUrl: './id-search.component.html',
+  styleUrls: ['./id-search.component.scss']
+})
+export class IdSearchComponent {
+  readonly query = this.fb.nonNullable.control('');
+  readonly minQueryLength = MIN_QUERY_LENGTH;
+  readonly fields = RUN_ID_FIELDS;
+
+  readonly results$: Observable<IdSearchResult[] | null> = combineLatest([
+    this.query.valueChanges,
+    this.runStore.runs$,
+    this.sessionStore.sessions$
+  ]).pipe(
+    map(([query, runs, sessions]) => {
+      if (query.trim().length < MIN_QUERY_LENGTH) {
+        return null;
+      }
+      const candidates: Array<Omit<IdSearchResult, 'matchedField'>> = [
+        ...runs.map(run => ({
+          kind: 'run' as const,
+          elementId: `run-${run.id}`,
+          at: run.events[0].at,
+          integratorId: run.launchOptions.integratorId,
+          ids: getRunIds(run)
+        })),
+        ...sessions.map(session => ({
+          kind: 'session' as const,
+          elementId: `session-${session.id}`,
+          at: Date.parse(session.capturedAt),
+          integratorId: session.launchOptions.integratorId,
+          ids: {
+            clientSessionId: session.payload.clientSessionId,
+            serverSessionId: session.payload.serverSessionId,
+            publicDeviceId: session.payload.publicDeviceId,
+            publicWalletId: session.payload.publicWalletId
+          }
+        }))
+      ];
+      const results: IdSearchResult[] = [];
+      for (const candidate of candidates) {
+        const matchedField = findMatchingId(candidate.ids, query);
+        if (matchedField) {
+          results.push({ ...candidate, matchedField });
+        }
+      }
+      return results.sort((a, b) => b.at - a.at);
+    })
+  );
+
+  constructor(private fb: FormBuilder, private runStore: RunStoreService, private sessionStore: SessionStoreService) {}
+
+  show(result: IdSearchResult): void {
+    document.getElementById(result.elementId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
@@ -0,0 +1,84 @@
+import { TestBed } from '@angular/core/testing';
+import { ActivatedRoute, convertToParamMap, Params } from '@angular/router';
+import { BehaviorSubject } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { LaunchOutcome, LaunchRequest } from 'src/models/profile';
+import { LaunchRequestService } from 'src/services/launch-request.service';
+import { ProfileStoreService } from 'src/services/profile-store.service';
+import { LaunchLinkComponent } from './launch-link.component';
+
+describe('LaunchLinkComponent', () => {
+  let queryParams: BehaviorSubject<Params>;
+  let requests: LaunchRequest[];
+
+  beforeEach(() => {
+    queryParams = new BehaviorSubject<Params>({});
+    requests = [];
+    TestBed.configureTestingModule({
+      declarations: [LaunchLinkComponent],
+      providers: [
+        { provide: ActivatedRoute, useValue: { queryParamMap: queryParams.pipe(map(convertToParamMap)) } },
+        {
+          provide: ProfileStoreService,
+          useValue: { find: (name: string) => name === 'Acme sandbox' ? { name, options: DEFAULT_LAUNCH_OPTIONS } : undefined }
+        }
+      ]
+    });
+    TestBed.inject(LaunchRequestService).requests$.subscribe(request => requests.push(request));
+  });
+
+  function open(params: Params): LaunchLinkComponent {
+    queryParams.next(params);
+    return TestBed.createComponent(LaunchLinkComponent).componentInstance;
+  }
+
+  /** Answers launch requests as the launch form would. */
+  function answerWith(outcome: LaunchOutcome): void {
+    TestBed.inject(LaunchRequestService).requests$.subscribe(request => request.onLaunch?.(outcome));
+  }
+
+  it('should fill in the form from a saved profile and inline options', () => {
+    const link = open({ profile: 'Acme sandbox', cardSetting: '0' });
+
+    expect(requests).toEqual([jasmine.objectContaining({ options: { ...DEFAULT_LAUNCH_OPTIONS, cardSetting: 0 }, launch: false })]);
+    expect(link.message).toBe('Profile \'Acme sandbox\' loaded from the link.');
+    expect(link.error).toBeNull();
+  });
+
+  it('should report a profile that is not saved in this browser', () => {
+    const link = open({ profile: 'Someone else\'s', launch: '1' });
+
+    expect(requests).toEqual([]);
+    expect(link.error).toBe('There is no saved profile named \'Someone else\'s\'.');
+    expect(link.message).toBeNull();
+  });
+
+  it('should report malformed parameters', () => {
+    const link = open({ tokenSetting: 'yes', launch: '1' });
+
+    expect(requests).toEqual([]);
+    expect(link.error).toBe('The launch link is malformed: tokenSetting must be a whole number, not \'yes\'.');
+  });
+
+  it('should say that the window opened only when the launch form opened it', () => {
+    answerWith({ status: 'opened' });
+
+    expect(open({ integratorId: 'ACMEISSUER_1', launch: '1' }).message).toBe('Options loaded from the link and launched.');
+    expect(requests[0].launch).toBeTrue();
+  });
+
+  it('should report a launch that the launch form did not go through with', () => {
+    answerWith({ status: 'failed', errorCode: 'E411' });
+    expect(open({ launch: '1' }).message).toBe('Options loaded from the link, but the launch failed with E411.');
+  });
+
+  it('should report a held back launch', () => {
+    answerWith({ status: 'heldBack' });
+    expect(open({ launch: 'true' }).message).toBe('Options loaded from the link, but not launched: another tab has a run open.');
+  });
+
+  it('should only claim to have requested a launch that nothing answered', () => {
+    expect(open({ launch: '1' }).message).toBe('Options loaded from the link; launch requested.');
+  });
+});
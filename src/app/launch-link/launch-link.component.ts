@@ -0,0 +1,86 @@
+import { Component, OnDestroy } from '@angular/core';
+import { ActivatedRoute, ParamMap } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { LaunchOptions } from 'src/models/launch-options';
+import { fromLaunchParams, isLaunchNow, LaunchOutcome, PROFILE_PARAM } from 'src/models/profile';
+import { LaunchRequestService } from 'src/services/launch-request.service';
+import { ProfileStoreService } from 'src/services/profile-store.service';
+
+/**
+ * Routed at /launch. Fills in the launch form from ?profile=<name> and/or
+ * inline option parameters (which override the profile), and launches too
+ * with ?launch=1, reporting what the launch form made of it.
+ */
+@Component({
+  selector: 'app-launch-link',
+  templateUrl: './launch-link.component.html'
+})
+export class LaunchLinkComponent implements OnDestroy {
+  message: string | null = null;
+  error: string | null = null;
+
+  private readonly subscription: Subscription;
+
+  constructor(
+    route: ActivatedRoute,
+    private profileStore: ProfileStoreService,
+    private launchRequests: LaunchRequestService
+  ) {
+    this.subscription = route.queryParamMap.subscribe(params => this.apply(params));
+  }
+
+  ngOnDestroy(): void {
+    this.subscription.unsubscribe();
+  }
+
+  private apply(params: ParamMap): void {
+    this.message = null;
+    this.error = null;
+
+    let profileOptions: LaunchOptions | undefined;
+    const profileName = params.get(PROFILE_PARAM);
+    if (profileName !== null) {
+      profileOptions = this.profileStore.find(profileName)?.options;
+      if (!profileOptions) {
+        this.error = `There is no saved profile named '${profileName}'.`;
+        return;
+      }
+    }
+
+    let inlineOptions: Partial<LaunchOptions>;
+    try {
+      inlineOptions = fromLaunchParams(params);
+    } catch (error) {
+      this.error = `The launch link is malformed: ${error instanceof Error ? error.message : String(error)}`;
+      return;
+    }
+
+    const launch = isLaunchNow(params);
+    // The launch form reports back right away; without one, the launch is only requested.
+    let outcome: LaunchOutcome | undefined;
+    this.launchRequests.request({
+      options: { ...profileOptions, ...inlineOptions },
+      launch,
+      onLaunch: launched => outcome = launched
+    });
+    this.message = `${profileName === null ? 'Options' : `Profile '${profileName}'`} loaded from the link` +
+      (launch ? describeLaunch(outcome) : '.');
+  }
+}
+
+function describeLaunch(outcome: LaunchOutcome | undefined): string {
+  switch (outcome?.status) {
+    case undefined:
+      return '; launch requested.';
+    case 'opened':
+      return ' and launched.';
+    case 'invalid':
+      return ', but not launched: the options are invalid.';
+    case 'heldBack':
+      return ', but not launched: another tab has a run open.';
+    case 'blocked':
+      return ', but the browser blocked the app window.';
+    case 'failed':
+      return `, but the launch failed with ${outcome.errorCode}.`;
+  }
+}
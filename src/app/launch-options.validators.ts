@@ -0,0 +1,44 @@
+import { AbstractControl, ValidationErrors, ValidatorFn, Validators } from '@angular/forms';
+
+/** Loose BCP-47 shape check for the hl option, e.g. 'en' or 'en-US'. */
+export const languageTagValidator: ValidatorFn =
+  Validators.pattern(/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/);
+
+/** Whole numbers greater than zero, e.g. content dimensions or deadlines in ms. */
+export const positiveIntegerValidators: ValidatorFn[] = [Validators.min(1), Validators.pattern(/^\d+$/)];
+
+/** Whole numbers, including negative ones, e.g. screen coordinates on a second monitor. */
+export const integerValidator: ValidatorFn = Validators.pattern(/^-?\d+$/);
+
+/** clientSessionId is sent as the csid URL parameter, so keep it URL-safe. */
+export const clientSessionIdValidator: ValidatorFn =
+  Validators.pattern(/^[A-Za-z0-9_-]*$/);
+
+/**
+ * openAppWindow rejects content dimensions with E409 unless contentHeight and
+ * contentWidth are both numbers or both unset.
+ */
+export const contentDimensionsValidator: ValidatorFn = (group: AbstractControl): ValidationErrors | null => {
+  const height = group.get('contentHeight')?.value;
+  const width = group.get('contentWidth')?.value;
+  const isSet = (value: unknown) => value !== null && value !== undefined && value !== '';
+  return isSet(height) === isSet(width) ? null : { contentDimensions: true };
+};
+
+/**
+ * openAppWindow rejects a window size preset combined with content dimensions
+ * (E409), and windowLeft/windowTop unless both are set and the window is not
+ * centered (E417).
+ */
+export const windowOptionsValidator: ValidatorFn = (group: AbstractControl): ValidationErrors | null => {
+  const isSet = (name: string) => ![null, undefined, ''].includes(group.get(name)?.value);
+  const errors: ValidationErrors = {};
+  if (isSet('windowSizePreset') && (isSet('contentHeight') || isSet('contentWidth'))) {
+    errors.sizePresetWithDimensions = true;
+  }
+  if (isSet('windowLeft') !== isSet('windowTop') ||
+      (isSet('windowLeft') && group.get('windowPlacement')?.value === 'center')) {
+    errors.windowPosition = true;
+  }
+  return Object.keys(errors).length ? errors : null;
+};
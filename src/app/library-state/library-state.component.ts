@@ -0,0 +1,36 @@
+import { Component } from '@angular/core';
+import { scan } from 'rxjs/operators';
+import { GooglePayStateSnapshot } from 'src/models/google-pay';
+import { GooglePayService } from 'src/services/google-pay.service';
+
+const MAX_TRANSITIONS = 20;
+
+interface StateTransition {
+  state: GooglePayStateSnapshot['state'];
+  at: number;
+}
+
+/** Shows window.googlepay.getState() and the most recent state changes. */
+@Component({
+  selector: 'app-library-state',
+  templateUrl: './library-state.component.html',
+  styleUrls: ['./library-state.component.scss']
+})
+export class LibraryStateComponent {
+  readonly state$ = this.googlePay.state$;
+  readonly transitions$ = this.state$.pipe(
+    scan((transitions: StateTransition[], snapshot) =>
+      [{ state: snapshot.state, at: Date.now() }, ...transitions].slice(0, MAX_TRANSITIONS), [])
+  );
+
+  constructor(private googlePay: GooglePayService) {}
+
+  /** Runs in the click handler, which is the user gesture the browser wants. */
+  retry(): void {
+    this.googlePay.retry();
+  }
+
+  cancel(): void {
+    this.googlePay.close();
+  }
+}
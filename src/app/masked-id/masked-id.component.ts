@@ -0,0 +1,32 @@
+import { Component, Input } from '@angular/core';
+import { RedactionService } from 'src/services/redaction.service';
+
+/** A session, device or wallet ID, masked unless masking is off or it is revealed. */
+@Component({
+  selector: 'app-masked-id',
+  templateUrl: './masked-id.component.html',
+  styleUrls: ['./masked-id.component.scss']
+})
+export class MaskedIdComponent {
+  @Input() value: string | undefined;
+
+  constructor(private redaction: RedactionService) {}
+
+  get shown(): string | undefined {
+    return this.redaction.display(this.value);
+  }
+
+  get masked(): boolean {
+    return Boolean(this.value) && this.redaction.isMasked(this.value ?? '');
+  }
+
+  get maskable(): boolean {
+    return Boolean(this.value) && this.redaction.settings.maskIdentifiers;
+  }
+
+  toggle(): void {
+    if (this.value) {
+      this.redaction.toggleReveal(this.value);
+    }
+  }
+}
@@ -0,0 +1,44 @@
+import { Component } from '@angular/core';
+import { MessageDiagnostic } from 'src/models/google-pay';
+import { MessageInspectorService } from 'src/services/message-inspector.service';
+import { RedactionService } from 'src/services/redaction.service';
+
+@Component({
+  selector: 'app-message-inspector',
+  templateUrl: './message-inspector.component.html',
+  styleUrls: ['./message-inspector.component.scss']
+})
+export class MessageInspectorComponent {
+  readonly records$ = this.messageInspector.records$;
+
+  originFilter = '';
+  actionFilter = '';
+  rejectedOnly = false;
+
+  constructor(private messageInspector: MessageInspectorService, private redaction: RedactionService) {}
+
+  get enabled(): boolean {
+    return this.messageInspector.enabled;
+  }
+
+  set enabled(enabled: boolean) {
+    this.messageInspector.enabled = enabled;
+  }
+
+  filter(records: MessageDiagnostic[]): MessageDiagnostic[] {
+    const origin = this.originFilter.trim().toLowerCase();
+    const action = this.actionFilter.trim().toLowerCase();
+    return records.filter(record =>
+      (!origin || record.origin.toLowerCase().includes(origin)) &&
+      (!action || String(record.action ?? '').toLowerCase().includes(action)) &&
+      (!this.rejectedOnly || !record.accepted));
+  }
+
+  redacted(data: unknown): unknown {
+    return this.redaction.redact(data);
+  }
+
+  clear(): void {
+    this.messageInspector.clear();
+  }
+}
@@ -0,0 +1,44 @@
+import { Component } from '@angular/core';
+import { MockScenario, parseMockScenario } from 'src/models/mock-scenario';
+import { MockScenarioService } from 'src/services/mock-scenario.service';
+
+@Component({
+  selector: 'app-mock-scenario-picker',
+  templateUrl: './mock-scenario-picker.component.html',
+  styleUrls: ['./mock-scenario-picker.component.scss']
+})
+export class MockScenarioPickerComponent {
+  readonly scenarios = this.mockScenarios.scenarios;
+
+  selected: MockScenario = this.mockScenarios.selected;
+  customJson = JSON.stringify(this.selected, null, 2);
+  customError: string | null = null;
+
+  constructor(private mockScenarios: MockScenarioService) {}
+
+  get isCustom(): boolean {
+    return !this.scenarios.some(scenario => scenario.id === this.selected.id);
+  }
+
+  selectById(id: string): void {
+    const scenario = this.scenarios.find(candidate => candidate.id === id);
+    if (scenario) {
+      this.apply(scenario);
+      this.customJson = JSON.stringify(scenario, null, 2);
+    }
+  }
+
+  applyCustom(): void {
+    try {
+      this.apply(parseMockScenario(this.customJson));
+      this.customError = null;
+    } catch (error) {
+      this.customError = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  private apply(scenario: MockScenario): void {
+    this.mockScenarios.select(scenario);
+    this.selected = scenario;
+  }
+}
@@ -0,0 +1,102 @@
+import { Location } from '@angular/common';
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { FormBuilder, Validators } from '@angular/forms';
+import { Router } from '@angular/router';
+import { LaunchOptions } from 'src/models/launch-options';
+import { LAUNCH_PARAM, LaunchProfile, parseProfiles, PROFILE_PARAM, toLaunchParams, toProfilesFile } from 'src/models/profile';
+import { FileDownloadService } from 'src/services/file-download.service';
+import { ProfileStoreService } from 'src/services/profile-store.service';
+
+@Component({
+  selector: 'app-profiles',
+  templateUrl: './profiles.component.html',
+  styleUrls: ['./profiles.component.scss']
+})
+export class ProfilesComponent {
+  /** The launch form options, or null while the form is invalid. */
+  @Input() options: LaunchOptions | null = null;
+  @Output() readonly load = new EventEmitter<LaunchOptions>();
+
+  readonly profiles$ = this.profileStore.profiles$;
+  readonly profileForm = this.fb.nonNullable.group({
+    name: ['', [Validators.required, Validators.pattern(/\S/)]]
+  });
+
+  importError: string | null = null;
+  /** Key of the link most recently copied, used to flash "Copied". */
+  copiedKey: string | null = null;
+  copyError: string | null = null;
+
+  constructor(
+    private fb: FormBuilder,
+    private router: Router,
+    private location: Location,
+    private profileStore: ProfileStoreService,
+    private fileDownload: FileDownloadService
+  ) {}
+
+  save(): void {
+    if (!this.options || this.profileForm.invalid) {
+      return;
+    }
+    this.profileStore.save({ name: this.profileForm.getRawValue().name.trim(), options: this.options });
+    this.profileForm.reset();
+  }
+
+  remove(profile: LaunchProfile): void {
+    this.profileStore.remove(profile.name);
+  }
+
+  exportProfiles(profiles: LaunchProfile[]): void {
+    this.fileDownload.download(toProfilesFile(profiles));
+  }
+
+  /** Imports the profiles file picked in the input, then resets the input. */
+  async importProfiles(input: HTMLInputElement): Promise<void> {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      this.profileStore.save(...parseProfiles(await file.text()));
+      this.importError = null;
+    } catch (error) {
+      this.importError = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  /** Copies a link that reproduces the current options anywhere, with no saved profile needed. */
+  copyOptionsLink(launch: boolean): void {
+    if (this.options) {
+      this.copyLink(launch ? 'options:launch' : 'options', { ...toLaunchParams(this.options), ...this.launchParam(launch) });
+    }
+  }
+
+  /** Copies a link to a profile by name, which only works where the profile is saved. */
+  copyProfileLink(profile: LaunchProfile, launch: boolean): void {
+    this.copyLink(`profile:${profile.name}${launch ? ':launch' : ''}`, { [PROFILE_PARAM]: profile.name, ...this.launchParam(launch) });
+  }
+
+  trackByName(index: number, profile: LaunchProfile): string {
+    return profile.name;
+  }
+
+  private launchParam(launch: boolean): Record<string, string> {
+    return launch ? { [LAUNCH_PARAM]: '1' } : {};
+  }
+
+  private copyLink(key: string, queryParams: Record<string, string>): void {
+    const path = this.router.serializeUrl(this.router.createUrlTree(['/launch'], { queryParams }));
+    const url = `${window.location.origin}${this.location.prepareExternalUrl(path)}`;
+    this.copyError = null;
+    // The Clipboard API only exists in secure contexts: https, or localhost.
+    if (!navigator.clipboard) {
+      this.copyError = `Copying needs the harness to be served over https or from localhost. The link is ${url}`;
+      return;
+    }
+    navigator.clipboard.writeText(url)
+      .then(() => this.copiedKey = key)
+      .catch(error => this.copyError = `Could not copy: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
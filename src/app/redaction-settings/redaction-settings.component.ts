@@ -0,0 +1,47 @@
+import { Component } from '@angular/core';
+import { FormBuilder } from '@angular/forms';
+import { parseRedactionRules, ShareMode, toShareBundleFile } from 'src/models/redaction';
+import { FileDownloadService } from 'src/services/file-download.service';
+import { RedactionService } from 'src/services/redaction.service';
+import { RunStoreService } from 'src/services/run-store.service';
+import { SessionStoreService } from 'src/services/session-store.service';
+
+@Component({
+  selector: 'app-redaction-settings',
+  templateUrl: './redaction-settings.component.html',
+  styleUrls: ['./redaction-settings.component.scss']
+})
+export class RedactionSettingsComponent {
+  readonly redactionForm = this.fb.nonNullable.group({
+    maskIdentifiers: this.redaction.settings.maskIdentifiers,
+    debugInfoRules: this.redaction.settings.debugInfoRules.join('\n')
+  });
+
+  saved = false;
+  shareError: string | null = null;
+
+  constructor(
+    private fb: FormBuilder,
+    private redaction: RedactionService,
+    private runStore: RunStoreService,
+    private sessionStore: SessionStoreService,
+    private fileDownload: FileDownloadService
+  ) {}
+
+  save(): void {
+    const value = this.redactionForm.getRawValue();
+    this.redaction.settings = { maskIdentifiers: value.maskIdentifiers, debugInfoRules: parseRedactionRules(value.debugInfoRules) };
+    this.saved = true;
+  }
+
+  async share(mode: ShareMode): Promise<void> {
+    this.shareError = null;
+    try {
+      const bundle = await this.redaction.createShareBundle(this.runStore.runs, this.sessionStore.sessions, mode);
+      this.fileDownload.download(toShareBundleFile(bundle));
+    } catch (error) {
+      // crypto.subtle is only available in secure contexts (https or localhost).
+      this.shareError = error instanceof Error ? error.message : String(error);
+    }
+  }
+}
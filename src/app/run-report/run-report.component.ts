@@ -0,0 +1,42 @@
+import { Component } from '@angular/core';
+import { FormBuilder } from '@angular/forms';
+import { combineLatest, Observable } from 'rxjs';
+import { map, startWith } from 'rxjs/operators';
+import { getRunEnvironment, RunEnvironment, RunLogEntry, RunLogSummary, summarizeRunLog } from 'src/models/run-log';
+import { RunLogService } from 'src/services/run-log.service';
+
+interface RunReport {
+  entries: RunLogEntry[];
+  summary: RunLogSummary;
+}
+
+/** Outcome counts and stage latencies across the logged runs, with exports. */
+@Component({
+  selector: 'app-run-report',
+  templateUrl: './run-report.component.html',
+  styleUrls: ['./run-report.component.scss']
+})
+export class RunReportComponent {
+  readonly environments: ReadonlyArray<RunEnvironment> = ['sandbox', 'prod', 'mock'];
+  readonly environment = this.fb.control<RunEnvironment | null>(null);
+
+  readonly report$: Observable<RunReport> = combineLatest([
+    this.runLog.entries$,
+    this.environment.valueChanges.pipe(startWith(this.environment.value))
+  ]).pipe(
+    map(([entries, environment]) => {
+      const selected = environment ? entries.filter(entry => getRunEnvironment(entry.launchOptions) === environment) : entries;
+      return { entries: selected, summary: summarizeRunLog(selected) };
+    })
+  );
+
+  constructor(private fb: FormBuilder, private runLog: RunLogService) {}
+
+  exportEntries(entries: RunLogEntry[], format: 'csv' | 'json'): void {
+    this.runLog.export(entries, format);
+  }
+
+  clear(): void {
+    this.runLog.clear();
+  }
+}
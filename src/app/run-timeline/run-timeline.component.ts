@@ -0,0 +1,106 @@
+import { Component } from '@angular/core';
+import { getFailureErrorCodes } from 'src/models/error-catalogue';
+import { describeTab, HarnessTab } from 'src/models/harness-tab';
+import { parseReplayFixture, ReplayFixture, toReplayFixture, toReplayFixtureFile } from 'src/models/replay-fixture';
+import { getRunIds, getRunOutcome, Run, RUN_EVENT_LABELS, RUN_ID_FIELDS, RunIds, RunOutcome } from 'src/models/run';
+import { FileDownloadService } from 'src/services/file-download.service';
+import { HarnessTabService } from 'src/services/harness-tab.service';
+import { RedactionService } from 'src/services/redaction.service';
+import { RunStoreService } from 'src/services/run-store.service';
+import { UtilsService } from 'src/services/utils.service';
+
+@Component({
+  selector: 'app-run-timeline',
+  templateUrl: './run-timeline.component.html',
+  styleUrls: ['./run-timeline.component.scss']
+})
+export class RunTimelineComponent {
+  readonly labels = RUN_EVENT_LABELS;
+  readonly idFields = RUN_ID_FIELDS;
+  readonly runs$ = this.runStore.runs$;
+
+  replayError: string | null = null;
+
+  constructor(
+    private runStore: RunStoreService,
+    private utils: UtilsService,
+    private fileDownload: FileDownloadService,
+    private redaction: RedactionService,
+    private harnessTab: HarnessTabService
+  ) {}
+
+  tabLabel(tab: HarnessTab): string {
+    return describeTab(tab, this.harnessTab.tab.id);
+  }
+
+  outcome(run: Run): RunOutcome {
+    return getRunOutcome(run);
+  }
+
+  ids(run: Run): RunIds {
+    return getRunIds(run);
+  }
+
+  redacted(payload: unknown): unknown {
+    return this.redaction.redact(payload);
+  }
+
+  failureCodes(payload: unknown): string[] {
+    return getFailureErrorCodes(payload);
+  }
+
+  /** Milliseconds between an event and the one before it. */
+  sincePrevious(run: Run, index: number): number | null {
+    return index > 0 ? run.events[index].at - run.events[index - 1].at : null;
+  }
+
+  /** Milliseconds between an event and the run's 'open' event. */
+  sinceOpen(run: Run, index: number): number {
+    return run.events[index].at - run.events[0].at;
+  }
+
+  messageCount(run: Run): number {
+    return run.messages?.length ?? 0;
+  }
+
+  /**
+   * Saved unmasked, so that replayed payloads carry IDs that still pass the
+   * library's checks, e.g. the clientSessionId pattern. Share runs with the
+   * redaction panel's bundle instead.
+   */
+  saveFixture(run: Run): void {
+    this.fileDownload.download(toReplayFixtureFile(toReplayFixture(run)));
+  }
+
+  /** Replays the fixture file picked in the input, then resets the input. */
+  async replay(input: HTMLInputElement): Promise<void> {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) {
+      return;
+    }
+    this.replayError = null;
+    let fixture: ReplayFixture;
+    try {
+      fixture = parseReplayFixture(await file.text());
+    } catch (error) {
+      this.replayError = error instanceof Error ? error.message : String(error);
+      return;
+    }
+    this.utils.replayFixture(fixture).subscribe({
+      error: error => this.replayError = error instanceof Error ? error.message : String(error)
+    });
+  }
+
+  remove(run: Run): void {
+    this.runStore.remove(run.id);
+  }
+
+  clear(): void {
+    this.runStore.clear();
+  }
+
+  trackById(index: number, run: Run): string {
+    return run.id;
+  }
+}
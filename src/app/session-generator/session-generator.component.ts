@@ -0,0 +1,110 @@
+import { HttpClient } from '@angular/common/http';
+import { Component, OnDestroy } from '@angular/core';
+import { ActivatedRoute, ParamMap } from '@angular/router';
+import { defer, from, Observable, of, Subscription } from 'rxjs';
+import { catchError, concatMap, finalize, map, reduce, switchMap, take, tap, toArray } from 'rxjs/operators';
+import { GooglePayError } from 'src/models/google-pay';
+import { LaunchOptions } from 'src/models/launch-options';
+import {
+  applyGeneratorEvent,
+  GeneratedSession,
+  GENERATOR_REPORT_PARAM,
+  parseSessionGeneratorRequest,
+  SessionGeneratorReport,
+  SessionGeneratorRequest,
+  toSessionGeneratorReport
+} from 'src/models/session-generator';
+import { MockScenarioService } from 'src/services/mock-scenario.service';
+import { UtilsService } from 'src/services/utils.service';
+
+/**
+ * Routed at /generate. Launches each option set against the local mock app
+ * window with the requested scenario, one after another, and POSTs the
+ * sessionCreated and outcome payloads to ?report=<url>. The window is closed
+ * as soon as an outcome arrives, so scenarios that leave it open still finish,
+ * and by the library when a launch's deadline passes, so that a stuck launch
+ * is reported as cancelled and the rest still run.
+ *
+ * The requested scenario is selected for the run only; the scenario picked in
+ * the harness is put back once the run ends or the page is left.
+ */
+@Component({
+  selector: 'app-session-generator',
+  templateUrl: './session-generator.component.html'
+})
+export class SessionGeneratorComponent implements OnDestroy {
+  request: SessionGeneratorRequest | null = null;
+  sessions: GeneratedSession[] = [];
+  message: string | null = null;
+  error: string | null = null;
+
+  private readonly subscription: Subscription;
+
+  constructor(
+    route: ActivatedRoute,
+    private http: HttpClient,
+    private mockScenarios: MockScenarioService,
+    private utils: UtilsService
+  ) {
+    this.subscription = route.queryParamMap.pipe(
+      take(1),
+      switchMap(params => this.generate(params).pipe(
+        switchMap(report => this.report(report, params.get(GENERATOR_REPORT_PARAM)))
+      ))
+    ).subscribe();
+  }
+
+  ngOnDestroy(): void {
+    this.subscription.unsubscribe();
+  }
+
+  private generate(params: ParamMap): Observable<SessionGeneratorReport> {
+    try {
+      this.request = parseSessionGeneratorRequest(params);
+    } catch (error) {
+      this.error = error instanceof Error ? error.message : String(error);
+      return of(toSessionGeneratorReport('', [], this.error));
+    }
+    const { optionSets, scenario } = this.request;
+    const restoreScenario = this.mockScenarios.selectTemporarily(scenario);
+    return from(optionSets).pipe(
+      concatMap((options, index) => this.launch(options, index)),
+      tap(session => this.sessions = [...this.sessions, session]),
+      toArray(),
+      map(sessions => toSessionGeneratorReport(scenario.id, sessions)),
+      finalize(restoreScenario)
+    );
+  }
+
+  private launch(options: LaunchOptions, index: number): Observable<GeneratedSession> {
+    const pending: GeneratedSession = { index, options, status: 'cancelled' };
+    return defer(() => this.utils.openAppWindow(options)).pipe(
+      tap(event => {
+        if (event.type === 'success' || event.type === 'failure') {
+          this.utils.closeAppWindow();
+        }
+      }),
+      reduce(applyGeneratorEvent, pending),
+      catchError(error => of<GeneratedSession>({
+        ...pending,
+        status: 'error',
+        errorCode: error instanceof GooglePayError ? error.code : String(error)
+      }))
+    );
+  }
+
+  /** Without a report URL, the report is only shown on the page. */
+  private report(report: SessionGeneratorReport, url: string | null): Observable<unknown> {
+    if (!url) {
+      this.message = `Done: ${JSON.stringify(report)}`;
+      return of(null);
+    }
+    return this.http.post(url, report, { responseType: 'text' }).pipe(
+      tap(() => this.message = `Reported ${report.sessions.length} session(s) to ${url}.`),
+      catchError(error => {
+        this.error = `Could not report to ${url}: ${error.message}`;
+        return of(null);
+      })
+    );
+  }
+}
@@ -0,0 +1,114 @@
+import { Component, OnDestroy } from '@angular/core';
+import { FormBuilder, FormControl, Validators } from '@angular/forms';
+import { Subscription } from 'rxjs';
+import { describeTab, HarnessTab } from 'src/models/harness-tab';
+import { SENSITIVE_ID_KEYS } from 'src/models/redaction';
+import { CapturedSession, SESSION_FIELDS } from 'src/models/session';
+import { EXPORT_FIELDS, EXPORT_FORMATS, ExportField, ExportFormat, VARIABLE_NAME_PATTERN } from 'src/models/session-export';
+import { HarnessTabService } from 'src/services/harness-tab.service';
+import { SessionExportService } from 'src/services/session-export.service';
+import { SessionStoreService } from 'src/services/session-store.service';
+
+@Component({
+  selector: 'app-session-panel',
+  templateUrl: './session-panel.component.html',
+  styleUrls: ['./session-panel.component.scss']
+})
+export class SessionPanelComponent implements OnDestroy {
+  readonly fields = SESSION_FIELDS;
+  readonly sensitiveFields: ReadonlyArray<string> = SENSITIVE_ID_KEYS;
+  readonly exportFields = EXPORT_FIELDS;
+  readonly exportFormats = EXPORT_FORMATS;
+  readonly sessions$ = this.sessionStore.sessions$;
+
+  readonly exportForm = this.fb.nonNullable.group({
+    format: this.fb.nonNullable.control<ExportFormat>('postman'),
+    names: this.fb.nonNullable.group({
+      clientSessionId: this.makeNameControl('clientSessionId'),
+      serverSessionId: this.makeNameControl('serverSessionId'),
+      publicDeviceId: this.makeNameControl('publicDeviceId'),
+      publicWalletId: this.makeNameControl('publicWalletId')
+    })
+  });
+
+  /** Key of the value most recently copied, used to flash "Copied". */
+  copiedKey: string | null = null;
+  copyError: string | null = null;
+
+  /** Sessions ticked for a combined export. */
+  readonly selectedIds = new Set<string>();
+
+  private readonly subscription: Subscription;
+
+  constructor(
+    private fb: FormBuilder,
+    private sessionStore: SessionStoreService,
+    private sessionExport: SessionExportService,
+    private harnessTab: HarnessTabService
+  ) {
+    const names = this.exportForm.controls.names;
+    this.subscription = names.valueChanges.subscribe(() => {
+      if (names.valid) {
+        this.sessionExport.variableNames = names.getRawValue();
+      }
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.subscription.unsubscribe();
+  }
+
+  copy(key: string, value: string | undefined): void {
+    if (!value) {
+      return;
+    }
+    this.copyError = null;
+    // The Clipboard API only exists in secure contexts: https, or localhost.
+    if (!navigator.clipboard) {
+      this.copyError = 'Copying needs the harness to be served over https or from localhost.';
+      return;
+    }
+    navigator.clipboard.writeText(value)
+      .then(() => this.copiedKey = key)
+      .catch(error => this.copyError = `Could not copy: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  tabLabel(tab: HarnessTab): string {
+    return describeTab(tab, this.harnessTab.tab.id);
+  }
+
+  remove(session: CapturedSession): void {
+    this.selectedIds.delete(session.id);
+    this.sessionStore.remove(session.id);
+  }
+
+  clear(): void {
+    this.selectedIds.clear();
+    this.sessionStore.clear();
+  }
+
+  toggleSelected(session: CapturedSession): void {
+    if (!this.selectedIds.delete(session.id)) {
+      this.selectedIds.add(session.id);
+    }
+  }
+
+  exportSessions(sessions: CapturedSession[]): void {
+    if (!sessions.length || this.exportForm.invalid) {
+      return;
+    }
+    this.sessionExport.download(this.exportForm.controls.format.value, sessions);
+  }
+
+  exportSelected(sessions: CapturedSession[]): void {
+    this.exportSessions(sessions.filter(session => this.selectedIds.has(session.id)));
+  }
+
+  trackById(index: number, session: CapturedSession): string {
+    return session.id;
+  }
+
+  private makeNameControl(field: ExportField): FormControl<string> {
+    return this.fb.nonNullable.control(this.sessionExport.variableNames[field], Validators.pattern(VARIABLE_NAME_PATTERN));
+  }
+}
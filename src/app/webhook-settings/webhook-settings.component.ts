@@ -0,0 +1,45 @@
+import { Component } from '@angular/core';
+import { FormBuilder } from '@angular/forms';
+import { parseWebhookHeaders, renderWebhookBody, WEBHOOK_VARIABLES, WebhookVariables } from 'src/models/webhook';
+import { WebhookService } from 'src/services/webhook.service';
+
+@Component({
+  selector: 'app-webhook-settings',
+  templateUrl: './webhook-settings.component.html',
+  styleUrls: ['./webhook-settings.component.scss']
+})
+export class WebhookSettingsComponent {
+  readonly variables = WEBHOOK_VARIABLES;
+  readonly webhookForm = this.fb.nonNullable.group(this.webhook.config);
+
+  saveError: string | null = null;
+  saved = false;
+
+  constructor(private fb: FormBuilder, private webhook: WebhookService) {}
+
+  save(): void {
+    const config = this.webhookForm.getRawValue();
+    this.saved = false;
+    try {
+      if (config.enabled && !/^https?:\/\//.test(config.url) && !config.url.startsWith('/')) {
+        throw new Error('The URL must start with http://, https:// or / (for the dev server proxy).');
+      }
+      parseWebhookHeaders(config.headers);
+      renderWebhookBody(config.bodyTemplate, this.sampleVariables());
+    } catch (error) {
+      this.saveError = error instanceof Error ? error.message : String(error);
+      return;
+    }
+    this.webhook.config = config;
+    this.saveError = null;
+    this.saved = true;
+  }
+
+  private sampleVariables(): WebhookVariables {
+    const variables = {} as WebhookVariables;
+    for (const name of WEBHOOK_VARIABLES) {
+      variables[name] = name;
+    }
+    return variables;
+  }
+}
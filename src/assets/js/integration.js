@@ -16,11 +16,20 @@
  * minimal effort.
  *
  * An issuer integrator or their intermediary can incorporate it directly into
- * the JavaScript bundle of their website. It exports the following two methods
+ * the JavaScript bundle of their website. It exports the following methods
  * onto the page's Window object:
  *
  *   window.googlepay.openAppWindow(appOptions);
  *   window.googlepay.closeAppWindow();
+ *   window.googlepay.lintAppOptions(appOptions);
+ *   window.googlepay.getState();
+ *   window.googlepay.addEventListener('statechange', listener);
+ *   window.googlepay.removeEventListener('statechange', listener);
+ *   window.googlepay.replayAppWindow(appOptions, fixture);
+ *   window.googlepay.retryAppWindow();
+ *   window.googlepay.registerApiVersion(...definitions);
+ *   window.googlepay.getApiVersions();
+ *   window.googlepay.testing.install(nowMs);
  *
  *
  * window.googlepay.openAppWindow(appOptions);
@@ -84,6 +93,59 @@
  *     'hl': languageTag,
  *   });
  *
+ * For local development, the application can be replaced with a stand-in page
+ * (e.g., a mock application window served by the integrator's own dev server)
+ * by specifying appOrigin and, optionally, appUrlPath:
+ *
+ *   appOrigin: The origin that the application window is opened at, e.g.,
+ *     'http://localhost:3000'. Messages are then accepted from this origin
+ *     only, instead of from the Google Pay origin. It must be a bare origin
+ *     without a path, query, or trailing slash.
+ *
+ *   appUrlPath: The path of the stand-in page on appOrigin, e.g.,
+ *     '/assets/mock/app-window.html'. It must begin with '/'. It defaults to
+ *     the Google Pay application path if appOrigin is specified without it.
+ *
+ * The application window opens wherever the browser decides, at the size
+ * given by contentHeight and contentWidth (if both are specified). To control
+ * its size and placement instead, specify:
+ *
+ *   windowSizePreset: 'desktop' (1100x700), 'tablet' (820x1180), or 'mobile'
+ *     (412x915), as width x height. Presets are used as-is, without raising
+ *     them to the minimum content dimensions, so that the application can be
+ *     previewed at smaller sizes. It cannot be combined with contentHeight and
+ *     contentWidth.
+ *
+ *   windowPlacement: 'center' to center the window over the integrator's
+ *     window, or 'auto' (the default) to let the browser place it. Centering
+ *     needs a size, so the minimum content dimensions are used if no size is
+ *     specified.
+ *
+ *   windowLeft, windowTop: Explicit screen coordinates of the window, in
+ *     pixels. Either both must be specified, or neither. They cannot be
+ *     combined with windowPlacement 'center'.
+ *
+ * Browsers block window.open unless it is called in response to a user
+ * gesture, such as a click. By default, openAppWindow then throws E411. To
+ * recover instead, specify either or both of:
+ *
+ *   popupBlockedPrompt: true to show a prompt on the integrator's page, with
+ *     a button that opens the application window from a fresh click, and
+ *     another that gives up (which calls onCancel).
+ *
+ *   onPopupBlocked: A callback (see below). Without popupBlockedPrompt, the
+ *     integrator shows their own prompt, and calls
+ *     window.googlepay.retryAppWindow from its click handler, or
+ *     window.googlepay.closeAppWindow to give up.
+ *
+ * Most option values are passed to the server as-is, and mistakes only show
+ * up as errors inside the application window. To catch them earlier, specify:
+ *
+ *   strictOptions: true to run window.googlepay.lintAppOptions (see below)
+ *     before opening the window, and throw E416 instead of opening it if any
+ *     error is found. The thrown Error lists the errors in its 'findings'
+ *     property. Warnings do not prevent the window from opening.
+ *
  * The callback functions that the integrator may specify in appOptions are
  * listed below. Only onSessionCreated is required. Each one accepts a payload
  * object parameter. Depending on the callback function, the payload may be
@@ -143,6 +205,62 @@
  *       'debugInfo': { ... },
  *     }
  *
+ *   onTimeout: Called when a stage deadline set with readyTimeoutMs,
+ *     sessionCreatedTimeoutMs, or outcomeTimeoutMs passes while the application
+ *     window is still open. Each deadline is measured from the moment the
+ *     window was opened, and is cancelled once that stage or a later one is
+ *     reached (ready, then sessionCreated, then success or failure). Unless
+ *     the deadline is set, onTimeout is never called for that stage. If
+ *     closeOnTimeout is true, the window is closed right after onTimeout is
+ *     called, which in turn leads to onCancel.
+ *
+ *     Payload structure: {
+ *       'stage': 'ready'|'sessionCreated'|'outcome',
+ *       'elapsedMs': number,
+ *     }
+ *
+ *   onMessageDiagnostic: Opt-in diagnostics. Called for every 'message' event
+ *     that the page receives while the application window is the current one,
+ *     whether or not the event is accepted, until onFinish or onCancel has
+ *     been called. Rejected events are otherwise
+ *     dropped silently, so this is the way to debug origin and window ID
+ *     mismatches. The reason is one of 'accepted', 'appWindowClosed',
+ *     'originMismatch', 'appWindowIdMismatch', or 'missingAction'.
+ *
+ *     Payload structure:
+ *     {
+ *       'accepted': boolean,
+ *       'reason': string,
+ *       'origin': string,
+ *       'expectedOrigin': string,
+ *       'appWindowId': *,
+ *       'expectedAppWindowId': string,
+ *       'action': *,
+ *       'data': *,
+ *       'timeStamp': number,
+ *     }
+ *
+ *   onPopupBlocked: Called every time window.open is blocked, if
+ *     popupBlockedPrompt or onPopupBlocked is specified (see above). The
+ *     state is 'popupBlocked' until the window is opened or given up on.
+ *
+ *     Payload structure: {
+ *       'attempts': number,  // How many times window.open has been blocked.
+ *       'prompt': boolean,   // Whether the library is showing its prompt.
+ *     }
+ *
+ *   onCallbackError: Called when any of the other callbacks, or a
+ *     'statechange' listener, throws. The library carries on as if the
+ *     callback had returned normally. Without onCallbackError, the error is
+ *     rethrown from a separate task, so that it is still reported (e.g., in
+ *     the console) without interrupting the library. While the testing module
+ *     is installed, it is rethrown at once instead (see below).
+ *
+ *     Payload structure: {
+ *       'callback': string,  // E.g., 'onSuccess' or 'statechange'.
+ *       'error': *,
+ *     }
+ *
  *
  * window.googlepay.closeAppWindow();
  * ====================================
@@ -151,6 +269,232 @@
  * supplied in window.googlepay.openAppWindow will no longer be called. In most
  * cases, the integrator website should not call this method. Instead, it should
  * let the user close the application window at their leisure.
+ *
+ * If the window was blocked (see popupBlockedPrompt and onPopupBlocked), this
+ * gives up on it: the prompt, if any, is removed and onCancel is called.
+ *
+ *
+ * window.googlepay.lintAppOptions(appOptions);
+ * ==============================================
+ *
+ * Checks the appOptions values that are otherwise only validated by the
+ * server, without opening a window, and returns what it finds as an array:
+ *
+ *   [
+ *     {
+ *       'severity': 'error'|'warning',
+ *       'option': string,   // The appOptions key, e.g., 'hl'.
+ *       'message': string,
+ *     },
+ *     ...
+ *   ]
+ *
+ * Errors are values that the application is expected to reject: an empty
+ * integratorId, a tokenSetting or cardSetting other than 0 or 1, a
+ * non-boolean isTestEnvironment, an hl that is not shaped like a BCP 47
+ * language tag, or a clientSessionId longer than 128 characters or with
+ * characters other than letters, digits, '_', and '-'. An apiVersion that is
+ * not registered, and options or callbacks that the API version does not take
+ * (see registerApiVersion below), are errors too. Warnings are values that
+ * are accepted but probably not what was meant, e.g., a contentHeight or
+ * contentWidth that will be raised to the minimum, or a windowSizePreset
+ * smaller than the minimum. Options that are undefined are not sent, so they
+ * are not checked either.
+ *
+ *
+ * window.googlepay.getState();
+ * ==============================
+ *
+ * Returns a snapshot of the current application window:
+ *
+ *   {
+ *     'state': string,
+ *     'isAppWindowOpen': boolean,
+ *     'options': {!Object<string, *>|null},  // The appOptions, frozen.
+ *   }
+ *
+ * The state is one of the following, in the order they are normally reached:
+ *
+ *   'idle': No application window has been opened yet.
+ *   'popupBlocked': window.open was blocked; see onPopupBlocked.
+ *   'opening': The window has been opened; its application is loading.
+ *   'ready': The application sent 'ready'.
+ *   'sessionCreated': The application sent 'sessionCreated'.
+ *   'succeeded' or 'failed': The application sent 'success' or 'failure'.
+ *   'closed': The window has been closed, with or without an outcome.
+ *
+ *
+ * window.googlepay.addEventListener('statechange', listener);
+ * window.googlepay.removeEventListener('statechange', listener);
+ * ===============================================================
+ *
+ * Adds or removes a function that is called every time the state reported by
+ * getState changes, right before the corresponding callback in appOptions.
+ * Any number of listeners can be added; they stay added across application
+ * windows. 'statechange' is the only event type. The listener is passed:
+ *
+ *   {
+ *     'type': 'statechange',
+ *     'state': string,
+ *     'previousState': string,
+ *     'isAppWindowOpen': boolean,
+ *     'options': !Object<string, *>,
+ *   }
+ *
+ *
+ * window.googlepay.replayAppWindow(appOptions, fixture);
+ * ========================================================
+ *
+ * Development aid. Takes the same appOptions as openAppWindow, but instead of
+ * opening a window, feeds a recorded sequence of 'message' events through the
+ * same handling that a real application window's messages go through, with
+ * their original timing. No network requests are made. The callbacks are
+ * called as they were during the recording, and onFinish or onCancel follows
+ * when the recorded window closes (or closeAppWindow is called).
+ *
+ * A fixture can be recorded from the onMessageDiagnostic reports of a real
+ * run. Its structure is:
+ *
+ *   {
+ *     'appOrigin': string,        // The expectedOrigin when recorded.
+ *     'appWindowId': string,      // The expectedAppWindowId when recorded.
+ *     'messages': [
+ *       {
+ *         'atMs': number,         // Milliseconds after the window opened.
+ *         'origin': string,
+ *         'data': *,
+ *       },
+ *       ...
+ *     ],
+ *     'closedAtMs': {number|undefined},  // Omitted if it never closed.
+ *   }
+ *
+ * Without closedAtMs, the replay closes the window right after the last
+ * message, so that it ends like a recording that did close.
+ *
+ * Where a message's origin or appWindowId matched the recorded appOrigin or
+ * appWindowId, the current ones are substituted, so messages are accepted or
+ * rejected exactly as they were during the recording.
+ *
+ *
+ * window.googlepay.retryAppWindow();
+ * ====================================
+ *
+ * Tries to open the application window again after window.open was blocked,
+ * and returns true if it opened. It must be called from a user gesture (e.g.,
+ * a click handler) for the browser to allow it. Returns false without doing
+ * anything unless the state is 'popupBlocked'.
+ *
+ *
+ * window.googlepay.registerApiVersion(...definitions);
+ * window.googlepay.getApiVersions();
+ * ======================================================
+ *
+ * The application is opened with API version 'V1_6' unless appOptions
+ * specifies another in apiVersion, e.g., to try the version that an
+ * integration is migrating to. Each version is defined by:
+ *
+ *   {
+ *     'apiVersion': string,        // E.g., 'V1_7'; sent as a URL parameter.
+ *     'options': !Array<string>,   // E.g., ['integratorId', 'hl', ...].
+ *     'callbacks': !Array<string>, // E.g., ['onSessionCreated', ...].
+ *     'urlParams': !Array<string>, // E.g., ['integratorId', 'csid', ...].
+ *     'appWindowIdPrefix': {string|undefined},
+ *   }
+ *
+ * options and callbacks list the appOptions that the version takes, out of
+ * the ones that are passed on to the application: integratorId,
+ * tokenSetting, cardSetting, isTestEnvironment, clientSessionId, hl,
+ * contentHeight, and contentWidth, and the callbacks onSessionCreated (which
+ * must be listed), onReady, onSuccess, onFailure, onFinish, and onCancel. The
+ * other appOptions configure this library only, and can be used with any
+ * version. openAppWindow throws E420 if appOptions specifies an option or
+ * callback that the version does not take, and E419 if the version is not
+ * registered.
+ *
+ * urlParams lists the URL parameters that the version is sent, out of
+ * integratorId, tokenSetting, cardSetting, csid (the clientSessionId), hl,
+ * and windowFeatures. apiVersion and origin are always sent.
+ *
+ * The application window is named appWindowIdPrefix followed by '1' or '2',
+ * and only messages carrying that name are accepted. The prefix defaults to
+ * 'googlepay-webpp-<apiVersion in lower case>-app-window-'.
+ *
+ * registerApiVersion adds a version, or replaces one that was added before.
+ * It throws E419 if the definition is invalid or names the built-in version.
+ * Given several definitions, it checks them all first, and registers none of
+ * them if any is invalid.
+ * getApiVersions returns the definitions of every version, the built-in one
+ * first.
+ *
+ *
+ * window.googlepay.testing.install(nowMs);
+ * ==========================================
+ *
+ * Test aid for the integrator's unit tests. Until uninstall is called,
+ * openAppWindow opens a fake application window instead of calling
+ * window.open, and the library's timers (window polling, stage deadlines,
+ * replays) run on a virtual clock that starts at nowMs (by default, the
+ * current time) and only moves when the test says so. Everything else is the
+ * library's own code: options are validated and errors thrown as usual, and
+ * messages go through the same origin and window ID checks as real ones.
+ * Calling install again starts over. install throws E418 while an application
+ * window opened before it is still open or blocked, since that window's
+ * timers would stop on the virtual clock.
+ *
+ * The other methods of window.googlepay.testing, which throw E418 unless the
+ * testing module is installed, are:
+ *
+ *   getAppWindow(): The last application window opened, or null:
+ *     {
+ *       'url': string,
+ *       'origin': string,
+ *       'name': string,        // The appWindowId that messages must carry.
+ *       'features': string,
+ *       'params': !Object<string, string>,  // The decoded query parameters.
+ *       'closed': boolean,
+ *     }
+ *
+ *   dispatch(action, payload): Sends a message from the application window,
+ *     as the application would, with any action (e.g., 'sessionCreated') and
+ *     payload. Throws E418 if no window has been opened.
+ *
+ *   dispatchMessage(data, origin): Sends a 'message' event with arbitrary
+ *     data, from the application window's origin unless another is given.
+ *
+ *   markAppWindowClosed(): Closes the application window the way the user
+ *     would. onFinish or onCancel is called on the next poll, 200 ms later.
+ *
+ *   setPopupBlocked(blocked): Makes window.open fail from now on, or not.
+ *
+ *   tick(ms): Moves the virtual clock forward, running the timers that fall
+ *     due in order. If any of them throws, the rest still run and the clock
+ *     still moves forward; the first error is thrown from tick afterwards.
+ *
+ *   getPendingTimerCount(): How many timers are still scheduled.
+ *
+ *   uninstall(): Restores window.open, the real clock, and the API versions
+ *     registered before install, and forgets the current application window
+ *     without calling any more of its callbacks, so that the next test starts
+ *     from the 'idle' state.
+ *
+ * While the testing module is installed, an error thrown by a callback,
+ * without onCallbackError, is rethrown at once, from the call that caused the
+ * callback (e.g., dispatch or tick), so that the test fails right there.
+ *
+ * Example Usage (Jasmine):
+ *
+ *   beforeEach(() => window.googlepay.testing.install(0));
+ *   afterEach(() => window.googlepay.testing.uninstall());
+ *
+ *   it('calls onCancel when the window is closed early', () => {
+ *     const onCancel = jasmine.createSpy('onCancel');
+ *     window.googlepay.openAppWindow({..., 'onCancel': onCancel});
+ *     window.googlepay.testing.dispatch('ready', {});
+ *     window.googlepay.testing.markAppWindowClosed();
+ *     window.googlepay.testing.tick(200);
+ *     expect(onCancel).toHaveBeenCalledWith({});
+ *   });
  */
 
 (() => {
@@ -195,6 +539,53 @@
     return params.join(delimiter);
   }
 
+  /**
+   * @param {string} value
+   * @return {boolean} True if the passed in value is a bare origin, i.e., a
+   *     URL with no path, query, fragment, or trailing slash.
+   */
+  function isBareOrigin(value) {
+    try {
+      return new URL(value).origin === value;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Calls an integrator-specified function, isolating any error that it throws
+   * from the library. The error is passed to onCallbackError if specified, or
+   * else rethrown from a separate task so that it is still reported. Under the
+   * testing module, it is rethrown at once instead.
+   *
+   * @param {string} name The name reported to onCallbackError.
+   * @param {function(!Object<string, *>)|undefined} callback
+   * @param {!Object<string, *>} payload
+   * @param {function(!Object<string, *>)|undefined} onCallbackError
+   */
+  function invokeCallback(name, callback, payload, onCallbackError) {
+    if (!callback) {
+      return;
+    }
+    try {
+      callback(payload);
+    } catch (error) {
+      if (onCallbackError) {
+        invokeCallback(
+            AppOptionKey.ON_CALLBACK_ERROR, onCallbackError,
+            {'callback': name, 'error': error}, undefined);
+      } else if (testHarness) {
+        // Fail the test at the call that caused the callback, rather than on
+        // a later tick.
+        throw error;
+      } else {
+        clock.setTimeout(() => {
+          throw error;
+        });
+      }
+    }
+  }
+
   /**
    * @return {string} The origin of the page that is using this Integration
    *     Library (e.g., 'https://www.acmecreditunion.com').
@@ -206,37 +597,70 @@
 
   const WINDOW_GOOGLEPAY_KEY = 'googlepay';
 
-  const API_VERSION = 'V1_6';
+  const DEFAULT_API_VERSION = 'V1_6';
+  const API_VERSION_PATTERN = /^V[0-9]+_[0-9]+$/;
 
   const PROD_GOOGLE_PAY_ORIGIN = 'https://pay.google.com';
   const TEST_GOOGLE_PAY_ORIGIN = 'https://pay.sandbox.google.com';
 
   const APP_URL_PATH = '/gp/v/a/pushprovisioning/frame';
 
-  const FIXED_APP_WINDOW_ID_1 = 'googlepay-webpp-v1_6-app-window-1';
-  const FIXED_APP_WINDOW_ID_2 = 'googlepay-webpp-v1_6-app-window-2';
-
   const MIN_CONTENT_HEIGHT = 700;
   const MIN_CONTENT_WIDTH = 1100;
 
   const POLL_APP_WINDOW_CLOSED_INTERVAL_MS = 200;
 
+  const POPUP_BLOCKED_PROMPT_STYLE = [
+    'position: fixed',
+    'z-index: 2147483647',
+    'top: 16px',
+    'left: 50%',
+    'transform: translateX(-50%)',
+    'padding: 16px',
+    'border-radius: 8px',
+    'background: #fff',
+    'color: #202124',
+    'box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3)',
+    'font: 14px sans-serif',
+  ].join(';');
+
+  const SETTING_VALUES = [0, 1, '0', '1'];
+  const LANGUAGE_TAG_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+  const CLIENT_SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
   /** @enum {string} */
   const AppOptionKey = {
+    API_VERSION: 'apiVersion',
+    APP_ORIGIN: 'appOrigin',
+    APP_URL_PATH: 'appUrlPath',
     CARD_SETTING: 'cardSetting',
     CLIENT_SESSION_ID: 'clientSessionId',
+    CLOSE_ON_TIMEOUT: 'closeOnTimeout',
     CONTENT_HEIGHT: 'contentHeight',
     CONTENT_WIDTH: 'contentWidth',
     HL: 'hl',
     INTEGRATOR_ID: 'integratorId',
     IS_TEST_ENVIRONMENT: 'isTestEnvironment',
+    ON_CALLBACK_ERROR: 'onCallbackError',
     ON_CANCEL: 'onCancel',
     ON_FAILURE: 'onFailure',
     ON_FINISH: 'onFinish',
+    ON_MESSAGE_DIAGNOSTIC: 'onMessageDiagnostic',
+    ON_POPUP_BLOCKED: 'onPopupBlocked',
     ON_READY: 'onReady',
     ON_SESSION_CREATED: 'onSessionCreated',
     ON_SUCCESS: 'onSuccess',
+    ON_TIMEOUT: 'onTimeout',
+    OUTCOME_TIMEOUT_MS: 'outcomeTimeoutMs',
+    POPUP_BLOCKED_PROMPT: 'popupBlockedPrompt',
+    READY_TIMEOUT_MS: 'readyTimeoutMs',
+    SESSION_CREATED_TIMEOUT_MS: 'sessionCreatedTimeoutMs',
+    STRICT_OPTIONS: 'strictOptions',
     TOKEN_SETTING: 'tokenSetting',
+    WINDOW_LEFT: 'windowLeft',
+    WINDOW_PLACEMENT: 'windowPlacement',
+    WINDOW_SIZE_PRESET: 'windowSizePreset',
+    WINDOW_TOP: 'windowTop',
   };
 
   /** @enum {string} */
@@ -256,9 +680,34 @@
   /** @enum {string} */
   const WindowFeatureKey = {
     HEIGHT: 'height',
+    LEFT: 'left',
+    TOP: 'top',
     WIDTH: 'width',
   };
 
+  /** @enum {string} */
+  const WindowPlacement = {
+    AUTO: 'auto',
+    CENTER: 'center',
+  };
+
+  /** @enum {string} */
+  const WindowSizePreset = {
+    DESKTOP: 'desktop',
+    TABLET: 'tablet',
+    MOBILE: 'mobile',
+  };
+
+  /**
+   * The window height and width of each {@link WindowSizePreset}.
+   * @const {!Map<!WindowSizePreset, !Array<number>>}
+   */
+  const WINDOW_SIZE_PRESETS = new Map([
+    [WindowSizePreset.DESKTOP, [MIN_CONTENT_HEIGHT, MIN_CONTENT_WIDTH]],
+    [WindowSizePreset.TABLET, [1180, 820]],
+    [WindowSizePreset.MOBILE, [915, 412]],
+  ]);
+
   /** @enum {string} */
   const MessageDataKey = {
     ACTION: 'action',
@@ -275,6 +724,67 @@
     SUCCESS: 'success',
   };
 
+  /**
+   * The states reported by getState, in the order they are normally reached.
+   * @enum {string}
+   */
+  const AppState = {
+    IDLE: 'idle',
+    POPUP_BLOCKED: 'popupBlocked',
+    OPENING: 'opening',
+    READY: 'ready',
+    SESSION_CREATED: 'sessionCreated',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CLOSED: 'closed',
+  };
+
+  /** @enum {string} */
+  const EventType = {
+    STATE_CHANGE: 'statechange',
+  };
+
+  /**
+   * The state that each {@link Action} moves the application window to.
+   * @const {!Map<!Action, !AppState>}
+   */
+  const ACTION_STATES = new Map([
+    [Action.FAILURE, AppState.FAILED],
+    [Action.READY, AppState.READY],
+    [Action.SESSION_CREATED, AppState.SESSION_CREATED],
+    [Action.SUCCESS, AppState.SUCCEEDED],
+  ]);
+
+  /**
+   * The appOptions key of the callback that each {@link Action} calls.
+   * @const {!Map<!Action, !AppOptionKey>}
+   */
+  const ACTION_CALLBACK_KEYS = new Map([
+    [Action.FAILURE, AppOptionKey.ON_FAILURE],
+    [Action.READY, AppOptionKey.ON_READY],
+    [Action.SESSION_CREATED, AppOptionKey.ON_SESSION_CREATED],
+    [Action.SUCCESS, AppOptionKey.ON_SUCCESS],
+  ]);
+
+  /**
+   * Stages that can be given a deadline, in the order they are reached.
+   * @enum {string}
+   */
+  const Stage = {
+    READY: 'ready',
+    SESSION_CREATED: 'sessionCreated',
+    OUTCOME: 'outcome',
+  };
+
+  /** @enum {string} */
+  const MessageDiagnosticReason = {
+    ACCEPTED: 'accepted',
+    APP_WINDOW_CLOSED: 'appWindowClosed',
+    APP_WINDOW_ID_MISMATCH: 'appWindowIdMismatch',
+    MISSING_ACTION: 'missingAction',
+    ORIGIN_MISMATCH: 'originMismatch',
+  };
+
   /** @enum {string} */
   const ErrorCode = {
     INVALID_OR_MISSING_APP_OPTIONS: 'E406',
@@ -283,8 +793,92 @@
     INVALID_CONTENT_DIMENSIONS: 'E409',
     APP_WINDOW_ALREADY_OPEN: 'E410',
     APP_WINDOW_NOT_OPENED: 'E411',
+    INVALID_APP_ORIGIN: 'E412',
+    INVALID_STAGE_TIMEOUT: 'E413',
+    INVALID_REPLAY_FIXTURE: 'E414',
+    INVALID_EVENT_LISTENER: 'E415',
+    INVALID_APP_OPTION_VALUE: 'E416',
+    INVALID_WINDOW_OPTIONS: 'E417',
+    INVALID_TESTING_CALL: 'E418',
+    INVALID_API_VERSION: 'E419',
+    UNSUPPORTED_APP_OPTION: 'E420',
+  };
+
+  /** @enum {string} */
+  const LintSeverity = {
+    ERROR: 'error',
+    WARNING: 'warning',
+  };
+
+  /** @enum {string} */
+  const FixtureKey = {
+    APP_ORIGIN: 'appOrigin',
+    APP_WINDOW_ID: 'appWindowId',
+    CLOSED_AT_MS: 'closedAtMs',
+    MESSAGES: 'messages',
+  };
+
+  /** @enum {string} */
+  const FixtureMessageKey = {
+    AT_MS: 'atMs',
+    DATA: 'data',
+    ORIGIN: 'origin',
+  };
+
+  /** @enum {string} */
+  const ApiVersionKey = {
+    API_VERSION: 'apiVersion',
+    APP_WINDOW_ID_PREFIX: 'appWindowIdPrefix',
+    CALLBACKS: 'callbacks',
+    OPTIONS: 'options',
+    URL_PARAMS: 'urlParams',
   };
 
+  /**
+   * The appOptions that are passed on to the application, as opposed to the
+   * ones that only configure this library. Which of them can be specified
+   * depends on the API version.
+   * @const {!Array<!AppOptionKey>}
+   */
+  const VERSIONED_OPTION_KEYS = [
+    AppOptionKey.CARD_SETTING,
+    AppOptionKey.CLIENT_SESSION_ID,
+    AppOptionKey.CONTENT_HEIGHT,
+    AppOptionKey.CONTENT_WIDTH,
+    AppOptionKey.HL,
+    AppOptionKey.INTEGRATOR_ID,
+    AppOptionKey.IS_TEST_ENVIRONMENT,
+    AppOptionKey.TOKEN_SETTING,
+  ];
+
+  /**
+   * The callbacks that stand for something the application did. Which of them
+   * can be specified depends on the API version.
+   * @const {!Array<!AppOptionKey>}
+   */
+  const VERSIONED_CALLBACK_KEYS = [
+    AppOptionKey.ON_CANCEL,
+    AppOptionKey.ON_FAILURE,
+    AppOptionKey.ON_FINISH,
+    AppOptionKey.ON_READY,
+    AppOptionKey.ON_SESSION_CREATED,
+    AppOptionKey.ON_SUCCESS,
+  ];
+
+  /**
+   * The URL parameters that an API version can be sent. The apiVersion and
+   * origin parameters are always sent.
+   * @const {!Array<!UrlParamKey>}
+   */
+  const VERSIONED_URL_PARAM_KEYS = [
+    UrlParamKey.CARD_SETTING,
+    UrlParamKey.CSID,
+    UrlParamKey.HL,
+    UrlParamKey.INTEGRATOR_ID,
+    UrlParamKey.TOKEN_SETTING,
+    UrlParamKey.WINDOW_FEATURES,
+  ];
+
   /**
    * A payload object passed in to an integrator-specified callback.
    * @typedef {!Object<string, *>}
@@ -297,6 +891,212 @@
    */
   let Callback;
 
+  /**
+   * Opens the application window, given its URL, name, and window features.
+   * @typedef {function(string, string, string): ?Window}
+   */
+  let WindowOpener;
+
+  /**
+   * The timers and current time that the library goes by. The testing module
+   * swaps in a virtual clock while it is installed.
+   * @typedef {{
+   *   setTimeout: function(function(), number=): number,
+   *   clearTimeout: function(number|undefined),
+   *   now: function(): number,
+   * }}
+   */
+  let Clock;
+
+  /**
+   * A problem found by {@link lintAppOptions}, with 'severity', 'option', and
+   * 'message' keys.
+   * @typedef {!Object<string, string>}
+   */
+  let LintFinding;
+
+  /**
+   * An API version that the application can be opened with: the appOptions
+   * and callbacks that it takes, the URL parameters that it is sent, and the
+   * prefix of the names that its windows are opened with (followed by '1' or
+   * '2').
+   * @typedef {{
+   *   apiVersion: string,
+   *   optionKeys: !Array<!AppOptionKey>,
+   *   callbackKeys: !Array<!AppOptionKey>,
+   *   urlParamKeys: !Array<!UrlParamKey>,
+   *   appWindowIdPrefix: string,
+   * }}
+   */
+  let ApiVersion;
+
+  /**
+   * The API versions that openAppWindow accepts, by apiVersion. The default
+   * version is built in, and takes every versioned option and callback.
+   * Others are added with registerApiVersion.
+   * @const {!Map<string, !ApiVersion>}
+   */
+  const apiVersions = new Map([[DEFAULT_API_VERSION, {
+    apiVersion: DEFAULT_API_VERSION,
+    optionKeys: VERSIONED_OPTION_KEYS,
+    callbackKeys: VERSIONED_CALLBACK_KEYS,
+    urlParamKeys: VERSIONED_URL_PARAM_KEYS,
+    appWindowIdPrefix: 'googlepay-webpp-v1_6-app-window-',
+  }]]);
+
+  /**
+   * @param {*} apiVersion The apiVersion appOption; undefined for the default.
+   * @return {?ApiVersion} The registered API version, or null if there is
+   *     none by that name.
+   */
+  function findApiVersion(apiVersion) {
+    return apiVersions.get(
+               apiVersion === undefined ? DEFAULT_API_VERSION : apiVersion) ||
+        null;
+  }
+
+  /**
+   * @param {!Object<string, *>} appOptionsObject
+   * @param {!ApiVersion} apiVersion
+   * @return {!Array<!AppOptionKey>} The versioned options and callbacks that
+   *     are specified in appOptionsObject but not supported by apiVersion.
+   */
+  function getUnsupportedOptionKeys(appOptionsObject, apiVersion) {
+    const supportedKeys =
+        [...apiVersion.optionKeys, ...apiVersion.callbackKeys];
+    return [...VERSIONED_OPTION_KEYS, ...VERSIONED_CALLBACK_KEYS].filter(
+        (key) => appOptionsObject[key] !== undefined &&
+            !supportedKeys.includes(key));
+  }
+
+  /**
+   * Checks the appOptions values that are passed to the server as-is. See the
+   * documentation of window.googlepay.lintAppOptions above.
+   *
+   * @param {!Object<string, *>} appOptionsObject
+   * @return {!Array<!LintFinding>}
+   * @throws {!Error}
+   */
+  function lintAppOptions(appOptionsObject) {
+    assertValueType(
+        appOptionsObject, ['object'], ErrorCode.INVALID_OR_MISSING_APP_OPTIONS);
+    assert(appOptionsObject !== null, ErrorCode.INVALID_OR_MISSING_APP_OPTIONS);
+
+    const /** !Array<!LintFinding> */ findings = [];
+    /**
+     * @param {!LintSeverity} severity
+     * @param {!AppOptionKey} option
+     * @param {string} message
+     */
+    const report = (severity, option, message) => {
+      findings.push(
+          {'severity': severity, 'option': option, 'message': message});
+    };
+
+    const apiVersion =
+        findApiVersion(appOptionsObject[AppOptionKey.API_VERSION]);
+    if (!apiVersion) {
+      report(
+          LintSeverity.ERROR, AppOptionKey.API_VERSION,
+          'apiVersion must be one of: ' +
+              `${Array.from(apiVersions.keys()).join(', ')}.`);
+    } else {
+      const unsupportedKeys =
+          getUnsupportedOptionKeys(appOptionsObject, apiVersion);
+      for (const key of unsupportedKeys) {
+        report(
+            LintSeverity.ERROR, key,
+            `${key} is not supported by API version ${apiVersion.apiVersion}.`);
+      }
+    }
+
+    const integratorId = appOptionsObject[AppOptionKey.INTEGRATOR_ID];
+    if (integratorId !== undefined &&
+        (typeof integratorId !== 'string' || !integratorId.trim())) {
+      report(
+          LintSeverity.ERROR, AppOptionKey.INTEGRATOR_ID,
+          'integratorId must be a non-empty string.');
+    }
+
+    const settingKeys = [AppOptionKey.TOKEN_SETTING, AppOptionKey.CARD_SETTING];
+    for (const settingKey of settingKeys) {
+      if (appOptionsObject[settingKey] !== undefined &&
+          !SETTING_VALUES.includes(appOptionsObject[settingKey])) {
+        report(
+            LintSeverity.ERROR, settingKey, `${settingKey} must be 0 or 1.`);
+      }
+    }
+    // Values that are not 0 or 1 have been reported above, so '' or null
+    // does not count as 0 here.
+    if (settingKeys.every(
+            (key) => SETTING_VALUES.includes(appOptionsObject[key]) &&
+                Number(appOptionsObject[key]) === 0)) {
+      report(
+          LintSeverity.WARNING, AppOptionKey.CARD_SETTING,
+          'tokenSetting and cardSetting are both 0, so nothing will be ' +
+              'provisioned.');
+    }
+
+    const isTestEnvironment =
+        appOptionsObject[AppOptionKey.IS_TEST_ENVIRONMENT];
+    if (isTestEnvironment !== undefined &&
+        typeof isTestEnvironment !== 'boolean') {
+      report(
+          LintSeverity.ERROR, AppOptionKey.IS_TEST_ENVIRONMENT,
+          'isTestEnvironment must be true or false; other values choose the ' +
+              'environment by truthiness.');
+    }
+
+    const hl = appOptionsObject[AppOptionKey.HL];
+    if (hl !== undefined &&
+        (typeof hl !== 'string' || !LANGUAGE_TAG_PATTERN.test(hl))) {
+      report(
+          LintSeverity.ERROR, AppOptionKey.HL,
+          'hl must be a BCP 47 language tag, e.g., \'en\' or \'en-US\'.');
+    }
+
+    const clientSessionId = appOptionsObject[AppOptionKey.CLIENT_SESSION_ID];
+    if (clientSessionId === '') {
+      report(
+          LintSeverity.WARNING, AppOptionKey.CLIENT_SESSION_ID,
+          'clientSessionId is empty, so none is sent.');
+    } else if (
+        clientSessionId !== undefined && clientSessionId !== null &&
+        !CLIENT_SESSION_ID_PATTERN.test(String(clientSessionId))) {
+      report(
+          LintSeverity.ERROR, AppOptionKey.CLIENT_SESSION_ID,
+          'clientSessionId must be at most 128 letters, digits, \'_\', or ' +
+              '\'-\'.');
+    }
+
+    const /** !Map<!AppOptionKey, number> */ minimumDimensions = new Map([
+      [AppOptionKey.CONTENT_HEIGHT, MIN_CONTENT_HEIGHT],
+      [AppOptionKey.CONTENT_WIDTH, MIN_CONTENT_WIDTH],
+    ]);
+    for (const [dimensionKey, minimum] of minimumDimensions) {
+      const dimension = appOptionsObject[dimensionKey];
+      if (typeof dimension === 'number' && dimension < minimum) {
+        report(
+            LintSeverity.WARNING, dimensionKey,
+            `${dimensionKey} ${dimension} will be raised to ${minimum}.`);
+      }
+    }
+
+    const windowSizePreset = appOptionsObject[AppOptionKey.WINDOW_SIZE_PRESET];
+    if (WINDOW_SIZE_PRESETS.has(windowSizePreset)) {
+      const [height, width] = WINDOW_SIZE_PRESETS.get(windowSizePreset);
+      if (height < MIN_CONTENT_HEIGHT || width < MIN_CONTENT_WIDTH) {
+        report(
+            LintSeverity.WARNING, AppOptionKey.WINDOW_SIZE_PRESET,
+            `windowSizePreset '${windowSizePreset}' is smaller than ` +
+                `${MIN_CONTENT_WIDTH}x${MIN_CONTENT_HEIGHT}, so the ` +
+                'application content may be clipped.');
+      }
+    }
+
+    return findings;
+  }
+
   /**
    * An internal representation of the appOptions object that integrators are
    * instructed to pass in to window.googlepay.openAppWindow.
@@ -315,13 +1115,25 @@
      * Constructor that takes in integrator-specified app options and performs
      * type checks and other validations on some of its fields.
      *
-     * Only the callback functions and window features are validated here.
+     * Only the callback functions, window features, popup blocking options,
+     * application origin overrides, and stage deadlines are validated here.
      * Everything else is passed to the server as-is and validated there.
      *
      * @param {!Object<string, *>} appOptionsObject
      * @throws {!Error}
      */
     constructor(appOptionsObject) {
+      // Look up the API version, and reject the options and callbacks that it
+      // does not support before validating any of them.
+      const apiVersion =
+          findApiVersion(appOptionsObject[AppOptionKey.API_VERSION]);
+      assert(Boolean(apiVersion), ErrorCode.INVALID_API_VERSION);
+      /** @const {!ApiVersion} */
+      this.apiVersion = /** @type {!ApiVersion} */ (apiVersion);
+      assert(
+          !getUnsupportedOptionKeys(appOptionsObject, this.apiVersion).length,
+          ErrorCode.UNSUPPORTED_APP_OPTION);
+
       /**
        * @param {?} value
        * @return {?}
@@ -354,6 +1166,51 @@
       /** @const {!Callback|undefined} */
       this.onCancel =
           assertOptionalCallback(appOptionsObject[AppOptionKey.ON_CANCEL]);
+      /** @const {!Callback|undefined} */
+      this.onMessageDiagnostic = assertOptionalCallback(
+          appOptionsObject[AppOptionKey.ON_MESSAGE_DIAGNOSTIC]);
+      /** @const {!Callback|undefined} */
+      this.onTimeout =
+          assertOptionalCallback(appOptionsObject[AppOptionKey.ON_TIMEOUT]);
+      /** @const {!Callback|undefined} */
+      this.onCallbackError = assertOptionalCallback(
+          appOptionsObject[AppOptionKey.ON_CALLBACK_ERROR]);
+      /** @const {!Callback|undefined} */
+      this.onPopupBlocked = assertOptionalCallback(
+          appOptionsObject[AppOptionKey.ON_POPUP_BLOCKED]);
+      /** @const {boolean|undefined} */
+      this.popupBlockedPrompt = assertValueType(
+          appOptionsObject[AppOptionKey.POPUP_BLOCKED_PROMPT],
+          ['boolean', 'undefined'], ErrorCode.INVALID_WINDOW_OPTIONS);
+
+      // Extract and validate the stage deadlines, if specified. Each one must
+      // be a positive number of milliseconds.
+      /**
+       * @param {!AppOptionKey} appOptionKey
+       * @return {number|undefined}
+       * @throws {!Error}
+       */
+      const extractStageTimeout = (appOptionKey) => {
+        const value = assertValueType(
+            appOptionsObject[appOptionKey], ['number', 'undefined'],
+            ErrorCode.INVALID_STAGE_TIMEOUT);
+        assert(
+            value === undefined || value > 0, ErrorCode.INVALID_STAGE_TIMEOUT);
+        return value;
+      };
+      /** @const {!Map<!Stage, number|undefined>} */
+      this.stageTimeouts = new Map([
+        [Stage.READY, extractStageTimeout(AppOptionKey.READY_TIMEOUT_MS)],
+        [
+          Stage.SESSION_CREATED,
+          extractStageTimeout(AppOptionKey.SESSION_CREATED_TIMEOUT_MS),
+        ],
+        [Stage.OUTCOME, extractStageTimeout(AppOptionKey.OUTCOME_TIMEOUT_MS)],
+      ]);
+      /** @const {boolean|undefined} */
+      this.closeOnTimeout = assertValueType(
+          appOptionsObject[AppOptionKey.CLOSE_ON_TIMEOUT],
+          ['boolean', 'undefined'], ErrorCode.INVALID_STAGE_TIMEOUT);
 
       // Extract and validate the content height and width, if specified. Either
       // both must be numbers, or both must be undefined. Minimum dimensions are
@@ -367,6 +1224,60 @@
           appOptionsObject[AppOptionKey.CONTENT_WIDTH],
           [typeof this.contentHeight], ErrorCode.INVALID_CONTENT_DIMENSIONS);
 
+      // Extract and validate the window size preset, if specified. It replaces
+      // the content height and width, so they cannot be specified with it.
+      /** @const {!WindowSizePreset|undefined} */
+      this.windowSizePreset = assertValueType(
+          appOptionsObject[AppOptionKey.WINDOW_SIZE_PRESET],
+          ['string', 'undefined'], ErrorCode.INVALID_CONTENT_DIMENSIONS);
+      assert(
+          this.windowSizePreset === undefined ||
+              (WINDOW_SIZE_PRESETS.has(this.windowSizePreset) &&
+               this.contentHeight === undefined),
+          ErrorCode.INVALID_CONTENT_DIMENSIONS);
+
+      // Extract and validate the window placement, if specified. Explicit
+      // coordinates must come as a pair, and cannot be combined with 'center'.
+      /** @const {!WindowPlacement} */
+      this.windowPlacement = assertValueType(
+          appOptionsObject[AppOptionKey.WINDOW_PLACEMENT],
+          ['string', 'undefined'], ErrorCode.INVALID_WINDOW_OPTIONS) ||
+          WindowPlacement.AUTO;
+      assert(
+          Object.values(WindowPlacement).includes(this.windowPlacement),
+          ErrorCode.INVALID_WINDOW_OPTIONS);
+      /** @const {number|undefined} */
+      this.windowLeft = assertValueType(
+          appOptionsObject[AppOptionKey.WINDOW_LEFT], ['number', 'undefined'],
+          ErrorCode.INVALID_WINDOW_OPTIONS);
+      /** @const {number|undefined} */
+      this.windowTop = assertValueType(
+          appOptionsObject[AppOptionKey.WINDOW_TOP], [typeof this.windowLeft],
+          ErrorCode.INVALID_WINDOW_OPTIONS);
+      assert(
+          this.windowLeft === undefined ||
+              this.windowPlacement === WindowPlacement.AUTO,
+          ErrorCode.INVALID_WINDOW_OPTIONS);
+
+      // Extract and validate the application origin and URL path overrides, if
+      // specified. The origin is trusted for incoming messages, so it must be
+      // given explicitly; a path without an origin is rejected.
+      /** @const {string|undefined} */
+      this.appOrigin = assertValueType(
+          appOptionsObject[AppOptionKey.APP_ORIGIN], ['string', 'undefined'],
+          ErrorCode.INVALID_APP_ORIGIN);
+      assert(
+          this.appOrigin === undefined || isBareOrigin(this.appOrigin),
+          ErrorCode.INVALID_APP_ORIGIN);
+      /** @const {string|undefined} */
+      this.appUrlPath = assertValueType(
+          appOptionsObject[AppOptionKey.APP_URL_PATH], ['string', 'undefined'],
+          ErrorCode.INVALID_APP_ORIGIN);
+      assert(
+          this.appUrlPath === undefined ||
+              (this.appOrigin !== undefined && this.appUrlPath.startsWith('/')),
+          ErrorCode.INVALID_APP_ORIGIN);
+
       // Extract everything else as-is. Defer further validation to the server.
       this.integratorId = appOptionsObject[AppOptionKey.INTEGRATOR_ID];
       /** @const {*} */
@@ -380,6 +1291,26 @@
       this.clientSessionId = appOptionsObject[AppOptionKey.CLIENT_SESSION_ID];
       /** @const {*} */
       this.hl = appOptionsObject[AppOptionKey.HL];
+
+      // In strict mode, reject the values that the server is expected to
+      // reject anyway, before the application window is opened.
+      const strictOptions = assertValueType(
+          appOptionsObject[AppOptionKey.STRICT_OPTIONS],
+          ['boolean', 'undefined'], ErrorCode.INVALID_APP_OPTION_VALUE);
+      const lintErrors = strictOptions ?
+          lintAppOptions(appOptionsObject)
+              .filter((finding) => finding['severity'] === LintSeverity.ERROR) :
+          [];
+      if (lintErrors.length) {
+        throw Object.assign(
+            new Error(ErrorCode.INVALID_APP_OPTION_VALUE),
+            {'findings': lintErrors});
+      }
+
+      // Keep a copy of the options as specified, to be reported by getState.
+      /** @const {!Object<string, *>} */
+      this.appOptionsObject =
+          Object.freeze(Object.assign({}, appOptionsObject));
     }
   }
 
@@ -394,45 +1325,84 @@
      * Constructor that takes in an {@link AppOptions} object containing
      * *partially* validated integrator-specified app options, configures the
      * application (callback functions, window id, URL, etc.), and opens it in a
-     * new window.
+     * new window. If window.open is blocked and the integrator asked to
+     * recover from that, it waits in {@link AppState.POPUP_BLOCKED} instead.
      *
      * @param {!AppOptions} appOptions
+     * @param {!WindowOpener=} openWindow Replaces window.open, e.g., to replay
+     *     a fixture without opening a window.
      * @throws {!Error}
      */
-    constructor(appOptions) {
+    constructor(appOptions, openWindow = defaultWindowOpener) {
       /** @private @const {!Map<!Action, !Callback|undefined>} */
       this.actionMap_ = AppContext.makeActionMap_(appOptions);
       /** @private @const {!Callback|undefined} */
       this.onFinish_ = appOptions.onFinish;
       /** @private @const {!Callback|undefined} */
       this.onCancel_ = appOptions.onCancel;
+      /** @private @const {!Callback|undefined} */
+      this.onMessageDiagnostic_ = appOptions.onMessageDiagnostic;
+      /** @private @const {!Callback|undefined} */
+      this.onCallbackError_ = appOptions.onCallbackError;
+      /** @private @const {!Object<string, *>} */
+      this.appOptionsObject_ = appOptions.appOptionsObject;
+      /** @private {!AppState} */
+      this.state_ = AppState.OPENING;
 
+      const appWindowIdPrefix = appOptions.apiVersion.appWindowIdPrefix;
       /** @private @const {string} */
-      this.appWindowId_ = (window.name === FIXED_APP_WINDOW_ID_1) ?
-          FIXED_APP_WINDOW_ID_2 :
-          FIXED_APP_WINDOW_ID_1;
+      this.appWindowId_ = (window.name === `${appWindowIdPrefix}1`) ?
+          `${appWindowIdPrefix}2` :
+          `${appWindowIdPrefix}1`;
 
       /** @private @const {string} */
-      this.appOrigin_ = appOptions.isTestEnvironment ? TEST_GOOGLE_PAY_ORIGIN :
-                                                       PROD_GOOGLE_PAY_ORIGIN;
+      this.appOrigin_ = appOptions.appOrigin ||
+          (appOptions.isTestEnvironment ? TEST_GOOGLE_PAY_ORIGIN :
+                                          PROD_GOOGLE_PAY_ORIGIN);
 
+      const appUrlPath = appOptions.appUrlPath || APP_URL_PATH;
       const appWindowFeatures = AppContext.getAppWindowFeatures_(appOptions);
       const appQueryString =
           AppContext.getAppQueryString_(appOptions, appWindowFeatures);
-      const appUrl = `${this.appOrigin_}${APP_URL_PATH}${appQueryString}`;
-
-      // This call to window.open is allowed per cl/293875122.
-      /** @private @const {?Window} */
-      this.appWindow_ =
-          window.open(appUrl, this.appWindowId_, appWindowFeatures);
-      assert(Boolean(this.appWindow_), ErrorCode.APP_WINDOW_NOT_OPENED);
+      /** @private @const {string} */
+      this.appUrl_ = `${this.appOrigin_}${appUrlPath}${appQueryString}`;
+      /** @private @const {string} */
+      this.appWindowFeatures_ = appWindowFeatures;
+      /** @private @const {!WindowOpener} */
+      this.openWindow_ = openWindow;
 
       /** @private {boolean} */
       this.receivedAppOutcome_ = false;
 
-      // Start polling the status of the application window immediately after
-      // opening it.
-      this.pollAppWindowClosed_();
+      /** @private @const {!Callback|undefined} */
+      this.onTimeout_ = appOptions.onTimeout;
+      /** @private @const {boolean} */
+      this.closeOnTimeout_ = Boolean(appOptions.closeOnTimeout);
+      /** @private @const {!Map<!Stage, number|undefined>} */
+      this.stageTimeouts_ = appOptions.stageTimeouts;
+      /** @private @const {!Map<!Stage, number>} */
+      this.stageTimeoutIds_ = new Map();
+
+      /** @private @const {!Callback|undefined} */
+      this.onPopupBlocked_ = appOptions.onPopupBlocked;
+      /** @private @const {boolean} */
+      this.popupBlockedPrompt_ = Boolean(appOptions.popupBlockedPrompt);
+      /** @private {number} */
+      this.popupBlockedAttempts_ = 0;
+      /** @private {?Element} */
+      this.popupBlockedPromptElement_ = null;
+
+      /** @private {?Window} */
+      this.appWindow_ =
+          openWindow(this.appUrl_, this.appWindowId_, appWindowFeatures);
+      if (this.appWindow_) {
+        this.watchAppWindow_();
+      } else {
+        assert(
+            this.popupBlockedPrompt_ || Boolean(this.onPopupBlocked_),
+            ErrorCode.APP_WINDOW_NOT_OPENED);
+        this.state_ = AppState.POPUP_BLOCKED;
+      }
     }
 
     /** @return {boolean} True if the application window is currently open. */
@@ -440,13 +1410,83 @@
       return Boolean(this.appWindow_) && !this.appWindow_.closed;
     }
 
-    /** Closes the application window if it is currently open. */
-    closeAppWindow() {
-      if (this.isAppWindowOpen()) {
-        this.appWindow_.close();
+    /**
+     * @return {!Object<string, *>} The state of the application window, as
+     *     reported by getState.
+     */
+    getState() {
+      return {
+        'state': this.state_,
+        'isAppWindowOpen': this.isAppWindowOpen(),
+        'options': this.appOptionsObject_,
+      };
+    }
+
+    /**
+     * Tells the 'statechange' listeners that this AppContext, which has just
+     * become the current one, is opening, or that its window was blocked. In
+     * the latter case, onPopupBlocked is called and the prompt is shown.
+     *
+     * @param {!AppState} previousState The state of the AppContext replaced.
+     */
+    reportOpening(previousState) {
+      dispatchStateChange(
+          previousState, this.getState(), this.onCallbackError_);
+      if (this.state_ === AppState.POPUP_BLOCKED) {
+        this.reportPopupBlocked_();
+      }
+    }
+
+    /**
+     * Closes the application window if it is currently open. Gives up on it
+     * if it was blocked, calling onCancel.
+     */
+    closeAppWindow() {
+      this.clearStageTimers_(Stage.OUTCOME);
+      if (this.state_ === AppState.POPUP_BLOCKED) {
+        this.removePopupBlockedPrompt_();
+        this.setState_(AppState.CLOSED);
+        this.invokeCallback_(AppOptionKey.ON_CANCEL, this.onCancel_, {});
+      } else if (this.isAppWindowOpen()) {
+        this.appWindow_.close();
+      }
+    }
+
+    /**
+     * Drops the application window without calling any more callbacks: the
+     * stage timers are cancelled, the prompt is removed, and the window is
+     * closed if it is open. Used when the testing module is uninstalled.
+     */
+    discard() {
+      this.clearStageTimers_(Stage.OUTCOME);
+      this.removePopupBlockedPrompt_();
+      if (this.isAppWindowOpen()) {
+        this.appWindow_.close();
       }
     }
 
+    /**
+     * Calls window.open again after it was blocked. The browser only allows
+     * this from a user gesture, such as a click on the prompt's button.
+     *
+     * @return {boolean} True if the application window is now open.
+     */
+    retryAppWindow() {
+      if (this.state_ !== AppState.POPUP_BLOCKED) {
+        return false;
+      }
+      this.appWindow_ = this.openWindow_(
+          this.appUrl_, this.appWindowId_, this.appWindowFeatures_);
+      if (!this.appWindow_) {
+        this.reportPopupBlocked_();
+        return false;
+      }
+      this.removePopupBlockedPrompt_();
+      this.setState_(AppState.OPENING);
+      this.watchAppWindow_();
+      return true;
+    }
+
     /**
      * Handles a 'message' event which may or may not be from the Google Pay Web
      * Push Provisioning application window.
@@ -456,14 +1496,23 @@
      * integrator-specified callback function that corresponds to that Action is
      * invoked, and the payload in the message data is passed in as a parameter.
      *
+     * Either way, the integrator-specified onMessageDiagnostic callback, if
+     * any, is told whether the event was accepted and why. Once the window has
+     * been found closed, events are ignored without a report: the context
+     * stays current, but later traffic on the page has nothing to do with it.
+     *
      * @param {!MessageEvent} messageEvent
      */
     handleMessageEvent(messageEvent) {
+      if (this.state_ === AppState.CLOSED) {
+        return;
+      }
       const messageData = messageEvent.data || {};
 
-      if (!this.isAppWindowOpen() || messageEvent.origin !== this.appOrigin_ ||
-          messageData[MessageDataKey.APP_WINDOW_ID] !== this.appWindowId_ ||
-          !messageData[MessageDataKey.ACTION]) {
+      const reason =
+          this.getMessageDiagnosticReason_(messageEvent, messageData);
+      this.reportMessageDiagnostic_(messageEvent, messageData, reason);
+      if (reason !== MessageDiagnosticReason.ACCEPTED) {
         return;
       }
 
@@ -472,12 +1521,126 @@
 
       if (action === Action.SUCCESS || action === Action.FAILURE) {
         this.receivedAppOutcome_ = true;
+        this.clearStageTimers_(Stage.OUTCOME);
+      } else if (action === Action.SESSION_CREATED) {
+        this.clearStageTimers_(Stage.SESSION_CREATED);
+      } else if (action === Action.READY) {
+        this.clearStageTimers_(Stage.READY);
       }
 
-      const callback = this.actionMap_.get(action);
-      if (callback) {
-        callback(messageData[MessageDataKey.PAYLOAD]);
+      if (ACTION_STATES.has(action)) {
+        this.setState_(ACTION_STATES.get(action));
       }
+      this.invokeCallback_(
+          ACTION_CALLBACK_KEYS.get(action) || action,
+          this.actionMap_.get(action), messageData[MessageDataKey.PAYLOAD]);
+    }
+
+    /**
+     * Calls an integrator-specified callback, passing any error that it throws
+     * to onCallbackError. See {@link invokeCallback}.
+     *
+     * @param {string} name
+     * @param {!Callback|undefined} callback
+     * @param {!Payload} payload
+     * @private
+     */
+    invokeCallback_(name, callback, payload) {
+      invokeCallback(name, callback, payload, this.onCallbackError_);
+    }
+
+    /**
+     * Moves to a new {@link AppState} and tells the 'statechange' listeners,
+     * unless another AppContext has replaced this one in the meantime.
+     *
+     * @param {!AppState} state
+     * @private
+     */
+    setState_(state) {
+      const previousState = this.state_;
+      this.state_ = state;
+      if (currentAppContext === this && state !== previousState) {
+        dispatchStateChange(
+            previousState, this.getState(), this.onCallbackError_);
+      }
+    }
+
+    /**
+     * Rebuilds a 'message' event recorded in a replay fixture as if it had been
+     * sent to this AppContext. The recorded origin and appWindowId are swapped
+     * for the current ones where they matched at recording time.
+     *
+     * @param {!Object<string, *>} fixture
+     * @param {!Object<string, *>} message
+     * @return {!MessageEvent}
+     */
+    makeReplayedMessageEvent(fixture, message) {
+      const origin = message[FixtureMessageKey.ORIGIN] ===
+              fixture[FixtureKey.APP_ORIGIN] ?
+          this.appOrigin_ :
+          message[FixtureMessageKey.ORIGIN];
+
+      let data = message[FixtureMessageKey.DATA];
+      if (data && data[MessageDataKey.APP_WINDOW_ID] ===
+              fixture[FixtureKey.APP_WINDOW_ID]) {
+        data = Object.assign(
+            {}, data, {[MessageDataKey.APP_WINDOW_ID]: this.appWindowId_});
+      }
+      return new MessageEvent('message', {data, origin});
+    }
+
+    /**
+     * Determines whether a 'message' event is accepted by
+     * {@link AppContext#handleMessageEvent}, or else the first check it fails.
+     *
+     * @param {!MessageEvent} messageEvent
+     * @param {!Object<string, *>} messageData
+     * @return {!MessageDiagnosticReason}
+     * @private
+     */
+    getMessageDiagnosticReason_(messageEvent, messageData) {
+      if (!this.isAppWindowOpen()) {
+        return MessageDiagnosticReason.APP_WINDOW_CLOSED;
+      }
+      if (messageEvent.origin !== this.appOrigin_) {
+        return MessageDiagnosticReason.ORIGIN_MISMATCH;
+      }
+      if (messageData[MessageDataKey.APP_WINDOW_ID] !== this.appWindowId_) {
+        return MessageDiagnosticReason.APP_WINDOW_ID_MISMATCH;
+      }
+      if (!messageData[MessageDataKey.ACTION]) {
+        return MessageDiagnosticReason.MISSING_ACTION;
+      }
+      return MessageDiagnosticReason.ACCEPTED;
+    }
+
+    /**
+     * Calls the integrator-specified onMessageDiagnostic callback, if any, with
+     * a description of a 'message' event and what was done with it.
+     *
+     * @param {!MessageEvent} messageEvent
+     * @param {!Object<string, *>} messageData
+     * @param {!MessageDiagnosticReason} reason
+     * @private
+     */
+    reportMessageDiagnostic_(messageEvent, messageData, reason) {
+      if (!this.onMessageDiagnostic_) {
+        return;
+      }
+      const diagnostic = {
+        'accepted': reason === MessageDiagnosticReason.ACCEPTED,
+        'reason': reason,
+        'origin': messageEvent.origin,
+        'expectedOrigin': this.appOrigin_,
+        'appWindowId': messageData[MessageDataKey.APP_WINDOW_ID],
+        'expectedAppWindowId': this.appWindowId_,
+        'action': messageData[MessageDataKey.ACTION],
+        'data': messageEvent.data,
+        'timeStamp': clock.now(),
+      };
+      this.invokeCallback_(
+          AppOptionKey.ON_MESSAGE_DIAGNOSTIC, this.onMessageDiagnostic_,
+          diagnostic);
     }
 
     /**
@@ -501,6 +1664,30 @@
           .set(Action.FAILURE, appOptions.onFailure);
     }
 
+    /**
+     * @param {!AppOptions} appOptions
+     * @return {?Array<number>} The height and width of the application window,
+     *     or null to let the browser decide.
+     * @private
+     */
+    static getAppWindowSize_(appOptions) {
+      if (appOptions.windowSizePreset !== undefined) {
+        return WINDOW_SIZE_PRESETS.get(appOptions.windowSizePreset);
+      }
+      if (appOptions.contentHeight && appOptions.contentWidth) {
+        // Make the window sufficiently large to avoid clipping the application
+        // content. Override the integrator-specified dimensions if necessary.
+        return [
+          Math.max(MIN_CONTENT_HEIGHT, appOptions.contentHeight),
+          Math.max(MIN_CONTENT_WIDTH, appOptions.contentWidth),
+        ];
+      }
+      if (appOptions.windowPlacement === WindowPlacement.CENTER) {
+        return [MIN_CONTENT_HEIGHT, MIN_CONTENT_WIDTH];
+      }
+      return null;
+    }
+
     /**
      * Generates a window features string to be passed in to window.open when
      * instantiating the application window.
@@ -511,22 +1698,32 @@
      * @private
      */
     static getAppWindowFeatures_(appOptions) {
-      if (!appOptions.contentHeight || !appOptions.contentWidth) {
-        return '';
-      }
+      const /** !Map<string, string> */ appWindowFeatureMap = new Map();
 
-      // Make the window sufficiently large to avoid clipping the application
-      // content. Override the integrator-specified dimensions if necessary.
-      const /** !Map<string, string> */ appWindowFeatureMap = new Map([
-        [
-          WindowFeatureKey.HEIGHT,
-          Math.max(MIN_CONTENT_HEIGHT, appOptions.contentHeight).toString(),
-        ],
-        [
-          WindowFeatureKey.WIDTH,
-          Math.max(MIN_CONTENT_WIDTH, appOptions.contentWidth).toString(),
-        ],
-      ]);
+      const appWindowSize = AppContext.getAppWindowSize_(appOptions);
+      if (appWindowSize) {
+        const [height, width] = appWindowSize;
+        appWindowFeatureMap.set(WindowFeatureKey.HEIGHT, height.toString())
+            .set(WindowFeatureKey.WIDTH, width.toString());
+        if (appOptions.windowPlacement === WindowPlacement.CENTER) {
+          // Screen coordinates of the integrator's window, which may be on any
+          // screen, or partly off it.
+          const left = window.screenX + (window.outerWidth - width) / 2;
+          const top = window.screenY + (window.outerHeight - height) / 2;
+          appWindowFeatureMap
+              .set(WindowFeatureKey.LEFT, Math.round(left).toString())
+              .set(WindowFeatureKey.TOP, Math.round(top).toString());
+        }
+      }
+      if (appOptions.windowLeft !== undefined) {
+        appWindowFeatureMap
+            .set(
+                WindowFeatureKey.LEFT,
+                Math.round(appOptions.windowLeft).toString())
+            .set(
+                WindowFeatureKey.TOP,
+                Math.round(appOptions.windowTop).toString());
+      }
       return joinParams(appWindowFeatureMap, ',');
     }
 
@@ -552,13 +1749,14 @@
        * @param {?} value
        */
       const processUrlParam = (urlParamKey, value) => {
-        if (typeof value !== 'undefined' && value !== '' && value !== null) {
+        if (typeof value !== 'undefined' && value !== '' && value !== null &&
+            appOptions.apiVersion.urlParamKeys.includes(urlParamKey)) {
           urlParamMap.set(urlParamKey, encodeURIComponent(value.toString()));
         }
       };
 
       const /** !Map<string, string> */ urlParamMap = new Map([
-        [UrlParamKey.API_VERSION, API_VERSION],
+        [UrlParamKey.API_VERSION, appOptions.apiVersion.apiVersion],
         [UrlParamKey.ORIGIN, encodeURIComponent(getCurrentPageOrigin())],
       ]);
       processUrlParam(UrlParamKey.INTEGRATOR_ID, appOptions.integratorId);
@@ -572,13 +1770,124 @@
     }
 
     /**
-     * Calls an integrator-specified onFinish or onCancel callback if it detects
-     * that the application window has been closed -- onFinish if a 'success' or
-     * 'failure' {@link Action} has been received, or onCancel otherwise.
-     * Schedules itself to be called again if continued polling is needed.
+     * Starts the stage deadlines and the polling of the application window,
+     * right after it has been opened.
+     *
+     * @private
+     */
+    watchAppWindow_() {
+      this.startStageTimers_(this.stageTimeouts_);
+      this.pollAppWindowClosed_();
+    }
+
+    /**
+     * Calls onPopupBlocked, and shows the prompt if popupBlockedPrompt was
+     * specified and the callback did not give up on the window.
      *
-     * This method is a no-op if the integrator didn't specify either an
-     * onFinish or an onCancel callback.
+     * @private
+     */
+    reportPopupBlocked_() {
+      this.popupBlockedAttempts_++;
+      this.invokeCallback_(
+          AppOptionKey.ON_POPUP_BLOCKED, this.onPopupBlocked_, {
+            'attempts': this.popupBlockedAttempts_,
+            'prompt': this.popupBlockedPrompt_,
+          });
+      if (this.popupBlockedPrompt_ && !this.popupBlockedPromptElement_ &&
+          this.state_ === AppState.POPUP_BLOCKED) {
+        this.showPopupBlockedPrompt_();
+      }
+    }
+
+    /**
+     * Adds a prompt to the integrator's page with a button that retries
+     * window.open. The click on the button is a fresh user gesture, which is
+     * what the browser was missing when it blocked the window.
+     *
+     * @private
+     */
+    showPopupBlockedPrompt_() {
+      const prompt = document.createElement('div');
+      prompt.setAttribute('role', 'alertdialog');
+      prompt.setAttribute('aria-label', 'Google Pay');
+      prompt.style.cssText = POPUP_BLOCKED_PROMPT_STYLE;
+
+      const message = document.createElement('p');
+      message.textContent = 'Your browser blocked the Google Pay window.';
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.textContent = 'Open Google Pay';
+      retryButton.addEventListener('click', () => this.retryAppWindow());
+      const cancelButton = document.createElement('button');
+      cancelButton.type = 'button';
+      cancelButton.textContent = 'Cancel';
+      cancelButton.addEventListener('click', () => this.closeAppWindow());
+
+      prompt.append(message, retryButton, ' ', cancelButton);
+      document.body.appendChild(prompt);
+      retryButton.focus();
+      this.popupBlockedPromptElement_ = prompt;
+    }
+
+    /** @private */
+    removePopupBlockedPrompt_() {
+      if (this.popupBlockedPromptElement_) {
+        this.popupBlockedPromptElement_.remove();
+        this.popupBlockedPromptElement_ = null;
+      }
+    }
+
+    /**
+     * Schedules a timer for every {@link Stage} that has a deadline. When a
+     * timer fires, the integrator-specified onTimeout callback is called and,
+     * if closeOnTimeout was specified, the application window is closed.
+     *
+     * @param {!Map<!Stage, number|undefined>} stageTimeouts
+     * @private
+     */
+    startStageTimers_(stageTimeouts) {
+      const openedAt = clock.now();
+      for (const [stage, timeoutMs] of stageTimeouts) {
+        if (timeoutMs === undefined) {
+          continue;
+        }
+        this.stageTimeoutIds_.set(stage, clock.setTimeout(() => {
+          this.stageTimeoutIds_.delete(stage);
+          if (!this.isAppWindowOpen()) {
+            return;
+          }
+          this.invokeCallback_(AppOptionKey.ON_TIMEOUT, this.onTimeout_, {
+            'stage': stage,
+            'elapsedMs': clock.now() - openedAt,
+          });
+          if (this.closeOnTimeout_) {
+            this.closeAppWindow();
+          }
+        }, timeoutMs));
+      }
+    }
+
+    /**
+     * Cancels the timers of a {@link Stage} and of every stage before it, since
+     * reaching a stage implies that the earlier ones are over.
+     *
+     * @param {!Stage} reachedStage
+     * @private
+     */
+    clearStageTimers_(reachedStage) {
+      const stages = Object.values(Stage);
+      for (const stage of stages.slice(0, stages.indexOf(reachedStage) + 1)) {
+        clock.clearTimeout(this.stageTimeoutIds_.get(stage));
+        this.stageTimeoutIds_.delete(stage);
+      }
+    }
+
+    /**
+     * Moves to {@link AppState.CLOSED} and calls an integrator-specified
+     * onFinish or onCancel callback if it detects that the application window
+     * has been closed -- onFinish if a 'success' or 'failure' {@link Action}
+     * has been received, or onCancel otherwise. Schedules itself to be called
+     * again while the window is open.
      *
      * Polling is the only reliable way to detect when the application window is
      * closed. In a desktop browser this could be accomplished by instrumenting
@@ -589,20 +1898,232 @@
      */
     pollAppWindowClosed_() {
       if (this.appWindow_.closed) {
-        if (this.onFinish_ && this.receivedAppOutcome_) {
-          this.onFinish_({});
-        } else if (this.onCancel_ && !this.receivedAppOutcome_) {
-          this.onCancel_({});
+        this.clearStageTimers_(Stage.OUTCOME);
+        this.setState_(AppState.CLOSED);
+        if (this.receivedAppOutcome_) {
+          this.invokeCallback_(AppOptionKey.ON_FINISH, this.onFinish_, {});
+        } else {
+          this.invokeCallback_(AppOptionKey.ON_CANCEL, this.onCancel_, {});
         }
-      } else if (
-          this.onFinish_ || (this.onCancel_ && !this.receivedAppOutcome_)) {
-        setTimeout(
+      } else {
+        clock.setTimeout(
             () => this.pollAppWindowClosed_(),
             POLL_APP_WINDOW_CLOSED_INTERVAL_MS);
       }
     }
   }
 
+  /**
+   * Stand-in for the application window while a fixture is replayed. It has
+   * just enough of the Window interface for {@link AppContext}, and stays open
+   * until the fixture or the integrator closes it.
+   *
+   * @final
+   */
+  class ReplayAppWindow {
+    constructor() {
+      /** @type {boolean} */
+      this.closed = false;
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+
+  /**
+   * Stand-in for the application window while the testing module is
+   * installed. It keeps what window.open was called with, and stays open until
+   * the test or the integrator closes it.
+   *
+   * @final
+   */
+  class FakeAppWindow {
+    /**
+     * @param {string} url
+     * @param {string} name
+     * @param {string} features
+     */
+    constructor(url, name, features) {
+      /** @const {string} */
+      this.url = url;
+      /** @const {string} */
+      this.name = name;
+      /** @const {string} */
+      this.features = features;
+      /** @type {boolean} */
+      this.closed = false;
+    }
+
+    close() {
+      this.closed = true;
+    }
+
+    /**
+     * @return {!Object<string, *>} What window.googlepay.testing.getAppWindow
+     *     returns for this window.
+     */
+    describe() {
+      const url = new URL(this.url);
+      const params = {};
+      for (const [key, value] of url.searchParams) {
+        params[key] = value;
+      }
+      return {
+        'url': this.url,
+        'origin': url.origin,
+        'name': this.name,
+        'features': this.features,
+        'params': params,
+        'closed': this.closed,
+      };
+    }
+  }
+
+  /**
+   * Virtual time for the testing module. Timers only run when {@link
+   * FakeClock#tick} moves the time past them, in the order they fall due, and
+   * in the order they were scheduled if they fall due together.
+   *
+   * @final
+   */
+  class FakeClock {
+    /** @param {number} nowMs */
+    constructor(nowMs) {
+      /** @private {number} */
+      this.nowMs_ = nowMs;
+      /** @private {number} */
+      this.nextTimeoutId_ = 1;
+      /**
+       * @private @const {!Map<number, {dueMs: number, callback: function()}>}
+       */
+      this.timeouts_ = new Map();
+    }
+
+    /** @return {number} */
+    now() {
+      return this.nowMs_;
+    }
+
+    /**
+     * @param {function()} callback
+     * @param {number=} delayMs
+     * @return {number}
+     */
+    setTimeout(callback, delayMs = 0) {
+      const timeoutId = this.nextTimeoutId_++;
+      this.timeouts_.set(
+          timeoutId, {dueMs: this.nowMs_ + Math.max(0, delayMs), callback});
+      return timeoutId;
+    }
+
+    /** @param {number|undefined} timeoutId */
+    clearTimeout(timeoutId) {
+      this.timeouts_.delete(timeoutId);
+    }
+
+    /**
+     * Moves the time forward, running every timer that falls due on the way,
+     * including the ones scheduled by those timers. A timer that throws does
+     * not stop the others; the first error is rethrown once they have run.
+     *
+     * @param {number} ms
+     * @throws {*} The first error thrown by a timer.
+     */
+    tick(ms) {
+      const untilMs = this.nowMs_ + ms;
+      const errors = [];
+      for (;;) {
+        let nextTimeoutId;
+        let next;
+        for (const [timeoutId, timeout] of this.timeouts_) {
+          if (timeout.dueMs <= untilMs &&
+              (!next || timeout.dueMs < next.dueMs)) {
+            nextTimeoutId = timeoutId;
+            next = timeout;
+          }
+        }
+        if (!next) {
+          break;
+        }
+        this.timeouts_.delete(nextTimeoutId);
+        this.nowMs_ = next.dueMs;
+        try {
+          next.callback();
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+      this.nowMs_ = untilMs;
+      if (errors.length) {
+        throw errors[0];
+      }
+    }
+
+    /** @return {number} How many timers have not run or been cleared yet. */
+    getPendingTimerCount() {
+      return this.timeouts_.size;
+    }
+  }
+
+  /**
+   * What the testing module replaces while it is installed: window.open, with
+   * one that hands out {@link FakeAppWindow}s, and the clock. It also keeps
+   * the API versions registered before, to restore them when uninstalled.
+   *
+   * @final
+   */
+  class TestHarness {
+    /** @param {number} nowMs */
+    constructor(nowMs) {
+      /** @const {!FakeClock} */
+      this.clock = new FakeClock(nowMs);
+      /** @const {!Map<string, !ApiVersion>} */
+      this.savedApiVersions = new Map(apiVersions);
+      /** @type {boolean} */
+      this.popupBlocked = false;
+      /** @type {?FakeAppWindow} */
+      this.appWindow = null;
+    }
+
+    /** @type {!WindowOpener} */
+    openWindow(url, name, features) {
+      if (this.popupBlocked) {
+        return null;
+      }
+      this.appWindow = new FakeAppWindow(url, name, features);
+      return /** @type {!Window} */ (this.appWindow);
+    }
+  }
+
+  /** @type {!WindowOpener} */
+  function defaultWindowOpener(url, name, features) {
+    if (testHarness) {
+      return testHarness.openWindow(url, name, features);
+    }
+    // This call to window.open is allowed per cl/293875122.
+    return window.open(url, name, features);
+  }
+
+  /** @const {!Clock} */
+  const SYSTEM_CLOCK = {
+    setTimeout: (callback, delayMs) => setTimeout(callback, delayMs),
+    clearTimeout: (timeoutId) => clearTimeout(timeoutId),
+    now: () => Date.now(),
+  };
+
+  /**
+   * The clock that every timer of the library is scheduled on.
+   * @type {!Clock}
+   */
+  let clock = SYSTEM_CLOCK;
+
+  /**
+   * Set while the testing module is installed.
+   * @type {?TestHarness}
+   */
+  let testHarness = null;
+
   /**
    * Singleton instance of {@link AppContext}. This variable will be assigned a
    * new AppContext every time a new application window is opened, but it should
@@ -613,10 +2134,69 @@
   let currentAppContext = null;
 
   /**
+   * The functions added with addEventListener('statechange', ...).
+   * @const {!Set<function(!Object<string, *>)>}
+   */
+  const stateChangeListeners = new Set();
+
+  /**
+   * @return {!Object<string, *>} The state of the current application window,
+   *     or the 'idle' state if none has been opened.
+   */
+  function getState() {
+    if (currentAppContext) {
+      return currentAppContext.getState();
+    }
+    return {
+      'state': AppState.IDLE,
+      'isAppWindowOpen': false,
+      'options': null,
+    };
+  }
+
+  /**
+   * Calls every 'statechange' listener. Errors thrown by a listener are
+   * isolated like those thrown by callbacks.
+   *
+   * @param {!AppState} previousState
+   * @param {!Object<string, *>} state As returned by getState.
+   * @param {!Callback|undefined} onCallbackError
+   */
+  function dispatchStateChange(previousState, state, onCallbackError) {
+    const event = Object.assign(
+        {'type': EventType.STATE_CHANGE, 'previousState': previousState},
+        state);
+    for (const listener of Array.from(stateChangeListeners)) {
+      invokeCallback(
+          EventType.STATE_CHANGE, listener, event, onCallbackError);
+    }
+  }
+
+  /**
+   * Makes an AppContext the current one, and reports that it is opening.
+   *
+   * @param {!AppContext} appContext
+   */
+  function activateAppContext(appContext) {
+    // A window that is still blocked is given up on in favor of the new one.
+    if (currentAppContext &&
+        currentAppContext.getState()['state'] === AppState.POPUP_BLOCKED) {
+      currentAppContext.closeAppWindow();
+    }
+    const previousState = getState()['state'];
+    currentAppContext = appContext;
+    appContext.reportOpening(previousState);
+  }
+
+  /**
+   * Validates integrator-specified app options, and checks that no application
+   * window is currently open.
+   *
    * @param {!Object<string, *>} appOptionsObject
+   * @return {!AppOptions}
    * @throws {!Error}
    */
-  function openAppWindow(appOptionsObject) {
+  function makeAppOptions(appOptionsObject) {
     assertValueType(
         appOptionsObject, ['object'], ErrorCode.INVALID_OR_MISSING_APP_OPTIONS);
     assert(appOptionsObject !== null, ErrorCode.INVALID_OR_MISSING_APP_OPTIONS);
@@ -625,7 +2205,77 @@
     assert(
         !currentAppContext || !currentAppContext.isAppWindowOpen(),
         ErrorCode.APP_WINDOW_ALREADY_OPEN);
-    currentAppContext = new AppContext(appOptions);
+    return appOptions;
+  }
+
+  /**
+   * @param {!Object<string, *>} appOptionsObject
+   * @throws {!Error}
+   */
+  function openAppWindow(appOptionsObject) {
+    activateAppContext(new AppContext(makeAppOptions(appOptionsObject)));
+  }
+
+  /**
+   * Asserts that a replay fixture has a list of messages, each with a
+   * non-negative atMs and a string origin, and an optional closedAtMs.
+   *
+   * @param {?} fixture
+   * @throws {!Error}
+   */
+  function assertReplayFixture(fixture) {
+    /**
+     * @param {?} value
+     * @return {boolean}
+     */
+    const isDelay = (value) => typeof value === 'number' && value >= 0;
+
+    assertValueType(fixture, ['object'], ErrorCode.INVALID_REPLAY_FIXTURE);
+    assert(
+        fixture !== null && Array.isArray(fixture[FixtureKey.MESSAGES]),
+        ErrorCode.INVALID_REPLAY_FIXTURE);
+    for (const message of fixture[FixtureKey.MESSAGES]) {
+      assert(
+          Boolean(message) && isDelay(message[FixtureMessageKey.AT_MS]) &&
+              typeof message[FixtureMessageKey.ORIGIN] === 'string',
+          ErrorCode.INVALID_REPLAY_FIXTURE);
+    }
+    assert(
+        fixture[FixtureKey.CLOSED_AT_MS] === undefined ||
+            isDelay(fixture[FixtureKey.CLOSED_AT_MS]),
+        ErrorCode.INVALID_REPLAY_FIXTURE);
+  }
+
+  /**
+   * @param {!Object<string, *>} appOptionsObject
+   * @param {!Object<string, *>} fixture
+   * @throws {!Error}
+   */
+  function replayAppWindow(appOptionsObject, fixture) {
+    assertReplayFixture(fixture);
+    const replayWindow = new ReplayAppWindow();
+    const appContext = new AppContext(
+        makeAppOptions(appOptionsObject),
+        () => /** @type {!Window} */ (replayWindow));
+    activateAppContext(appContext);
+
+    for (const message of fixture[FixtureKey.MESSAGES]) {
+      clock.setTimeout(() => {
+        // Drop the rest of the recording once another window replaces it.
+        if (currentAppContext === appContext) {
+          handleMessageEvent(
+              appContext.makeReplayedMessageEvent(fixture, message));
+        }
+      }, message[FixtureMessageKey.AT_MS]);
+    }
+    // Otherwise the window would be polled for as long as the page lives.
+    const closedAtMs = fixture[FixtureKey.CLOSED_AT_MS] !== undefined ?
+        fixture[FixtureKey.CLOSED_AT_MS] :
+        Math.max(
+            0,
+            ...fixture[FixtureKey.MESSAGES].map(
+                (message) => message[FixtureMessageKey.AT_MS]));
+    clock.setTimeout(() => replayWindow.close(), closedAtMs);
   }
 
   function closeAppWindow() {
@@ -634,6 +2284,254 @@
     }
   }
 
+  /** @return {boolean} */
+  function retryAppWindow() {
+    return Boolean(currentAppContext) && currentAppContext.retryAppWindow();
+  }
+
+  /**
+   * Adds API versions that openAppWindow can be told to use, or replaces ones
+   * added before. See the documentation of window.googlepay.registerApiVersion
+   * above.
+   *
+   * @param {...!Object<string, *>} definitions
+   * @throws {!Error} If any definition is invalid; none is registered then.
+   */
+  function registerApiVersion(...definitions) {
+    const parsed = definitions.map(parseApiVersion);
+    for (const apiVersion of parsed) {
+      apiVersions.set(apiVersion.apiVersion, apiVersion);
+    }
+  }
+
+  /**
+   * @param {!Object<string, *>} definition As taken by registerApiVersion.
+   * @return {!ApiVersion}
+   * @throws {!Error} If the definition is invalid.
+   */
+  function parseApiVersion(definition) {
+    assertValueType(definition, ['object'], ErrorCode.INVALID_API_VERSION);
+    assert(definition !== null, ErrorCode.INVALID_API_VERSION);
+
+    const apiVersion = definition[ApiVersionKey.API_VERSION];
+    assert(
+        typeof apiVersion === 'string' &&
+            API_VERSION_PATTERN.test(apiVersion) &&
+            apiVersion !== DEFAULT_API_VERSION,
+        ErrorCode.INVALID_API_VERSION);
+
+    /**
+     * @param {!ApiVersionKey} key
+     * @param {!Array<string>} allowedValues
+     * @return {!Array<string>}
+     * @throws {!Error}
+     */
+    const extractList = (key, allowedValues) => {
+      const values = definition[key];
+      assert(
+          Array.isArray(values) &&
+              values.every((value) => allowedValues.includes(value)),
+          ErrorCode.INVALID_API_VERSION);
+      return Array.from(new Set(values));
+    };
+    const callbackKeys =
+        extractList(ApiVersionKey.CALLBACKS, VERSIONED_CALLBACK_KEYS);
+    assert(
+        callbackKeys.includes(AppOptionKey.ON_SESSION_CREATED),
+        ErrorCode.INVALID_API_VERSION);
+    const appWindowIdPrefix = assertValueType(
+        definition[ApiVersionKey.APP_WINDOW_ID_PREFIX], ['string', 'undefined'],
+        ErrorCode.INVALID_API_VERSION);
+
+    return {
+      apiVersion,
+      optionKeys: extractList(ApiVersionKey.OPTIONS, VERSIONED_OPTION_KEYS),
+      callbackKeys,
+      urlParamKeys:
+          extractList(ApiVersionKey.URL_PARAMS, VERSIONED_URL_PARAM_KEYS),
+      appWindowIdPrefix: appWindowIdPrefix ||
+          `googlepay-webpp-${apiVersion.toLowerCase()}-app-window-`,
+    };
+  }
+
+  /**
+   * @return {!Array<!Object<string, *>>} The definitions of the registered API
+   *     versions, the default one first, in the form that registerApiVersion
+   *     takes them.
+   */
+  function getApiVersions() {
+    return Array.from(apiVersions.values(), (apiVersion) => ({
+      [ApiVersionKey.API_VERSION]: apiVersion.apiVersion,
+      [ApiVersionKey.OPTIONS]: apiVersion.optionKeys.slice(),
+      [ApiVersionKey.CALLBACKS]: apiVersion.callbackKeys.slice(),
+      [ApiVersionKey.URL_PARAMS]: apiVersion.urlParamKeys.slice(),
+      [ApiVersionKey.APP_WINDOW_ID_PREFIX]: apiVersion.appWindowIdPrefix,
+    }));
+  }
+
+  /**
+   * Installs the testing module, starting the virtual clock at nowMs. See the
+   * documentation of window.googlepay.testing above.
+   *
+   * @param {number=} nowMs
+   */
+  function installTesting(nowMs = Date.now()) {
+    assertValueType(nowMs, ['number'], ErrorCode.INVALID_TESTING_CALL);
+    // A window opened on the real clock would stop being polled.
+    assert(
+        Boolean(testHarness) || !currentAppContext ||
+            (!currentAppContext.isAppWindowOpen() &&
+             currentAppContext.getState()['state'] !== AppState.POPUP_BLOCKED),
+        ErrorCode.INVALID_TESTING_CALL);
+    uninstallTesting();
+    testHarness = new TestHarness(nowMs);
+    clock = testHarness.clock;
+  }
+
+  /**
+   * Restores window.open, the clock, and the API versions, and forgets the
+   * current application window, if any, without calling its callbacks. Does
+   * nothing unless the testing module is installed.
+   */
+  function uninstallTesting() {
+    if (!testHarness) {
+      return;
+    }
+    if (currentAppContext) {
+      currentAppContext.discard();
+      currentAppContext = null;
+    }
+    apiVersions.clear();
+    for (const [name, apiVersion] of testHarness.savedApiVersions) {
+      apiVersions.set(name, apiVersion);
+    }
+    testHarness = null;
+    clock = SYSTEM_CLOCK;
+  }
+
+  /**
+   * @return {!TestHarness}
+   * @throws {!Error} If the testing module is not installed.
+   */
+  function getTestHarness() {
+    assert(Boolean(testHarness), ErrorCode.INVALID_TESTING_CALL);
+    return /** @type {!TestHarness} */ (testHarness);
+  }
+
+  /**
+   * @return {!FakeAppWindow}
+   * @throws {!Error} If no application window has been opened since the
+   *     testing module was installed.
+   */
+  function getFakeAppWindow() {
+    const appWindow = getTestHarness().appWindow;
+    assert(Boolean(appWindow), ErrorCode.INVALID_TESTING_CALL);
+    return /** @type {!FakeAppWindow} */ (appWindow);
+  }
+
+  /**
+   * @return {?Object<string, *>} The last application window opened since the
+   *     testing module was installed, or null if none has been.
+   */
+  function getTestAppWindow() {
+    const appWindow = getTestHarness().appWindow;
+    return appWindow && appWindow.describe();
+  }
+
+  /**
+   * Sends a message from the application window, the way the application
+   * would: from the window's origin, addressed with its name, and with the
+   * clientSessionId that it was opened with.
+   *
+   * @param {string} action Any action, including ones the library ignores.
+   * @param {!Payload=} payload
+   */
+  function dispatchTestAction(action, payload = {}) {
+    const appWindow = getFakeAppWindow();
+    const messageData = {
+      [MessageDataKey.ACTION]: action,
+      [MessageDataKey.APP_WINDOW_ID]: appWindow.name,
+      [MessageDataKey.PAYLOAD]: payload,
+    };
+    const clientSessionId =
+        new URL(appWindow.url).searchParams.get(UrlParamKey.CSID);
+    if (clientSessionId) {
+      messageData[MessageDataKey.CLIENT_SESSION_ID] = clientSessionId;
+    }
+    dispatchTestMessage(messageData);
+  }
+
+  /**
+   * Sends a 'message' event with arbitrary data, e.g., to check that the
+   * library rejects messages from another origin or window.
+   *
+   * @param {*} data
+   * @param {string=} origin Defaults to the application window's origin.
+   */
+  function dispatchTestMessage(data, origin) {
+    const messageOrigin =
+        origin === undefined ? getFakeAppWindow().describe()['origin'] : origin;
+    handleMessageEvent(
+        new MessageEvent('message', {data, origin: messageOrigin}));
+  }
+
+  /**
+   * Closes the application window the way the user would, so that the next
+   * poll, POLL_APP_WINDOW_CLOSED_INTERVAL_MS later, calls onFinish or
+   * onCancel.
+   */
+  function markTestAppWindowClosed() {
+    getFakeAppWindow().close();
+  }
+
+  /** @param {boolean} blocked */
+  function setTestPopupBlocked(blocked) {
+    getTestHarness().popupBlocked = Boolean(blocked);
+  }
+
+  /** @param {number} ms */
+  function tickTestClock(ms) {
+    assert(
+        typeof ms === 'number' && ms >= 0, ErrorCode.INVALID_TESTING_CALL);
+    getTestHarness().clock.tick(ms);
+  }
+
+  /** @return {number} */
+  function getTestPendingTimerCount() {
+    return getTestHarness().clock.getPendingTimerCount();
+  }
+
+  /**
+   * @param {string} type
+   * @param {?} listener
+   * @throws {!Error}
+   */
+  function assertEventListener(type, listener) {
+    assert(type === EventType.STATE_CHANGE, ErrorCode.INVALID_EVENT_LISTENER);
+    assertValueType(
+        listener, ['function'], ErrorCode.INVALID_EVENT_LISTENER);
+  }
+
+  /**
+   * @param {string} type
+   * @param {function(!Object<string, *>)} listener
+   * @throws {!Error}
+   */
+  function addEventListener(type, listener) {
+    assertEventListener(type, listener);
+    stateChangeListeners.add(listener);
+  }
+
+  /**
+   * @param {string} type
+   * @param {function(!Object<string, *>)} listener
+   * @throws {!Error}
+   */
+  function removeEventListener(type, listener) {
+    assertEventListener(type, listener);
+    stateChangeListeners.delete(listener);
+  }
+
   /**
    * Handles a 'message' event which may or may not be from a Google Pay Web
    * Push Provisioning application window by forwarding it to the corresponding
@@ -664,5 +2562,24 @@
   window[WINDOW_GOOGLEPAY_KEY] = window[WINDOW_GOOGLEPAY_KEY] || {
     'openAppWindow': openAppWindow,
     'closeAppWindow': closeAppWindow,
+    'lintAppOptions': lintAppOptions,
+    'getState': getState,
+    'addEventListener': addEventListener,
+    'removeEventListener': removeEventListener,
+    'replayAppWindow': replayAppWindow,
+    'retryAppWindow': retryAppWindow,
+    'registerApiVersion': registerApiVersion,
+    'getApiVersions': getApiVersions,
+    'testing': {
+      'install': installTesting,
+      'uninstall': uninstallTesting,
+      'getAppWindow': getTestAppWindow,
+      'dispatch': dispatchTestAction,
+      'dispatchMessage': dispatchTestMessage,
+      'markAppWindowClosed': markTestAppWindowClosed,
+      'setPopupBlocked': setTestPopupBlocked,
+      'tick': tickTestClock,
+      'getPendingTimerCount': getTestPendingTimerCount,
+    },
   };
 })();
@@ -0,0 +1,317 @@
+/**
+ * Mock Google Pay Web Push Provisioning application window.
+ *
+ * This page is a local stand-in for the application that integration.js opens
+ * at APP_URL_PATH. Point window.googlepay.openAppWindow at it with:
+ *
+ *   window.googlepay.openAppWindow({
+ *     ...
+ *     'appOrigin': window.location.origin,
+ *     'appUrlPath': '/assets/mock/app-window.html',
+ *   });
+ *
+ * It reads the query string built by AppContext.getAppQueryString_ and posts
+ * 'ready', 'sessionCreated', 'success', and 'failure' messages back to the
+ * opener, addressed with the appWindowId (the window name that integration.js
+ * opened it with) and the clientSessionId that were passed in.
+ *
+ * The messages and their timing come from the scenario that the harness stored
+ * in localStorage (see src/models/mock-scenario.ts). Without one, the window
+ * sends 'ready' and then waits for its buttons to be used.
+ *
+ * In scenarios with an 'awaitPush' step, the session is registered with the
+ * mock push API (scripts/mock-push-api.js) before 'sessionCreated' is sent,
+ * and the step waits for the issuer backend's push to decide the outcome.
+ */
+
+(() => {
+  /** @enum {string} */
+  const UrlParamKey = {
+    API_VERSION: 'apiVersion',
+    CARD_SETTING: 'cardSetting',
+    CSID: 'csid',
+    HL: 'hl',
+    INTEGRATOR_ID: 'integratorId',
+    ORIGIN: 'origin',
+    TOKEN_SETTING: 'tokenSetting',
+    WINDOW_FEATURES: 'windowFeatures',
+  };
+
+  /** @enum {string} */
+  const MessageDataKey = {
+    ACTION: 'action',
+    APP_WINDOW_ID: 'appWindowId',
+    CLIENT_SESSION_ID: 'clientSessionId',
+    PAYLOAD: 'payload',
+  };
+
+  const MOCK_SCENARIO_STORAGE_KEY = 'google-pay-push.mock-scenario';
+
+  /** Served on this origin by `ng serve`, through proxy.conf.js. */
+  const MOCK_PUSH_API_PATH = '/mock-push-api';
+  const PUSH_POLL_INTERVAL_MS = 500;
+
+  /** Scenario step that waits for the push instead of sending a message. */
+  const AWAIT_PUSH_STEP = 'awaitPush';
+
+  /** @enum {string} */
+  const Action = {
+    FAILURE: 'failure',
+    READY: 'ready',
+    SESSION_CREATED: 'sessionCreated',
+    SUCCESS: 'success',
+  };
+
+  /**
+   * The parameters this window was opened with, keyed by {@link UrlParamKey}.
+   * URLSearchParams undoes the encodeURIComponent applied by integration.js.
+   *
+   * @const {!Map<string, string>}
+   */
+  const appParams = new Map();
+  const searchParams = new URLSearchParams(window.location.search);
+  for (const key of Object.values(UrlParamKey)) {
+    if (searchParams.has(key)) {
+      appParams.set(key, searchParams.get(key));
+    }
+  }
+
+  /**
+   * @param {number} length
+   * @return {string} A random string of decimal digits, shaped like the
+   *     identifiers that the real application returns.
+   */
+  function makeNumericId(length) {
+    let id = '';
+    for (let i = 0; i < length; i++) {
+      id += Math.floor(Math.random() * 10).toString();
+    }
+    return id;
+  }
+
+  /** @const {!Object<string, *>} */
+  const session = {
+    'clientSessionId': appParams.get(UrlParamKey.CSID) || makeNumericId(28),
+    'serverSessionId': makeNumericId(28),
+    'tokenSetting': appParams.get(UrlParamKey.TOKEN_SETTING) || '0',
+    'cardSetting': appParams.get(UrlParamKey.CARD_SETTING) || '0',
+    'publicDeviceId': `mock-device-${makeNumericId(12)}`,
+    'publicWalletId': `mock-wallet-${makeNumericId(12)}`,
+  };
+
+  /**
+   * A step of a mock scenario.
+   * @typedef {{
+   *   action: string,
+   *   delayMs: (number|undefined),
+   *   payload: (!Object<string, *>|undefined),
+   *   omit: (!Array<string>|undefined),
+   * }}
+   */
+  let MockStep;
+
+  /**
+   * @return {{name: string, steps: !Array<!MockStep>}} The scenario selected in
+   *     the harness, or one that only sends 'ready' if there is none.
+   */
+  function readScenario() {
+    try {
+      const scenario =
+          JSON.parse(localStorage.getItem(MOCK_SCENARIO_STORAGE_KEY) || 'null');
+      if (scenario && Array.isArray(scenario.steps)) {
+        return scenario;
+      }
+    } catch (e) {
+      // Fall through to the default scenario.
+    }
+    return {name: 'Manual', steps: [{action: Action.READY}]};
+  }
+
+  /**
+   * @param {string} action
+   * @return {!Object<string, *>} The payload sent for the action by default.
+   */
+  function makeDefaultPayload(action) {
+    switch (action) {
+      case Action.SESSION_CREATED:
+        return session;
+      case Action.SUCCESS:
+        return {
+          'tokenResult': session['tokenSetting'] === '1' ? 'SUCCESS' : '',
+          'cardResult': session['cardSetting'] === '1' ? 'SUCCESS' : '',
+          'debugInfo': {'mock': true},
+        };
+      case Action.FAILURE:
+        return {'errors': [{'errorCode': 'MOCK_FAILURE'}]};
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * The message to send when the mock push API cannot be reached.
+   * @const {{action: string, payload: !Object<string, *>}}
+   */
+  const PUSH_API_UNAVAILABLE = {
+    action: Action.FAILURE,
+    payload: {'errors': [{'errorCode': 'MOCK_PUSH_API_UNAVAILABLE'}]},
+  };
+
+  /**
+   * Registers the session with the mock push API, so that the issuer backend
+   * can push for its serverSessionId.
+   *
+   * @param {!Object<string, *>} payload The sessionCreated payload.
+   * @return {!Promise<boolean>} Whether the session was registered.
+   */
+  async function registerPushSession(payload) {
+    try {
+      const response = await fetch(`${MOCK_PUSH_API_PATH}/sessions`, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(payload),
+      });
+      return response.ok;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Polls the mock push API until the session has an outcome or expires.
+   *
+   * @param {string} serverSessionId
+   * @return {!Promise<{action: string, payload: !Object<string, *>}>} The
+   *     message to send.
+   */
+  async function awaitPush(serverSessionId) {
+    const url =
+        `${MOCK_PUSH_API_PATH}/sessions/${encodeURIComponent(serverSessionId)}`;
+    const log = document.getElementById('log');
+    log.textContent += `Waiting for a push to ${url}/push\n`;
+    for (;;) {
+      let state;
+      try {
+        const response = await fetch(url);
+        state = response.ok ? await response.json() : null;
+      } catch (e) {
+        state = null;
+      }
+      if (!state) {
+        return PUSH_API_UNAVAILABLE;
+      }
+      if (state['state'] !== 'pending') {
+        return state['outcome'];
+      }
+      await new Promise(
+          (resolve) => void setTimeout(resolve, PUSH_POLL_INTERVAL_MS));
+    }
+  }
+
+  /**
+   * Plays the steps of a scenario in order, each delayMs after the previous.
+   *
+   * @param {!Array<!MockStep>} steps
+   * @param {boolean} awaitsPush Whether the scenario has an 'awaitPush' step.
+   * @param {?string} pushSessionId The serverSessionId registered with the
+   *     mock push API, or null if none was.
+   */
+  function playSteps(steps, awaitsPush, pushSessionId) {
+    if (!steps.length) {
+      return;
+    }
+    const [step, ...remainingSteps] = steps;
+    setTimeout(async () => {
+      if (step.action === 'close') {
+        window.close();
+        return;
+      }
+      if (step.action === AWAIT_PUSH_STEP) {
+        const outcome = pushSessionId === null ? PUSH_API_UNAVAILABLE :
+                                                 await awaitPush(pushSessionId);
+        postAppMessage(outcome.action, outcome.payload);
+        playSteps(remainingSteps, awaitsPush, pushSessionId);
+        return;
+      }
+      const payload = {...makeDefaultPayload(step.action), ...step.payload};
+      for (const key of step.omit || []) {
+        delete payload[key];
+      }
+      if (step.action === Action.SESSION_CREATED && awaitsPush) {
+        const serverSessionId =
+            payload['serverSessionId'] || session['serverSessionId'];
+        const registered = await registerPushSession(
+            {...payload, 'serverSessionId': serverSessionId});
+        pushSessionId = registered ? serverSessionId : null;
+      }
+      postAppMessage(step.action, payload);
+      playSteps(remainingSteps, awaitsPush, pushSessionId);
+    }, step.delayMs || 0);
+  }
+
+  /**
+   * Posts a message to the opener, formatted the way
+   * AppContext.handleMessageEvent expects it.
+   *
+   * @param {string} action
+   * @param {!Object<string, *>} payload
+   */
+  function postAppMessage(action, payload) {
+    const messageData = {
+      [MessageDataKey.ACTION]: action,
+      [MessageDataKey.APP_WINDOW_ID]: window.name,
+      [MessageDataKey.CLIENT_SESSION_ID]: session['clientSessionId'],
+      [MessageDataKey.PAYLOAD]: payload,
+    };
+    const log = document.getElementById('log');
+    if (!window.opener) {
+      log.textContent += `Not sent (no opener): ${action}\n`;
+      return;
+    }
+    window.opener.postMessage(messageData, appParams.get(UrlParamKey.ORIGIN));
+    log.textContent += `${JSON.stringify(messageData)}\n`;
+  }
+
+  function renderParams() {
+    const params = document.getElementById('params');
+    const renderedParams =
+        new Map(appParams).set(MessageDataKey.APP_WINDOW_ID, window.name);
+    for (const [key, value] of renderedParams) {
+      const term = document.createElement('dt');
+      term.textContent = key;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      params.append(term, description);
+    }
+  }
+
+  function bindActions() {
+    document.getElementById('session-created').addEventListener('click', () => {
+      postAppMessage(Action.SESSION_CREATED, session);
+    });
+    document.getElementById('success').addEventListener('click', () => {
+      postAppMessage(Action.SUCCESS, makeDefaultPayload(Action.SUCCESS));
+    });
+    document.getElementById('failure').addEventListener('click', () => {
+      const errorCodes = document.getElementById('error-codes').value;
+      postAppMessage(Action.FAILURE, {
+        'errors': errorCodes.split(',')
+                      .map((errorCode) => errorCode.trim())
+                      .filter(Boolean)
+                      .map((errorCode) => ({'errorCode': errorCode})),
+      });
+    });
+    document.getElementById('close').addEventListener('click', () => {
+      window.close();
+    });
+  }
+
+  const scenario = readScenario();
+  document.getElementById('scenario').textContent = scenario.name;
+
+  renderParams();
+  bindActions();
+  playSteps(
+      scenario.steps,
+      scenario.steps.some((step) => step.action === AWAIT_PUSH_STEP), null);
+})();
@@ -1,3 +1,7 @@
 export const environment = {
-  production: true
+  production: true,
+  mockAppWindow: {
+    enabled: false,
+    urlPath: '/assets/mock/app-window.html'
+  }
 };
@@ -3,7 +3,13 @@
 // The list of file replacements can be found in `angular.json`.
 
 export const environment = {
-  production: false
+  production: false,
+  // Set enabled to true to open the local mock app window (served from
+  // src/assets/mock) instead of the Google Pay sandbox.
+  mockAppWindow: {
+    enabled: false,
+    urlPath: '/assets/mock/app-window.html'
+  }
 };
 
 /*
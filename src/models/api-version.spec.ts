@@ -0,0 +1,26 @@
+import { parseApiVersionDefinitions } from './api-version';
+import { ApiVersionDefinition } from './google-pay';
+
+describe('API version definitions', () => {
+  const definition: ApiVersionDefinition = {
+    apiVersion: 'V1_7',
+    options: ['integratorId'],
+    callbacks: ['onSessionCreated'],
+    urlParams: []
+  };
+
+  it('should parse an array of definitions', () => {
+    expect(parseApiVersionDefinitions(JSON.stringify([definition]))).toEqual([definition]);
+  });
+
+  it('should treat blank text as no definitions', () => {
+    expect(parseApiVersionDefinitions('  ')).toEqual([]);
+  });
+
+  it('should reject malformed definitions', () => {
+    expect(() => parseApiVersionDefinitions('{')).toThrowError(/not valid JSON/);
+    expect(() => parseApiVersionDefinitions('{}')).toThrowError(/JSON array/);
+    expect(() => parseApiVersionDefinitions('[{"options": []}]')).toThrowError(/Definition 1: apiVersion/);
+    expect(() => parseApiVersionDefinitions(JSON.stringify([definition, definition]))).toThrowError(/V1_7 is defined twice/);
+  });
+});
@@ -0,0 +1,37 @@
+import { ApiVersionDefinition } from './google-pay';
+
+/**
+ * Parses the API versions entered under "API versions": a JSON array of
+ * registerApiVersion definitions. Only their shape is checked here; the
+ * library checks the option, callback and URL parameter names.
+ *
+ * @throws {Error} describing the first malformed definition.
+ */
+export function parseApiVersionDefinitions(json: string): ApiVersionDefinition[] {
+  if (!json.trim()) {
+    return [];
+  }
+  let list: unknown;
+  try {
+    list = JSON.parse(json);
+  } catch {
+    throw new Error('The API versions are not valid JSON.');
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a JSON array of API version definitions.');
+  }
+  const seen = new Set<string>();
+  return list.map((entry, index) => {
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+      throw new Error(`Definition ${index + 1} must be an object.`);
+    }
+    if (typeof entry.apiVersion !== 'string' || !entry.apiVersion) {
+      throw new Error(`Definition ${index + 1}: apiVersion must be a string such as "V1_7".`);
+    }
+    if (seen.has(entry.apiVersion)) {
+      throw new Error(`Definition ${index + 1}: ${entry.apiVersion} is defined twice.`);
+    }
+    seen.add(entry.apiVersion);
+    return entry as ApiVersionDefinition;
+  });
+}
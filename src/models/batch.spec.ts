@@ -0,0 +1,48 @@
+import { BatchItem, expandBatchMatrix, parseBatchOptionList, toBatchCsvRow, toCsvField } from './batch';
+import { DEFAULT_LAUNCH_OPTIONS } from './launch-options';
+
+describe('batch option sets', () => {
+  it('should expand every matrix combination over the base options', () => {
+    const optionSets = expandBatchMatrix(DEFAULT_LAUNCH_OPTIONS, { tokenSetting: [0, 1], cardSetting: [1], hl: ['en-US', 'de-DE'] });
+
+    expect(optionSets.map(options => [options.tokenSetting, options.cardSetting, options.hl])).toEqual([
+      [0, 1, 'en-US'],
+      [0, 1, 'de-DE'],
+      [1, 1, 'en-US'],
+      [1, 1, 'de-DE']
+    ]);
+    expect(optionSets.every(options => options.integratorId === DEFAULT_LAUNCH_OPTIONS.integratorId)).toBeTrue();
+  });
+
+  it('should keep the base language when the matrix has none', () => {
+    const optionSets = expandBatchMatrix(DEFAULT_LAUNCH_OPTIONS, { tokenSetting: [1], cardSetting: [1], hl: [] });
+
+    expect(optionSets).toEqual([DEFAULT_LAUNCH_OPTIONS]);
+  });
+
+  it('should apply a JSON list over the base options', () => {
+    const optionSets = parseBatchOptionList(DEFAULT_LAUNCH_OPTIONS, '[{"tokenSetting": 0}, {"integratorId": "OTHER_1"}]');
+
+    expect(optionSets[0]).toEqual({ ...DEFAULT_LAUNCH_OPTIONS, tokenSetting: 0 });
+    expect(optionSets[1].integratorId).toBe('OTHER_1');
+    expect(() => parseBatchOptionList(DEFAULT_LAUNCH_OPTIONS, '{"tokenSetting": 0}')).toThrowError(/JSON array/);
+  });
+
+  it('should flatten results into CSV rows', () => {
+    const item: BatchItem = {
+      id: '1',
+      options: DEFAULT_LAUNCH_OPTIONS,
+      status: 'failure',
+      startedAt: 1000,
+      finishedAt: 4500,
+      errorCodes: ['A', 'B']
+    };
+
+    const row = toBatchCsvRow(item, 0);
+
+    expect(row.index).toBe('1');
+    expect(row.errorCodes).toBe('A B');
+    expect(row.durationMs).toBe('3500');
+    expect(toCsvField('a,"b"')).toBe('"a,""b"""');
+  });
+});
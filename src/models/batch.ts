@@ -0,0 +1,89 @@
+import { LaunchOptions } from './launch-options';
+
+export type BatchItemStatus = 'queued' | 'running' | 'success' | 'failure' | 'cancelled' | 'error' | 'skipped';
+
+/** One option set in a batch and what happened when it was launched. */
+export interface BatchItem {
+  id: string;
+  options: LaunchOptions;
+  status: BatchItemStatus;
+  startedAt?: number;
+  finishedAt?: number;
+  clientSessionId?: string;
+  serverSessionId?: string;
+  publicDeviceId?: string;
+  publicWalletId?: string;
+  /** onFailure error codes, or the code openAppWindow threw. */
+  errorCodes: string[];
+}
+
+export type BatchStatus = 'idle' | 'running' | 'paused';
+
+export interface BatchState {
+  status: BatchStatus;
+  items: BatchItem[];
+}
+
+/** Values to combine with the launch form options, one launch per combination. */
+export interface BatchMatrix {
+  tokenSetting: number[];
+  cardSetting: number[];
+  hl: string[];
+}
+
+/** Every combination of the matrix values applied to the base options. */
+export function expandBatchMatrix(base: LaunchOptions, matrix: BatchMatrix): LaunchOptions[] {
+  const hls = matrix.hl.length ? matrix.hl : [base.hl];
+  const options: LaunchOptions[] = [];
+  for (const tokenSetting of matrix.tokenSetting) {
+    for (const cardSetting of matrix.cardSetting) {
+      for (const hl of hls) {
+        options.push({ ...base, tokenSetting, cardSetting, hl });
+      }
+    }
+  }
+  return options;
+}
+
+/**
+ * Parses a JSON array of partial option sets, each applied over the base
+ * options, e.g. [{"tokenSetting": 0}, {"integratorId": "OTHER_1"}].
+ *
+ * @throws {Error} if the JSON is not an array of objects.
+ */
+export function parseBatchOptionList(base: LaunchOptions, json: string): LaunchOptions[] {
+  const list = JSON.parse(json);
+  if (!Array.isArray(list) || list.some(entry => typeof entry !== 'object' || entry === null || Array.isArray(entry))) {
+    throw new Error('Expected a JSON array of option objects.');
+  }
+  return list.map(entry => ({ ...base, ...entry }));
+}
+
+export const BATCH_CSV_COLUMNS = [
+  'index', 'integratorId', 'tokenSetting', 'cardSetting', 'hl', 'isTestEnvironment', 'status',
+  'clientSessionId', 'serverSessionId', 'publicDeviceId', 'publicWalletId', 'errorCodes', 'startedAt', 'durationMs'
+] as const;
+
+export function toBatchCsvRow(item: BatchItem, index: number): Record<typeof BATCH_CSV_COLUMNS[number], string> {
+  return {
+    index: String(index + 1),
+    integratorId: item.options.integratorId,
+    tokenSetting: String(item.options.tokenSetting),
+    cardSetting: String(item.options.cardSetting),
+    hl: item.options.hl ?? '',
+    isTestEnvironment: String(item.options.isTestEnvironment),
+    status: item.status,
+    clientSessionId: item.clientSessionId ?? '',
+    serverSessionId: item.serverSessionId ?? '',
+    publicDeviceId: item.publicDeviceId ?? '',
+    publicWalletId: item.publicWalletId ?? '',
+    errorCodes: item.errorCodes.join(' '),
+    startedAt: item.startedAt ? new Date(item.startedAt).toISOString() : '',
+    durationMs: item.startedAt && item.finishedAt ? String(item.finishedAt - item.startedAt) : ''
+  };
+}
+
+/** Quotes a CSV field when it contains a delimiter, quote or line break. */
+export function toCsvField(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
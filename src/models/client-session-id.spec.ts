@@ -0,0 +1,21 @@
+import { generateClientSessionId } from './client-session-id';
+
+describe('clientSessionId generator', () => {
+  const bytes = (length: number) => Uint8Array.from({ length }, (_, index) => index * 37);
+
+  it('should generate 28 digits', () => {
+    expect(generateClientSessionId({ format: 'numeric', prefix: '' })).toMatch(/^\d{28}$/);
+  });
+
+  it('should generate version 4 UUIDs', () => {
+    expect(generateClientSessionId({ format: 'uuid', prefix: '' }))
+      .toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+
+  it('should put the prefix and timestamp first', () => {
+    const id = generateClientSessionId({ format: 'prefixed', prefix: 'team-pay' }, bytes, 1614556800000);
+
+    expect(id).toMatch(/^team-pay-klptfk00-[0-9a-z]{8}$/);
+    expect(() => generateClientSessionId({ format: 'prefixed', prefix: 'no spaces' })).toThrowError(/prefix/);
+  });
+});
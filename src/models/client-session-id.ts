@@ -0,0 +1,62 @@
+/** Shapes of generated clientSessionIds (the csid URL parameter). */
+export type ClientSessionIdFormat = 'numeric' | 'uuid' | 'prefixed';
+
+export const CLIENT_SESSION_ID_FORMATS: ReadonlyArray<{ value: ClientSessionIdFormat, label: string }> = [
+  { value: 'numeric', label: '28 digits, like the library documentation' },
+  { value: 'uuid', label: 'UUID v4' },
+  { value: 'prefixed', label: 'Team prefix, timestamp and random suffix' }
+];
+
+export interface ClientSessionIdSettings {
+  format: ClientSessionIdFormat;
+  /** Used by the 'prefixed' format, e.g. a team tag to grep issuer logs for. */
+  prefix: string;
+  /** Generate one for every launch that has no clientSessionId. */
+  autoGenerate: boolean;
+}
+
+export const DEFAULT_CLIENT_SESSION_ID_SETTINGS: ClientSessionIdSettings = {
+  format: 'numeric',
+  prefix: 'qa',
+  autoGenerate: false
+};
+
+/** Keeps generated IDs within what the library's option checks accept. */
+export const CLIENT_SESSION_ID_PREFIX_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const NUMERIC_LENGTH = 28;
+const SUFFIX_LENGTH = 8;
+
+/**
+ * @param randomBytes Source of randomness, replaceable in tests.
+ * @throws {Error} if the 'prefixed' format is used with an invalid prefix.
+ */
+export function generateClientSessionId(
+  settings: Pick<ClientSessionIdSettings, 'format' | 'prefix'>,
+  randomBytes: (length: number) => Uint8Array = length => crypto.getRandomValues(new Uint8Array(length)),
+  now = Date.now()
+): string {
+  switch (settings.format) {
+    case 'numeric':
+      return Array.from(randomBytes(NUMERIC_LENGTH), byte => String(byte % 10)).join('');
+    case 'uuid':
+      return toUuid(randomBytes(16));
+    case 'prefixed':
+      if (!CLIENT_SESSION_ID_PREFIX_PATTERN.test(settings.prefix)) {
+        throw new Error('The prefix may only contain up to 32 letters, digits, \'_\' and \'-\'.');
+      }
+      return `${settings.prefix}-${now.toString(36)}-${toBase36(randomBytes(SUFFIX_LENGTH))}`;
+  }
+}
+
+function toBase36(bytes: Uint8Array): string {
+  return Array.from(bytes, byte => (byte % 36).toString(36)).join('');
+}
+
+/** Formats 16 random bytes as a version 4 UUID. */
+function toUuid(bytes: Uint8Array): string {
+  bytes[6] = 0x40 + bytes[6] % 0x10;
+  bytes[8] = 0x80 + bytes[8] % 0x40;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+}
@@ -0,0 +1,28 @@
+import { describeErrorCode, getFailureErrorCodes } from './error-catalogue';
+
+describe('error catalogue', () => {
+  it('should describe library error codes', () => {
+    const description = describeErrorCode('E411');
+
+    expect(description.source).toBe('library');
+    expect(description.name).toBe('APP_WINDOW_NOT_OPENED');
+  });
+
+  it('should describe the failure codes of the mock push API', () => {
+    expect(describeErrorCode('MOCK_PUSH_SESSION_EXPIRED').source).toBe('mock');
+    expect(describeErrorCode('MOCK_PUSH_INVALID_CARD').name).toBe('Mock push: invalid card');
+  });
+
+  it('should fall back to an unknown description', () => {
+    const description = describeErrorCode('SOMETHING_NEW');
+
+    expect(description.code).toBe('SOMETHING_NEW');
+    expect(description.source).toBe('unknown');
+  });
+
+  it('should read error codes from onFailure payloads', () => {
+    expect(getFailureErrorCodes({ errors: [{ errorCode: 'A' }, { errorCode: 'B' }] })).toEqual(['A', 'B']);
+    expect(getFailureErrorCodes({})).toEqual([]);
+    expect(getFailureErrorCodes(undefined)).toEqual([]);
+  });
+});
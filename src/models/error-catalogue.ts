@@ -0,0 +1,277 @@
+/**
+ * Explanations for the error codes a harness run can surface: the codes that
+ * window.googlepay.openAppWindow throws synchronously (the ErrorCode enum in
+ * integration.js) and the errors[].errorCode values passed to onFailure.
+ *
+ * The Google Pay server's onFailure codes are not published: integration.js
+ * only documents the shape of errors[], and no sandbox code has been recorded
+ * with its cause. Only the codes the local mock app window sends are listed,
+ * and anything else is described by UNKNOWN_ERROR, which says as much.
+ */
+export type ErrorSource = 'library' | 'mock' | 'unknown';
+
+export interface ErrorDescription {
+  code: string;
+  source: ErrorSource;
+  name: string;
+  meaning: string;
+  likelyCause: string;
+  suggestedFix: string;
+}
+
+export const ERROR_CATALOGUE: ReadonlyArray<ErrorDescription> = [
+  {
+    code: 'E406',
+    source: 'library',
+    name: 'INVALID_OR_MISSING_APP_OPTIONS',
+    meaning: 'openAppWindow was called without an app options object.',
+    likelyCause: 'The argument is missing, null or not an object.',
+    suggestedFix: 'Pass an object literal with at least integratorId and onSessionCreated.'
+  },
+  {
+    code: 'E407',
+    source: 'library',
+    name: 'INVALID_OR_MISSING_ON_SESSION_CREATED',
+    meaning: 'The required onSessionCreated callback is missing or not a function.',
+    likelyCause: 'The key is misspelled or the handler was not bound.',
+    suggestedFix: 'Provide onSessionCreated as a function in the app options.'
+  },
+  {
+    code: 'E408',
+    source: 'library',
+    name: 'INVALID_OPTIONAL_CALLBACK',
+    meaning: 'One of onReady, onSuccess, onFailure, onFinish or onCancel is set but is not a function.',
+    likelyCause: 'A callback was set to a non-function value such as a string or null.',
+    suggestedFix: 'Pass a function or leave the callback out entirely.'
+  },
+  {
+    code: 'E409',
+    source: 'library',
+    name: 'INVALID_CONTENT_DIMENSIONS',
+    meaning: 'contentHeight and contentWidth are not both numbers or both unset, or windowSizePreset is invalid.',
+    likelyCause: 'Only one dimension was given, a dimension was passed as a string, ' +
+      'or windowSizePreset is unknown or combined with content dimensions.',
+    suggestedFix: 'Set both dimensions as numbers, or neither; or use a window size preset instead of dimensions.'
+  },
+  {
+    code: 'E410',
+    source: 'library',
+    name: 'APP_WINDOW_ALREADY_OPEN',
+    meaning: 'A Google Pay app window opened by this page is still open.',
+    likelyCause: 'A previous run has not been finished or cancelled yet.',
+    suggestedFix: 'Close the existing app window, or wait for onFinish/onCancel, then launch again.'
+  },
+  {
+    code: 'E411',
+    source: 'library',
+    name: 'APP_WINDOW_NOT_OPENED',
+    meaning: 'window.open did not return a window.',
+    likelyCause: 'The browser blocked the popup, usually because the launch was not triggered by a user gesture.',
+    suggestedFix: 'Allow popups for this site, then launch again from a click, ' +
+      'or turn on the retry prompt for blocked popups.'
+  },
+  {
+    code: 'E412',
+    source: 'library',
+    name: 'INVALID_APP_ORIGIN',
+    meaning: 'The appOrigin or appUrlPath override is invalid.',
+    likelyCause: 'appOrigin is not a bare origin, or appUrlPath is set without appOrigin or does not start with "/".',
+    suggestedFix: 'Pass an origin such as http://localhost:3000 and a path beginning with "/".'
+  },
+  {
+    code: 'E413',
+    source: 'library',
+    name: 'INVALID_STAGE_TIMEOUT',
+    meaning: 'A stage deadline or closeOnTimeout option is invalid.',
+    likelyCause: 'A deadline (readyTimeoutMs, sessionCreatedTimeoutMs or outcomeTimeoutMs) is not a positive number, ' +
+      'or closeOnTimeout is not a boolean.',
+    suggestedFix: 'Pass deadlines as positive numbers of milliseconds, or leave them out.'
+  },
+  {
+    code: 'E414',
+    source: 'library',
+    name: 'INVALID_REPLAY_FIXTURE',
+    meaning: 'The fixture passed to replayAppWindow is malformed.',
+    likelyCause: 'The fixture has no messages array, a message has no origin or a negative atMs, ' +
+      'or closedAtMs is negative.',
+    suggestedFix: 'Replay a fixture saved from the run timeline, or fix the hand-edited fields.'
+  },
+  {
+    code: 'E415',
+    source: 'library',
+    name: 'INVALID_EVENT_LISTENER',
+    meaning: 'addEventListener or removeEventListener was called with an unknown event type or a non-function.',
+    likelyCause: 'The event type is not \'statechange\', or the listener is not a function.',
+    suggestedFix: 'Call addEventListener(\'statechange\', listener) with a function.'
+  },
+  {
+    code: 'E416',
+    source: 'library',
+    name: 'INVALID_APP_OPTION_VALUE',
+    meaning: 'strictOptions is on and lintAppOptions found an error, or strictOptions is not a boolean.',
+    likelyCause: 'A value that the server would reject, e.g. a tokenSetting other than 0 or 1 or a malformed hl.',
+    suggestedFix: 'Fix the options listed under the launch form, or turn strict option checks off to see the server\'s response.'
+  },
+  {
+    code: 'E417',
+    source: 'library',
+    name: 'INVALID_WINDOW_OPTIONS',
+    meaning: 'The window placement or popupBlockedPrompt option is invalid.',
+    likelyCause: 'windowPlacement is not \'auto\' or \'center\', only one of windowLeft and windowTop is a number, ' +
+      'windowLeft/windowTop are combined with \'center\', or popupBlockedPrompt is not a boolean.',
+    suggestedFix: 'Either center the window or give both coordinates as numbers, and pass popupBlockedPrompt as true or false.'
+  },
+  {
+    code: 'E418',
+    source: 'library',
+    name: 'INVALID_TESTING_CALL',
+    meaning: 'A window.googlepay.testing method was called when it could not be used.',
+    likelyCause: 'The testing module is not installed, no app window has been opened since install, ' +
+      'install was called while a real app window was still open or blocked, ' +
+      'or tick or install was given something other than a number.',
+    suggestedFix: 'Call window.googlepay.testing.install() in beforeEach, before any app window is opened, ' +
+      'and open the app window before dispatching to it.'
+  },
+  {
+    code: 'E419',
+    source: 'library',
+    name: 'INVALID_API_VERSION',
+    meaning: 'The apiVersion is not registered, or an API version definition is invalid.',
+    likelyCause: 'apiVersion names a version that was never passed to registerApiVersion (e.g. after a reload), ' +
+      'or a definition lists unknown options, callbacks or URL parameters, leaves out onSessionCreated, or redefines V1_6.',
+    suggestedFix: 'Register the version under "API versions" before launching with it, and check its definition against ' +
+      'the registerApiVersion documentation in integration.js.'
+  },
+  {
+    code: 'E420',
+    source: 'library',
+    name: 'UNSUPPORTED_APP_OPTION',
+    meaning: 'An app option or callback was given that the selected API version does not take.',
+    likelyCause: 'The version\'s definition leaves out an option that is set in the launch form, such as hl or clientSessionId.',
+    suggestedFix: 'Clear the options that the option checks report as not supported, or add them to the version\'s definition.'
+  },
+  {
+    code: 'MOCK_FAILURE',
+    source: 'mock',
+    name: 'Mock failure',
+    meaning: 'The local mock app window was told to report a failure.',
+    likelyCause: 'A failure was triggered from the mock app window.',
+    suggestedFix: 'None needed; this code only exists to exercise onFailure handling.'
+  },
+  {
+    code: 'MOCK_CARD_DECLINED',
+    source: 'mock',
+    name: 'Mock card declined',
+    meaning: 'The local mock app window is simulating a card that could not be provisioned.',
+    likelyCause: 'A mock scenario that reports several failure codes was selected.',
+    suggestedFix: 'None needed; this code only exists to exercise onFailure handling.'
+  },
+  {
+    code: 'MOCK_PUSH_INVALID_BODY',
+    source: 'mock',
+    name: 'Mock push: invalid body',
+    meaning: 'The push to the mock push API was not a JSON object.',
+    likelyCause: 'The issuer backend sent an empty body, form data or malformed JSON.',
+    suggestedFix: 'Send a JSON object with a token and/or card, and Content-Type application/json.'
+  },
+  {
+    code: 'MOCK_PUSH_MISSING_CREDENTIALS',
+    source: 'mock',
+    name: 'Mock push: nothing pushed',
+    meaning: 'The push to the mock push API had neither a token nor a card, for a session that requested neither.',
+    likelyCause: 'The push body was built without the credentials, or with misspelled keys.',
+    suggestedFix: 'Include "token", "card" or both, as documented in scripts/mock-push-api.js.'
+  },
+  {
+    code: 'MOCK_PUSH_MISSING_TOKEN',
+    source: 'mock',
+    name: 'Mock push: token missing',
+    meaning: 'No token was pushed for a session created with tokenSetting 1.',
+    likelyCause: 'The backend only pushes the card, or the token is sent under another key.',
+    suggestedFix: 'Push a token whenever onSessionCreated reports tokenSetting 1.'
+  },
+  {
+    code: 'MOCK_PUSH_TOKEN_NOT_REQUESTED',
+    source: 'mock',
+    name: 'Mock push: token not requested',
+    meaning: 'A token was pushed for a session created with tokenSetting 0.',
+    likelyCause: 'The backend pushes a token whatever the session asked for.',
+    suggestedFix: 'Only push a token when onSessionCreated reports tokenSetting 1.'
+  },
+  {
+    code: 'MOCK_PUSH_INVALID_TOKEN',
+    source: 'mock',
+    name: 'Mock push: invalid token',
+    meaning: 'The pushed token lacks a tokenReferenceId or network.',
+    likelyCause: 'The token object is empty or uses different field names.',
+    suggestedFix: 'Send non-empty tokenReferenceId and network strings.'
+  },
+  {
+    code: 'MOCK_PUSH_MISSING_CARD',
+    source: 'mock',
+    name: 'Mock push: card missing',
+    meaning: 'No card was pushed for a session created with cardSetting 1.',
+    likelyCause: 'The backend only pushes the token, or the card is sent under another key.',
+    suggestedFix: 'Push a card whenever onSessionCreated reports cardSetting 1.'
+  },
+  {
+    code: 'MOCK_PUSH_CARD_NOT_REQUESTED',
+    source: 'mock',
+    name: 'Mock push: card not requested',
+    meaning: 'A card was pushed for a session created with cardSetting 0.',
+    likelyCause: 'The backend pushes the FPAN whatever the session asked for.',
+    suggestedFix: 'Only push a card when onSessionCreated reports cardSetting 1.'
+  },
+  {
+    code: 'MOCK_PUSH_INVALID_CARD',
+    source: 'mock',
+    name: 'Mock push: invalid card',
+    meaning: 'The pushed card has a malformed fpan, expiryMonth or expiryYear.',
+    likelyCause: 'The FPAN is formatted with spaces, or the expiry is sent as a string or two-digit year.',
+    suggestedFix: 'Send fpan as 12 to 19 digits and the expiry as numbers, e.g. 12 and 2030.'
+  },
+  {
+    code: 'MOCK_PUSH_CARD_EXPIRED',
+    source: 'mock',
+    name: 'Mock push: card expired',
+    meaning: 'The pushed card\'s expiry date has passed.',
+    likelyCause: 'A stale test card was used.',
+    suggestedFix: 'Push a test card with an expiry date in the future.'
+  },
+  {
+    code: 'MOCK_PUSH_SESSION_EXPIRED',
+    source: 'mock',
+    name: 'Mock push: session expired',
+    meaning: 'No push arrived before the session expired in the mock push API.',
+    likelyCause: 'The backend did not push, pushed for another serverSessionId, or took longer than MOCK_PUSH_API_SESSION_TTL_MS.',
+    suggestedFix: 'Check that the backend receives onSessionCreated (e.g. through the webhook) and pushes for its serverSessionId.'
+  },
+  {
+    code: 'MOCK_PUSH_API_UNAVAILABLE',
+    source: 'mock',
+    name: 'Mock push API unavailable',
+    meaning: 'The mock app window could not register the session with the mock push API or read its state.',
+    likelyCause: 'The harness is not served by `ng serve` with proxy.conf.js, the dev server was restarted and lost its sessions, ' +
+      'or the scenario sets a serverSessionId that is already registered.',
+    suggestedFix: 'Serve the harness with `npm start` and launch again, without a fixed serverSessionId in the scenario.'
+  }
+];
+
+const UNKNOWN_ERROR: Omit<ErrorDescription, 'code'> = {
+  source: 'unknown',
+  name: 'Unknown error code',
+  meaning: 'A code from the Google Pay server. Its onFailure codes are not published, so the harness cannot explain them.',
+  likelyCause: 'Usually a server-side validation or provisioning failure reported by the Google Pay application.',
+  suggestedFix: 'Check the launch options against the lint list, and the debugInfo in the failure payload; ' +
+    'ask your Google Pay contact about the code if neither explains it.'
+};
+
+export function describeErrorCode(code: string): ErrorDescription {
+  return ERROR_CATALOGUE.find(entry => entry.code === code) ?? { code, ...UNKNOWN_ERROR };
+}
+
+/** Error codes from an onFailure payload, tolerating malformed payloads. */
+export function getFailureErrorCodes(payload: unknown): string[] {
+  const errors = (payload as { errors?: unknown } | undefined)?.errors;
+  return Array.isArray(errors) ? errors.map(error => String(error?.errorCode)) : [];
+}
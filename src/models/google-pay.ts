@@ -0,0 +1,280 @@
+import { describeErrorCode } from './error-catalogue';
+
+/**
+ * Types for the window.googlepay API exported by src/assets/js/integration.js.
+ * Payload shapes follow the documentation at the top of that file.
+ */
+
+/** Non-callback app options accepted by window.googlepay.openAppWindow. */
+export interface GooglePayAppOptions {
+  /** One of getApiVersions(); the library's built-in version if left out. */
+  apiVersion?: string;
+  integratorId: string;
+  tokenSetting: number;
+  cardSetting: number;
+  isTestEnvironment?: boolean;
+  clientSessionId?: string;
+  hl?: string;
+  contentHeight?: number;
+  contentWidth?: number;
+  appOrigin?: string;
+  appUrlPath?: string;
+  readyTimeoutMs?: number;
+  sessionCreatedTimeoutMs?: number;
+  outcomeTimeoutMs?: number;
+  closeOnTimeout?: boolean;
+  strictOptions?: boolean;
+  windowSizePreset?: WindowSizePreset;
+  windowPlacement?: WindowPlacement;
+  windowLeft?: number;
+  windowTop?: number;
+  popupBlockedPrompt?: boolean;
+}
+
+/** Window sizes the library can open the app window at, instead of contentHeight/contentWidth. */
+export type WindowSizePreset = 'desktop' | 'tablet' | 'mobile';
+
+/** 'auto' leaves the position to the browser, or to windowLeft/windowTop if set. */
+export type WindowPlacement = 'auto' | 'center';
+
+/** The API version that the library opens the app window with unless told otherwise. */
+export const DEFAULT_API_VERSION = 'V1_6';
+
+/** App options passed on to the app, which an API version may or may not take. */
+export type VersionedOptionKey =
+  'integratorId' | 'tokenSetting' | 'cardSetting' | 'isTestEnvironment' | 'clientSessionId' | 'hl' | 'contentHeight' | 'contentWidth';
+
+/** Callbacks for what the app did, which an API version may or may not take. */
+export type VersionedCallbackKey = 'onSessionCreated' | 'onReady' | 'onSuccess' | 'onFailure' | 'onFinish' | 'onCancel';
+
+/** URL parameters that an API version may be sent; apiVersion and origin always are. */
+export type VersionedUrlParam = 'integratorId' | 'tokenSetting' | 'cardSetting' | 'csid' | 'hl' | 'windowFeatures';
+
+/** What window.googlepay.registerApiVersion takes and getApiVersions returns. */
+export interface ApiVersionDefinition {
+  /** E.g. 'V1_7'. */
+  apiVersion: string;
+  options: VersionedOptionKey[];
+  /** Must include onSessionCreated. */
+  callbacks: VersionedCallbackKey[];
+  urlParams: VersionedUrlParam[];
+  /** Followed by '1' or '2'; defaults to 'googlepay-webpp-<apiVersion in lower case>-app-window-'. */
+  appWindowIdPrefix?: string;
+}
+
+/** One problem reported by window.googlepay.lintAppOptions. */
+export interface OptionLintFinding {
+  severity: 'error' | 'warning';
+  /** The app option key, e.g. 'hl'. */
+  option: string;
+  message: string;
+}
+
+export type EmptyPayload = Record<string, never>;
+
+export interface SessionCreatedPayload {
+  clientSessionId: string;
+  serverSessionId: string;
+  tokenSetting: string;
+  cardSetting: string;
+  publicDeviceId?: string;
+  publicWalletId?: string;
+}
+
+export interface SuccessPayload {
+  tokenResult: string;
+  cardResult: string;
+  debugInfo?: Record<string, unknown>;
+}
+
+export interface FailurePayload {
+  errors: Array<{ errorCode: string }>;
+}
+
+export type TimeoutStage = 'ready' | 'sessionCreated' | 'outcome';
+
+export interface TimeoutPayload {
+  stage: TimeoutStage;
+  /** Milliseconds since the app window was opened. */
+  elapsedMs: number;
+}
+
+export interface PopupBlockedPayload {
+  /** How many times window.open has been blocked for this launch. */
+  attempts: number;
+  /** Whether the library is showing its own retry prompt. */
+  prompt: boolean;
+}
+
+export type MessageDiagnosticReason =
+  'accepted' | 'appWindowClosed' | 'originMismatch' | 'appWindowIdMismatch' | 'missingAction';
+
+/** Passed to onMessageDiagnostic for every 'message' event the library sees. */
+export interface MessageDiagnostic {
+  accepted: boolean;
+  reason: MessageDiagnosticReason;
+  origin: string;
+  expectedOrigin: string;
+  appWindowId: unknown;
+  expectedAppWindowId: string;
+  action: unknown;
+  data: unknown;
+  timeStamp: number;
+}
+
+export interface GooglePayCallbacks {
+  onSessionCreated: (payload: SessionCreatedPayload) => void;
+  onReady?: (payload: EmptyPayload) => void;
+  onSuccess?: (payload: SuccessPayload) => void;
+  onFailure?: (payload: FailurePayload) => void;
+  onFinish?: (payload: EmptyPayload) => void;
+  onCancel?: (payload: EmptyPayload) => void;
+  onTimeout?: (payload: TimeoutPayload) => void;
+  onPopupBlocked?: (payload: PopupBlockedPayload) => void;
+  onMessageDiagnostic?: (diagnostic: MessageDiagnostic) => void;
+  onCallbackError?: (payload: CallbackErrorPayload) => void;
+}
+
+/** Passed to onCallbackError when another callback or a listener throws. */
+export interface CallbackErrorPayload {
+  /** The callback name, e.g. 'onSuccess', or 'statechange' for a listener. */
+  callback: string;
+  error: unknown;
+}
+
+export type GooglePayState = 'idle' | 'popupBlocked' | 'opening' | 'ready' | 'sessionCreated' | 'succeeded' | 'failed' | 'closed';
+
+/** What window.googlepay.getState returns. */
+export interface GooglePayStateSnapshot {
+  state: GooglePayState;
+  isAppWindowOpen: boolean;
+  /** The options passed to openAppWindow, frozen; null while idle. */
+  options: Readonly<GooglePayAppOptions & GooglePayCallbacks> | null;
+}
+
+/** Passed to 'statechange' listeners. */
+export interface GooglePayStateChangeEvent extends GooglePayStateSnapshot {
+  type: 'statechange';
+  previousState: GooglePayState;
+}
+
+export type GooglePayStateChangeListener = (event: GooglePayStateChangeEvent) => void;
+
+/** One callback invocation, tagged with the name of the callback minus "on". */
+export type GooglePayEvent =
+  | { type: 'ready', payload: EmptyPayload }
+  | { type: 'sessionCreated', payload: SessionCreatedPayload }
+  | { type: 'success', payload: SuccessPayload }
+  | { type: 'failure', payload: FailurePayload }
+  | { type: 'finish', payload: EmptyPayload }
+  | { type: 'cancel', payload: EmptyPayload }
+  | { type: 'timeout', payload: TimeoutPayload }
+  | { type: 'popupBlocked', payload: PopupBlockedPayload };
+
+export type GooglePayEventType = GooglePayEvent['type'];
+
+/** One 'message' event of a recording, timed from when the window opened. */
+export interface AppWindowRecordedMessage {
+  atMs: number;
+  origin: string;
+  data: unknown;
+}
+
+/**
+ * The messages that an app window sent, as replayAppWindow takes them. The
+ * origin and window ID the library expected are kept so that the replay can
+ * tell which messages matched them.
+ */
+export interface AppWindowRecording {
+  appOrigin: string;
+  appWindowId: string;
+  messages: AppWindowRecordedMessage[];
+  /** Without it, the replay closes the window right after the last message. */
+  closedAtMs?: number;
+}
+
+/** What window.googlepay.testing.getAppWindow returns. */
+export interface GooglePayTestAppWindow {
+  url: string;
+  origin: string;
+  /** The appWindowId that messages must carry. */
+  name: string;
+  features: string;
+  /** The decoded query parameters, e.g. csid and integratorId. */
+  params: Record<string, string>;
+  closed: boolean;
+}
+
+/**
+ * Test aid that fakes window.open and the library's timers, so that code using
+ * window.googlepay can be unit-tested against the real library.
+ */
+export interface GooglePayTestingApi {
+  /**
+   * Starts the virtual clock at nowMs (by default, the current time); starts over if already installed.
+   * Throws E418 while an app window opened before install is still open or blocked.
+   */
+  install(nowMs?: number): void;
+  /** Restores window.open and the clock, and forgets the current window without calling its callbacks. */
+  uninstall(): void;
+  getAppWindow(): GooglePayTestAppWindow | null;
+  /** Sends a message as the app window would, with any action and payload. */
+  dispatch(action: string, payload?: object): void;
+  /** Sends arbitrary message data, from the app window's origin unless another is given. */
+  dispatchMessage(data: unknown, origin?: string): void;
+  /** onFinish or onCancel follows on the next poll, 200 ms later. */
+  markAppWindowClosed(): void;
+  setPopupBlocked(blocked: boolean): void;
+  /** Runs every timer that falls due, then throws the first error one of them threw, if any. */
+  tick(ms: number): void;
+  getPendingTimerCount(): number;
+}
+
+export interface GooglePayApi {
+  /** Only for unit tests; see GooglePayTestingApi. */
+  testing: GooglePayTestingApi;
+  openAppWindow(appOptions: GooglePayAppOptions & GooglePayCallbacks): void;
+  closeAppWindow(): void;
+  lintAppOptions(appOptions: GooglePayAppOptions): OptionLintFinding[];
+  getState(): GooglePayStateSnapshot;
+  addEventListener(type: 'statechange', listener: GooglePayStateChangeListener): void;
+  removeEventListener(type: 'statechange', listener: GooglePayStateChangeListener): void;
+  replayAppWindow(appOptions: GooglePayAppOptions & GooglePayCallbacks, recording: AppWindowRecording): void;
+  /** Must be called from a user gesture; true if the window opened. */
+  retryAppWindow(): boolean;
+  /** Adds or replaces API versions; throws E419, registering none, if any definition is invalid. */
+  registerApiVersion(...definitions: ApiVersionDefinition[]): void;
+  /** The built-in version first. */
+  getApiVersions(): ApiVersionDefinition[];
+}
+
+declare global {
+  interface Window {
+    googlepay?: GooglePayApi;
+  }
+}
+
+const GOOGLE_PAY_ERROR_CODES = [
+  'E406', 'E407', 'E408', 'E409', 'E410', 'E411', 'E412', 'E413', 'E414', 'E415', 'E416', 'E417', 'E418', 'E419', 'E420'
+] as const;
+
+/** Codes of the errors that the window.googlepay methods throw. */
+export type GooglePayErrorCode = typeof GOOGLE_PAY_ERROR_CODES[number];
+
+/**
+ * A synchronous openAppWindow failure, e.g. a blocked popup (E411). With
+ * strictOptions, E416 comes with the lint errors that stopped the launch.
+ */
+export class GooglePayError extends Error {
+  constructor(readonly code: GooglePayErrorCode, readonly findings: OptionLintFinding[] = []) {
+    super([`${code}: ${describeErrorCode(code).meaning}`, ...findings.map(finding => finding.message)].join(' '));
+    this.name = 'GooglePayError';
+  }
+
+  /** Wraps a library error code in a GooglePayError; returns anything else unchanged. */
+  static from(error: unknown): unknown {
+    return error instanceof Error && (GOOGLE_PAY_ERROR_CODES as ReadonlyArray<string>).includes(error.message) ?
+      new GooglePayError(error.message as GooglePayErrorCode, (error as { findings?: OptionLintFinding[] }).findings) :
+      error;
+  }
+}
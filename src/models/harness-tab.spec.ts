@@ -0,0 +1,36 @@
+import {
+  createHarnessTab,
+  describeTab,
+  getLockHeldElsewhere,
+  HarnessTab,
+  LAUNCH_LOCK_STALE_MS,
+  LaunchLock
+} from './harness-tab';
+
+describe('harness tabs', () => {
+  const other: HarnessTab = { id: '1-ABCD', label: 'Tab ABCD' };
+  const lock: LaunchLock = { tab: other, runId: 'run-1', since: 1000, heartbeatAt: 5000 };
+
+  it('should label a tab with the end of its ID', () => {
+    const tab = createHarnessTab();
+
+    expect(tab.label).toMatch(/^Tab [0-9A-Z]{4}$/);
+    expect(tab.id.endsWith(tab.label.slice(4))).toBeTrue();
+    expect(createHarnessTab().id).not.toBe(tab.id);
+  });
+
+  it('should report a fresh lock held by another tab', () => {
+    expect(getLockHeldElsewhere(lock, 'mine', 5000 + LAUNCH_LOCK_STALE_MS - 1)).toBe(lock);
+  });
+
+  it('should ignore no lock, its own lock and stale locks', () => {
+    expect(getLockHeldElsewhere(null, 'mine', 5000)).toBeNull();
+    expect(getLockHeldElsewhere(lock, other.id, 5000)).toBeNull();
+    expect(getLockHeldElsewhere(lock, 'mine', 5000 + LAUNCH_LOCK_STALE_MS)).toBeNull();
+  });
+
+  it('should point out the current tab', () => {
+    expect(describeTab(other, other.id)).toBe('Tab ABCD (this tab)');
+    expect(describeTab(other, 'mine')).toBe('Tab ABCD');
+  });
+});
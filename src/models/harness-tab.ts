@@ -0,0 +1,41 @@
+/**
+ * A browser tab with the harness open. Captured sessions and runs are shared
+ * between tabs through localStorage, and remember the tab they came from.
+ */
+export interface HarnessTab {
+  id: string;
+  /** Short name shown in the shared history, e.g. 'Tab K3QZ'. */
+  label: string;
+}
+
+/**
+ * Written to localStorage while a tab has an app window open, so that other
+ * tabs can warn before opening a second one. The library itself only refuses
+ * a second window within the same page (E410).
+ */
+export interface LaunchLock {
+  tab: HarnessTab;
+  runId: string;
+  /** Epoch milliseconds. */
+  since: number;
+  /** Refreshed every LAUNCH_LOCK_HEARTBEAT_MS by the holder while it is alive. */
+  heartbeatAt: number;
+}
+
+export const LAUNCH_LOCK_HEARTBEAT_MS = 5000;
+/** Locks not refreshed for this long are left behind by closed or frozen tabs. */
+export const LAUNCH_LOCK_STALE_MS = 30000;
+
+export function createHarnessTab(): HarnessTab {
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+  return { id: `${Date.now()}-${suffix}`, label: `Tab ${suffix}` };
+}
+
+/** The lock if a tab other than tabId holds it and has refreshed it recently. */
+export function getLockHeldElsewhere(lock: LaunchLock | null, tabId: string, now: number): LaunchLock | null {
+  return lock && lock.tab.id !== tabId && now - lock.heartbeatAt < LAUNCH_LOCK_STALE_MS ? lock : null;
+}
+
+export function describeTab(tab: HarnessTab, currentTabId: string): string {
+  return tab.id === currentTabId ? `${tab.label} (this tab)` : tab.label;
+}
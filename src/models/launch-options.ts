@@ -0,0 +1,52 @@
+import { environment } from 'src/environments/environment';
+import { DEFAULT_API_VERSION, WindowPlacement, WindowSizePreset } from './google-pay';
+
+/**
+ * Integrator-facing app options that the harness passes to
+ * window.googlepay.openAppWindow, one field per non-callback AppOptionKey.
+ */
+export interface LaunchOptions {
+  /** Left out by runs recorded before versions could be chosen, which used the default. */
+  apiVersion?: string;
+  integratorId: string;
+  tokenSetting: number;
+  cardSetting: number;
+  isTestEnvironment: boolean;
+  clientSessionId?: string;
+  hl?: string;
+  contentHeight?: number;
+  contentWidth?: number;
+  readyTimeoutMs?: number;
+  sessionCreatedTimeoutMs?: number;
+  outcomeTimeoutMs?: number;
+  closeOnTimeout?: boolean;
+  strictOptions?: boolean;
+  windowSizePreset?: WindowSizePreset;
+  windowPlacement?: WindowPlacement;
+  windowLeft?: number;
+  windowTop?: number;
+  popupBlockedPrompt?: boolean;
+  /** Harness-only: open the local mock app window instead of Google Pay. */
+  useMockAppWindow: boolean;
+}
+
+export const WINDOW_SIZE_PRESETS: ReadonlyArray<{ value: WindowSizePreset, label: string }> = [
+  { value: 'desktop', label: 'Desktop (1100 × 700)' },
+  { value: 'tablet', label: 'Tablet (820 × 1180)' },
+  { value: 'mobile', label: 'Mobile (412 × 915)' }
+];
+
+export const WINDOW_PLACEMENTS: ReadonlyArray<{ value: WindowPlacement, label: string }> = [
+  { value: 'auto', label: 'Browser default, or the coordinates below' },
+  { value: 'center', label: 'Centered over this window' }
+];
+
+export const DEFAULT_LAUNCH_OPTIONS: LaunchOptions = {
+  apiVersion: DEFAULT_API_VERSION,
+  integratorId: 'CAPITALONE_1',
+  tokenSetting: 1,
+  cardSetting: 1,
+  isTestEnvironment: true,
+  hl: 'en-US',
+  useMockAppWindow: environment.mockAppWindow.enabled
+};
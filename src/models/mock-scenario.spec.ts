@@ -0,0 +1,23 @@
+import { MOCK_SCENARIOS, parseMockScenario } from './mock-scenario';
+
+describe('mock scenarios', () => {
+  it('should accept every built-in scenario', () => {
+    for (const scenario of MOCK_SCENARIOS) {
+      expect(parseMockScenario(JSON.stringify(scenario))).toEqual(scenario);
+    }
+  });
+
+  it('should default the name of a custom scenario', () => {
+    const scenario = parseMockScenario('{"steps": [{"action": "ready", "delayMs": 500}]}');
+
+    expect(scenario.id).toBe('custom');
+    expect(scenario.steps).toEqual([{ action: 'ready', delayMs: 500 }]);
+  });
+
+  it('should reject malformed scenarios', () => {
+    expect(() => parseMockScenario('[]')).toThrowError(/steps/);
+    expect(() => parseMockScenario('{"steps": [{"action": "explode"}]}')).toThrowError(/Step 1: action/);
+    expect(() => parseMockScenario('{"steps": [{"action": "ready", "delayMs": -1}]}')).toThrowError(/delayMs/);
+    expect(() => parseMockScenario('{"steps": [{"action": "ready", "omit": "publicDeviceId"}]}')).toThrowError(/omit/);
+  });
+});
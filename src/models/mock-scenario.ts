@@ -0,0 +1,173 @@
+/**
+ * Scripted message sequences for the local mock app window.
+ *
+ * The harness stores the selected scenario in localStorage under
+ * MOCK_SCENARIO_STORAGE_KEY; the mock window (same origin) reads it on load
+ * and plays its steps in order. Each step waits delayMs after the previous
+ * one, then posts its action to the opener or, for 'close', closes itself.
+ * Actions that are never listed are never sent, e.g. a scenario without a
+ * 'ready' step models an app window that never becomes ready.
+ *
+ * An 'awaitPush' step waits until the issuer backend has pushed credentials
+ * for the session to the mock push API (scripts/mock-push-api.js, served by
+ * `ng serve`), then sends the success or failure that the push led to.
+ */
+export const MOCK_SCENARIO_STORAGE_KEY = 'google-pay-push.mock-scenario';
+
+export type MockStepAction = 'ready' | 'sessionCreated' | 'success' | 'failure' | 'awaitPush' | 'close';
+
+export interface MockStep {
+  action: MockStepAction;
+  delayMs?: number;
+  /** Merged over the payload the mock window would send by default. */
+  payload?: Record<string, unknown>;
+  /** Payload keys to leave out, e.g. ['publicDeviceId']. */
+  omit?: string[];
+}
+
+export interface MockScenario {
+  id: string;
+  name: string;
+  description: string;
+  steps: MockStep[];
+}
+
+const MOCK_STEP_ACTIONS: ReadonlyArray<MockStepAction> = ['ready', 'sessionCreated', 'success', 'failure', 'awaitPush', 'close'];
+
+export const MOCK_SCENARIOS: ReadonlyArray<MockScenario> = [
+  {
+    id: 'manual',
+    name: 'Manual',
+    description: 'Sends ready, then waits for the buttons in the mock window.',
+    steps: [{ action: 'ready' }]
+  },
+  {
+    id: 'success',
+    name: 'Success',
+    description: 'Runs the whole flow and closes the window, firing onFinish.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000 },
+      { action: 'success', delayMs: 1500 },
+      { action: 'close', delayMs: 1500 }
+    ]
+  },
+  {
+    id: 'failure',
+    name: 'Failure (one error code)',
+    description: 'Creates a session, then reports a single failure code.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000 },
+      { action: 'failure', delayMs: 1500, payload: { errors: [{ errorCode: 'MOCK_FAILURE' }] } }
+    ]
+  },
+  {
+    id: 'failure-multiple',
+    name: 'Failure (several error codes)',
+    description: 'Creates a session, then reports two failure codes at once.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000 },
+      {
+        action: 'failure',
+        delayMs: 1500,
+        payload: { errors: [{ errorCode: 'MOCK_FAILURE' }, { errorCode: 'MOCK_CARD_DECLINED' }] }
+      }
+    ]
+  },
+  {
+    id: 'push',
+    name: 'Server-to-server push',
+    description: 'Creates a session, then reports success or failure once the issuer backend pushes to the mock push API.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000 },
+      { action: 'awaitPush' },
+      { action: 'close', delayMs: 1500 }
+    ]
+  },
+  {
+    id: 'cancel',
+    name: 'Cancel before outcome',
+    description: 'Creates a session, then closes the window without an outcome, firing onCancel.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000 },
+      { action: 'close', delayMs: 1500 }
+    ]
+  },
+  {
+    id: 'downgraded-settings',
+    name: 'Downgraded settings',
+    description: 'onSessionCreated reports tokenSetting 0 (no token) whatever was requested.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000, payload: { tokenSetting: '0' } },
+      { action: 'success', delayMs: 1500, payload: { tokenResult: '' } }
+    ]
+  },
+  {
+    id: 'missing-device-id',
+    name: 'Missing publicDeviceId',
+    description: 'onSessionCreated arrives without a publicDeviceId.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000, omit: ['publicDeviceId'] }
+    ]
+  },
+  {
+    id: 'no-outcome',
+    name: 'No outcome',
+    description: 'Creates a session, then never reports success or failure.',
+    steps: [
+      { action: 'ready', delayMs: 300 },
+      { action: 'sessionCreated', delayMs: 1000 }
+    ]
+  },
+  {
+    id: 'late-ready',
+    name: 'Late ready',
+    description: 'ready only arrives after 15 seconds.',
+    steps: [{ action: 'ready', delayMs: 15000 }]
+  },
+  {
+    id: 'never-ready',
+    name: 'Never ready',
+    description: 'The window opens but never sends a message.',
+    steps: []
+  }
+];
+
+/**
+ * Parses and checks a scenario written by hand, e.g. in the picker's custom
+ * scenario editor.
+ *
+ * @throws {Error} with a message describing the first problem found.
+ */
+export function parseMockScenario(json: string): MockScenario {
+  const scenario = JSON.parse(json);
+  if (typeof scenario !== 'object' || scenario === null || !Array.isArray(scenario.steps)) {
+    throw new Error('A scenario must be an object with a "steps" array.');
+  }
+  scenario.steps.forEach((step: MockStep, index: number) => {
+    if (!MOCK_STEP_ACTIONS.includes(step?.action)) {
+      throw new Error(`Step ${index + 1}: action must be one of ${MOCK_STEP_ACTIONS.join(', ')}.`);
+    }
+    if (step.delayMs !== undefined && !(typeof step.delayMs === 'number' && step.delayMs >= 0)) {
+      throw new Error(`Step ${index + 1}: delayMs must be a non-negative number.`);
+    }
+    if (step.payload !== undefined && (typeof step.payload !== 'object' || step.payload === null)) {
+      throw new Error(`Step ${index + 1}: payload must be an object.`);
+    }
+    if (step.omit !== undefined && !Array.isArray(step.omit)) {
+      throw new Error(`Step ${index + 1}: omit must be an array of payload keys.`);
+    }
+  });
+  return {
+    id: String(scenario.id ?? 'custom'),
+    name: String(scenario.name ?? 'Custom'),
+    description: String(scenario.description ?? ''),
+    steps: scenario.steps
+  };
+}
@@ -0,0 +1,52 @@
+import { DEFAULT_LAUNCH_OPTIONS, LaunchOptions } from './launch-options';
+import { fromLaunchParams, isLaunchNow, parseProfiles, toLaunchParams, toProfilesFile } from './profile';
+
+describe('launch profiles', () => {
+  const options: LaunchOptions = {
+    ...DEFAULT_LAUNCH_OPTIONS,
+    integratorId: 'ACMEISSUER_1',
+    cardSetting: 0,
+    isTestEnvironment: false,
+    clientSessionId: 'abc-123',
+    contentHeight: 800,
+    contentWidth: 1200,
+    windowPlacement: 'auto',
+    windowLeft: -1280,
+    windowTop: 40,
+    popupBlockedPrompt: true,
+    closeOnTimeout: true
+  };
+
+  it('should round-trip options through launch link parameters', () => {
+    const params = new URLSearchParams(toLaunchParams(options));
+
+    expect(params.get('cardSetting')).toBe('0');
+    expect(params.has('readyTimeoutMs')).toBeFalse();
+    expect({ ...DEFAULT_LAUNCH_OPTIONS, ...fromLaunchParams(params) }).toEqual(options);
+  });
+
+  it('should only return the options present in a link', () => {
+    const params = new URLSearchParams('integratorId=OTHER_1&launch=1');
+
+    expect(fromLaunchParams(params)).toEqual({ integratorId: 'OTHER_1' });
+    expect(isLaunchNow(params)).toBeTrue();
+    expect(isLaunchNow(new URLSearchParams('launch=0'))).toBeFalse();
+  });
+
+  it('should reject malformed numbers, booleans and choices', () => {
+    expect(() => fromLaunchParams(new URLSearchParams('tokenSetting=yes'))).toThrowError(/tokenSetting/);
+    expect(() => fromLaunchParams(new URLSearchParams('isTestEnvironment=1'))).toThrowError(/isTestEnvironment/);
+    expect(() => fromLaunchParams(new URLSearchParams('windowSizePreset=watch'))).toThrowError(/desktop, tablet, mobile/);
+  });
+
+  it('should import exported profiles and fill in missing options', () => {
+    const file = toProfilesFile([{ name: 'Acme prod', options }]);
+
+    expect(parseProfiles(file.content)).toEqual([{ name: 'Acme prod', options }]);
+    expect(parseProfiles('[{"name": " Minimal ", "options": {"integratorId": "MIN_1"}}]'))
+      .toEqual([{ name: 'Minimal', options: { ...DEFAULT_LAUNCH_OPTIONS, integratorId: 'MIN_1' } }]);
+    expect(() => parseProfiles('{}')).toThrowError(/array/);
+    expect(() => parseProfiles('[{"name": "", "options": {}}]')).toThrowError(/Profile 1: name/);
+    expect(() => parseProfiles('[{"name": "x", "options": []}]')).toThrowError(/Profile 1: options/);
+  });
+});
@@ -0,0 +1,144 @@
+import { DEFAULT_LAUNCH_OPTIONS, LaunchOptions, WINDOW_PLACEMENTS, WINDOW_SIZE_PRESETS } from './launch-options';
+import { ExportFile } from './session-export';
+
+/** A named set of launch options, saved locally and shareable as JSON. */
+export interface LaunchProfile {
+  name: string;
+  options: LaunchOptions;
+}
+
+/** Options to put in the launch form, from a launch link or a profile. */
+export interface LaunchRequest {
+  options: Partial<LaunchOptions>;
+  /** Launch right away instead of only filling in the form. */
+  launch: boolean;
+  /** Told how the launch went, right away, by the launch form. */
+  onLaunch?: (outcome: LaunchOutcome) => void;
+}
+
+/**
+ * What a press of the launch button did: opened the app window, found the
+ * form invalid, was held back by another tab's run, had the popup blocked, or
+ * failed with the code openAppWindow threw.
+ */
+export interface LaunchOutcome {
+  status: 'opened' | 'invalid' | 'heldBack' | 'blocked' | 'failed';
+  errorCode?: string;
+}
+
+/** Query parameter naming a saved profile in a /launch link. */
+export const PROFILE_PARAM = 'profile';
+/** Query parameter that launches straight away when set to 1 or true. */
+export const LAUNCH_PARAM = 'launch';
+
+const STRING_PARAMS = ['apiVersion', 'integratorId', 'clientSessionId', 'hl'] as const;
+const NUMBER_PARAMS = [
+  'tokenSetting', 'cardSetting', 'contentHeight', 'contentWidth', 'windowLeft', 'windowTop',
+  'readyTimeoutMs', 'sessionCreatedTimeoutMs', 'outcomeTimeoutMs'
+] as const;
+const BOOLEAN_PARAMS = ['isTestEnvironment', 'closeOnTimeout', 'strictOptions', 'popupBlockedPrompt', 'useMockAppWindow'] as const;
+const CHOICE_PARAMS: Partial<Record<keyof LaunchOptions, ReadonlyArray<{ value: string }>>> = {
+  windowSizePreset: WINDOW_SIZE_PRESETS,
+  windowPlacement: WINDOW_PLACEMENTS
+};
+
+/** Read access to query parameters, as both ParamMap and URLSearchParams provide. */
+export interface LaunchParams {
+  get(name: string): string | null;
+}
+
+/**
+ * Parses exported profiles: a JSON array of {"name", "options"} objects.
+ * Options left out are taken from the defaults.
+ *
+ * @throws {Error} describing the first malformed profile.
+ */
+export function parseProfiles(json: string): LaunchProfile[] {
+  let list: unknown;
+  try {
+    list = JSON.parse(json);
+  } catch {
+    throw new Error('The profiles file is not valid JSON.');
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a JSON array of profiles.');
+  }
+  return list.map((entry, index) => {
+    if (typeof entry?.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`Profile ${index + 1}: name must be a non-empty string.`);
+    }
+    if (typeof entry.options !== 'object' || entry.options === null || Array.isArray(entry.options)) {
+      throw new Error(`Profile ${index + 1}: options must be an object.`);
+    }
+    return { name: entry.name.trim(), options: { ...DEFAULT_LAUNCH_OPTIONS, ...entry.options } };
+  });
+}
+
+export function toProfilesFile(profiles: LaunchProfile[]): ExportFile {
+  return {
+    filename: 'google-pay-push-profiles.json',
+    mimeType: 'application/json',
+    content: `${JSON.stringify(profiles, null, 2)}\n`
+  };
+}
+
+/** The options as /launch query parameters; unset options are left out. */
+export function toLaunchParams(options: LaunchOptions): Record<string, string> {
+  const params: Record<string, string> = {};
+  const names = [...STRING_PARAMS, ...NUMBER_PARAMS, ...BOOLEAN_PARAMS, ...Object.keys(CHOICE_PARAMS) as Array<keyof LaunchOptions>];
+  for (const name of names) {
+    const value = options[name];
+    if (value !== undefined && value !== '') {
+      params[name] = String(value);
+    }
+  }
+  return params;
+}
+
+/**
+ * Reads the options given inline in a /launch link. Only the options present
+ * are returned.
+ *
+ * @throws {Error} for numbers and booleans that do not parse.
+ */
+export function fromLaunchParams(params: LaunchParams): Partial<LaunchOptions> {
+  const options: Partial<Record<keyof LaunchOptions, string | number | boolean>> = {};
+  for (const name of STRING_PARAMS) {
+    const value = params.get(name);
+    if (value !== null) {
+      options[name] = value;
+    }
+  }
+  for (const name of NUMBER_PARAMS) {
+    const value = params.get(name);
+    if (value !== null) {
+      if (!/^-?\d+$/.test(value)) {
+        throw new Error(`${name} must be a whole number, not '${value}'.`);
+      }
+      options[name] = Number(value);
+    }
+  }
+  for (const [name, choices] of Object.entries(CHOICE_PARAMS) as Array<[keyof LaunchOptions, ReadonlyArray<{ value: string }>]>) {
+    const value = params.get(name);
+    if (value !== null) {
+      if (!choices.some(choice => choice.value === value)) {
+        throw new Error(`${name} must be one of ${choices.map(choice => choice.value).join(', ')}, not '${value}'.`);
+      }
+      options[name] = value;
+    }
+  }
+  for (const name of BOOLEAN_PARAMS) {
+    const value = params.get(name);
+    if (value !== null) {
+      if (value !== 'true' && value !== 'false') {
+        throw new Error(`${name} must be true or false, not '${value}'.`);
+      }
+      options[name] = value === 'true';
+    }
+  }
+  return options as Partial<LaunchOptions>;
+}
+
+export function isLaunchNow(params: LaunchParams): boolean {
+  return ['1', 'true'].includes(params.get(LAUNCH_PARAM) ?? '');
+}
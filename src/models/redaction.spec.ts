@@ -0,0 +1,61 @@
+import { DEFAULT_LAUNCH_OPTIONS } from './launch-options';
+import { collectSensitiveIds, maskValue, parseRedactionRules, REDACTED, redactPayload, toShareBundle } from './redaction';
+import { CapturedSession } from './session';
+
+describe('redaction', () => {
+  const payload = {
+    clientSessionId: 'client-123456789',
+    serverSessionId: '9876543210123',
+    tokenResult: 'SUCCESS',
+    debugInfo: { traceId: 't-1', nested: { accessToken: 'secret', region: 'eu' }, steps: [{ userEmail: 'a@b.c' }] }
+  };
+
+  it('should keep the last four characters of long values only', () => {
+    expect(maskValue('client-123456789')).toBe('••••6789');
+    expect(maskValue('12345678')).toBe('••••');
+  });
+
+  it('should parse one rule per line, ignoring blank lines', () => {
+    expect(parseRedactionRules(' *id \n\n*token*\n')).toEqual(['*id', '*token*']);
+  });
+
+  it('should replace IDs and debugInfo keys matching a rule, keeping the structure', () => {
+    expect(redactPayload(payload, ['*ID', '*token*', '*email'], maskValue)).toEqual({
+      clientSessionId: '••••6789',
+      serverSessionId: '••••0123',
+      tokenResult: 'SUCCESS',
+      debugInfo: { traceId: REDACTED, nested: { accessToken: REDACTED, region: 'eu' }, steps: [{ userEmail: REDACTED }] }
+    });
+  });
+
+  it('should only apply debugInfo rules inside debugInfo', () => {
+    expect(redactPayload({ tokenResult: 'SUCCESS' }, ['token*'], null)).toEqual({ tokenResult: 'SUCCESS' });
+    expect(redactPayload(payload, [], null)).toEqual(payload);
+  });
+
+  it('should collect every sensitive ID', () => {
+    expect(Array.from(collectSensitiveIds([payload, { publicWalletId: 'w-1', serverSessionId: '' }])))
+      .toEqual(['client-123456789', '9876543210123', 'w-1']);
+  });
+
+  it('should blank webhook bodies in a share bundle', () => {
+    const session: CapturedSession = {
+      id: 'session',
+      capturedAt: '2024-01-01T00:00:00.000Z',
+      launchOptions: DEFAULT_LAUNCH_OPTIONS,
+      payload: {
+        clientSessionId: 'c-1',
+        serverSessionId: 's-1',
+        publicDeviceId: 'd-1',
+        publicWalletId: 'w-1',
+        tokenSetting: '1',
+        cardSetting: '0'
+      },
+      webhook: { url: 'https://issuer.example/hook', sentAt: 0, status: 200, statusText: 'OK', body: '{"serverSessionId":"s-1"}' }
+    };
+    const bundle = toShareBundle([], [session], [], 'strip', () => REDACTED);
+    expect(bundle.sessions[0].payload.serverSessionId).toBe(REDACTED);
+    expect(bundle.sessions[0].webhook?.body).toBe('');
+    expect(session.webhook?.body).toBe('{"serverSessionId":"s-1"}');
+  });
+});
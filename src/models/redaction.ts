@@ -0,0 +1,136 @@
+import { Run } from './run';
+import { CapturedSession } from './session';
+import { ExportFile } from './session-export';
+
+/** Keys whose values identify a user's session, device or wallet. */
+export const SENSITIVE_ID_KEYS: ReadonlyArray<string> = ['clientSessionId', 'serverSessionId', 'publicDeviceId', 'publicWalletId'];
+
+export interface RedactionSettings {
+  /** Mask the SENSITIVE_ID_KEYS values wherever they are shown or logged. */
+  maskIdentifiers: boolean;
+  /**
+   * Keys to redact anywhere inside debugInfo, matched case-insensitively.
+   * '*' matches any run of characters, e.g. '*token*'.
+   */
+  debugInfoRules: string[];
+}
+
+export const DEFAULT_REDACTION_SETTINGS: RedactionSettings = {
+  maskIdentifiers: true,
+  debugInfoRules: ['*id', '*token*', '*email*', '*phone*', '*account*']
+};
+
+export const REDACTED = '[redacted]';
+
+/** What a shareable bundle does with sensitive values. */
+export type ShareMode = 'hash' | 'strip';
+
+/** Keeps the last four characters of long values, so they can still be told apart. */
+export function maskValue(value: string): string {
+  return value.length > 8 ? `••••${value.slice(-4)}` : '••••';
+}
+
+export function parseRedactionRules(text: string): string[] {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function toRulePattern(rule: string): RegExp {
+  const escaped = rule.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Copies a payload with every string value under a SENSITIVE_ID_KEYS key
+ * replaced by replaceId, and every value under a debugInfo key matching a
+ * rule replaced by REDACTED. The structure of the payload is kept.
+ */
+export function redactPayload(
+  value: unknown,
+  debugInfoRules: string[],
+  replaceId: ((id: string) => string) | null
+): unknown {
+  const patterns = debugInfoRules.map(toRulePattern);
+  const walk = (node: unknown, inDebugInfo: boolean): unknown => {
+    if (Array.isArray(node)) {
+      return node.map(item => walk(item, inDebugInfo));
+    }
+    if (typeof node !== 'object' || node === null) {
+      return node;
+    }
+    const copy: Record<string, unknown> = {};
+    for (const [key, child] of Object.entries(node)) {
+      if (replaceId && SENSITIVE_ID_KEYS.includes(key) && typeof child === 'string' && child) {
+        copy[key] = replaceId(child);
+      } else if (inDebugInfo && patterns.some(pattern => pattern.test(key))) {
+        copy[key] = REDACTED;
+      } else {
+        copy[key] = walk(child, inDebugInfo || key === 'debugInfo');
+      }
+    }
+    return copy;
+  };
+  return walk(value, false);
+}
+
+/** Every non-empty string under a SENSITIVE_ID_KEYS key, e.g. to hash them up front. */
+export function collectSensitiveIds(value: unknown, ids = new Set<string>()): Set<string> {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectSensitiveIds(item, ids));
+  } else if (typeof value === 'object' && value !== null) {
+    for (const [key, child] of Object.entries(value)) {
+      if (SENSITIVE_ID_KEYS.includes(key) && typeof child === 'string' && child) {
+        ids.add(child);
+      } else {
+        collectSensitiveIds(child, ids);
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Runs and sessions with their sensitive values stripped or hashed, for
+ * attaching to tickets. Hashes are salted per bundle, so the same ID hashes
+ * the same way within a bundle but cannot be matched across bundles.
+ */
+export interface ShareBundle {
+  kind: 'google-pay-push-share-bundle';
+  version: 1;
+  createdAt: string;
+  mode: ShareMode;
+  runs: Run[];
+  sessions: CapturedSession[];
+}
+
+/**
+ * @param replaceId Returns the stripped or hashed form of an ID.
+ */
+export function toShareBundle(
+  runs: Run[],
+  sessions: CapturedSession[],
+  debugInfoRules: string[],
+  mode: ShareMode,
+  replaceId: (id: string) => string
+): ShareBundle {
+  return {
+    kind: 'google-pay-push-share-bundle',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    mode,
+    runs: redactPayload(runs, debugInfoRules, replaceId) as Run[],
+    // Webhook response bodies are free text from the issuer backend, so they cannot be redacted by key.
+    sessions: redactPayload(
+      sessions.map(session => session.webhook ? { ...session, webhook: { ...session.webhook, body: '' } } : session),
+      debugInfoRules,
+      replaceId
+    ) as CapturedSession[]
+  };
+}
+
+export function toShareBundleFile(bundle: ShareBundle): ExportFile {
+  return {
+    filename: `google-pay-push-share-${bundle.createdAt.slice(0, 10)}.json`,
+    mimeType: 'application/json',
+    content: `${JSON.stringify(bundle, null, 2)}\n`
+  };
+}
@@ -0,0 +1,49 @@
+import { DEFAULT_LAUNCH_OPTIONS } from './launch-options';
+import { parseReplayFixture, toReplayFixture } from './replay-fixture';
+import { Run } from './run';
+
+describe('replay fixtures', () => {
+  const appOrigin = 'https://pay.sandbox.google.com';
+  const appWindowId = 'googlepay-webpp-v1_6-app-window-1';
+  const run: Run = {
+    id: 'run',
+    launchOptions: DEFAULT_LAUNCH_OPTIONS,
+    events: [
+      { type: 'open', at: 1000 },
+      { type: 'ready', at: 1250, payload: {} },
+      { type: 'cancel', at: 4000, payload: {} }
+    ],
+    messages: [
+      { at: 1250, origin: appOrigin, expectedOrigin: appOrigin, expectedAppWindowId: appWindowId, data: { action: 'ready' } },
+      { at: 1300, origin: appOrigin, expectedOrigin: appOrigin, expectedAppWindowId: appWindowId, data: { action: 'cancel' } }
+    ]
+  };
+
+  it('should time messages and the window closing from the open event', () => {
+    const fixture = toReplayFixture(run);
+
+    expect(fixture.appOrigin).toBe(appOrigin);
+    expect(fixture.appWindowId).toBe(appWindowId);
+    expect(fixture.messages).toEqual([
+      { atMs: 250, origin: appOrigin, data: { action: 'ready' } },
+      { atMs: 300, origin: appOrigin, data: { action: 'cancel' } }
+    ]);
+    expect(fixture.closedAtMs).toBe(3000);
+  });
+
+  it('should leave closedAtMs out while the window is open', () => {
+    const fixture = toReplayFixture({ ...run, events: run.events.slice(0, 2), messages: undefined });
+
+    expect(fixture.messages).toEqual([]);
+    expect(fixture.closedAtMs).toBeUndefined();
+  });
+
+  it('should parse a saved fixture and reject malformed ones', () => {
+    const fixture = toReplayFixture(run);
+
+    expect(parseReplayFixture(JSON.stringify(fixture))).toEqual(fixture);
+    expect(() => parseReplayFixture('{')).toThrowError(/valid JSON/);
+    expect(() => parseReplayFixture(JSON.stringify({ ...fixture, version: 2 }))).toThrowError(/version/);
+    expect(() => parseReplayFixture(JSON.stringify({ ...fixture, messages: null }))).toThrowError(/messages/);
+  });
+});
@@ -0,0 +1,67 @@
+import { AppWindowRecording } from './google-pay';
+import { LaunchOptions } from './launch-options';
+import { findRunEvent, Run } from './run';
+import { ExportFile } from './session-export';
+
+export const REPLAY_FIXTURE_VERSION = 1;
+
+/**
+ * A run's app window messages saved for window.googlepay.replayAppWindow,
+ * with the launch options needed to replay them the same way.
+ */
+export interface ReplayFixture extends AppWindowRecording {
+  version: typeof REPLAY_FIXTURE_VERSION;
+  recordedAt: string;
+  launchOptions: LaunchOptions;
+}
+
+export function toReplayFixture(run: Run): ReplayFixture {
+  const openedAt = run.events[0].at;
+  const messages = run.messages ?? [];
+  const closed = findRunEvent(run, 'finish', 'cancel');
+  return {
+    version: REPLAY_FIXTURE_VERSION,
+    recordedAt: new Date(openedAt).toISOString(),
+    launchOptions: run.launchOptions,
+    appOrigin: messages[0]?.expectedOrigin ?? '',
+    appWindowId: messages[0]?.expectedAppWindowId ?? '',
+    messages: messages.map(message => ({ atMs: message.at - openedAt, origin: message.origin, data: message.data })),
+    closedAtMs: closed && closed.at - openedAt
+  };
+}
+
+export function toReplayFixtureFile(fixture: ReplayFixture): ExportFile {
+  return {
+    filename: `google-pay-push-fixture-${fixture.recordedAt.replace(/[:.]/g, '-')}.json`,
+    mimeType: 'application/json',
+    content: `${JSON.stringify(fixture, null, 2)}\n`
+  };
+}
+
+/**
+ * Parses a saved fixture. Only the fields the harness needs are checked here;
+ * the library validates the messages when the fixture is replayed.
+ *
+ * @throws {Error} describing the first problem found.
+ */
+export function parseReplayFixture(json: string): ReplayFixture {
+  let fixture: Partial<ReplayFixture>;
+  try {
+    fixture = JSON.parse(json);
+  } catch {
+    throw new Error('The fixture is not valid JSON.');
+  }
+  if (typeof fixture !== 'object' || fixture === null) {
+    throw new Error('The fixture must be a JSON object.');
+  }
+  if (fixture.version !== REPLAY_FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${fixture.version}; expected ${REPLAY_FIXTURE_VERSION}.`);
+  }
+  if (typeof fixture.launchOptions !== 'object' || !fixture.launchOptions?.integratorId) {
+    throw new Error('The fixture has no launchOptions.');
+  }
+  if (!Array.isArray(fixture.messages)) {
+    throw new Error('The fixture has no messages array.');
+  }
+  return fixture as ReplayFixture;
+}
@@ -0,0 +1,77 @@
+import { DEFAULT_LAUNCH_OPTIONS } from './launch-options';
+import { Run } from './run';
+import { percentile, RunLogEntry, summarizeRunLog, toRunLogCsvRow, toRunLogEntry } from './run-log';
+
+describe('run log', () => {
+  const run: Run = {
+    id: 'run',
+    launchOptions: { ...DEFAULT_LAUNCH_OPTIONS, useMockAppWindow: false, clientSessionId: 'qa-1' },
+    events: [
+      { type: 'open', at: 1000 },
+      { type: 'ready', at: 1400 },
+      { type: 'sessionCreated', at: 2000, payload: { serverSessionId: '1' } },
+      { type: 'success', at: 5000, payload: { tokenResult: 'SUCCESS', cardResult: '', debugInfo: { trace: 'a,b' } } },
+      { type: 'finish', at: 6000, payload: {} }
+    ]
+  };
+
+  const entry = (outcome: RunLogEntry['outcome'], readyMs?: number, errorCodes: string[] = []): RunLogEntry => ({
+    runId: `run-${readyMs}`,
+    launchOptions: DEFAULT_LAUNCH_OPTIONS,
+    outcome,
+    errorCodes,
+    openedAt: 0,
+    readyAt: readyMs,
+    closedAt: 10000
+  });
+
+  it('should take the stage timestamps, outcome and debugInfo from the run', () => {
+    expect(toRunLogEntry(run)).toEqual({
+      runId: 'run',
+      launchOptions: run.launchOptions,
+      outcome: 'success',
+      errorCodes: [],
+      debugInfo: { trace: 'a,b' },
+      openedAt: 1000,
+      readyAt: 1400,
+      sessionCreatedAt: 2000,
+      outcomeAt: 5000,
+      closedAt: 6000
+    });
+  });
+
+  it('should time CSV stages from the open event', () => {
+    const row = toRunLogCsvRow(toRunLogEntry(run));
+
+    expect(row.environment).toBe('sandbox');
+    expect(row.apiVersion).toBe('V1_6');
+    expect(row.readyMs).toBe('400');
+    expect(row.outcomeMs).toBe('4000');
+    expect(row.closedMs).toBe('5000');
+    expect(row.debugInfo).toBe('{"trace":"a,b"}');
+  });
+
+  it('should use nearest-rank percentiles', () => {
+    const values = Array.from({ length: 20 }, (_, i) => (i + 1) * 10);
+
+    expect(percentile(values, 50)).toBe(100);
+    expect(percentile(values, 95)).toBe(190);
+    expect(percentile([7], 95)).toBe(7);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('should count outcomes and error codes and skip stages a run never reached', () => {
+    const summary = summarizeRunLog([
+      entry('success', 300),
+      entry('failure', 100, ['E1', 'E2']),
+      entry('failure', 200, ['E2']),
+      entry('cancelled')
+    ]);
+
+    expect(summary.total).toBe(4);
+    expect(summary.byOutcome).toEqual({ success: 1, failure: 2, cancelled: 1, pending: 0 });
+    expect(summary.byErrorCode).toEqual([{ code: 'E2', count: 2 }, { code: 'E1', count: 1 }]);
+    expect(summary.latencies[0]).toEqual(jasmine.objectContaining({ count: 3, p50: 200, p95: 300 }));
+    expect(summary.latencies[4]).toEqual(jasmine.objectContaining({ count: 4, p50: 10000 }));
+  });
+});
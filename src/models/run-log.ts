@@ -0,0 +1,156 @@
+import { getFailureErrorCodes } from './error-catalogue';
+import { DEFAULT_API_VERSION } from './google-pay';
+import { LaunchOptions } from './launch-options';
+import { findRunEvent, getRunOutcome, Run, RunOutcome } from './run';
+
+/**
+ * A finished run, reduced to what sandbox health checks look at. Entries are
+ * kept after their runs drop out of the run timeline.
+ */
+export interface RunLogEntry {
+  runId: string;
+  launchOptions: LaunchOptions;
+  outcome: RunOutcome;
+  /** onFailure error codes. */
+  errorCodes: string[];
+  /** From the onSuccess payload. */
+  debugInfo?: unknown;
+  /** Epoch milliseconds of each stage that the run reached. */
+  openedAt: number;
+  readyAt?: number;
+  sessionCreatedAt?: number;
+  /** When onSuccess or onFailure was called. */
+  outcomeAt?: number;
+  /** When the window was found closed (onFinish or onCancel). */
+  closedAt?: number;
+}
+
+export type RunEnvironment = 'sandbox' | 'prod' | 'mock';
+
+export type RunLogTimestamp = 'openedAt' | 'readyAt' | 'sessionCreatedAt' | 'outcomeAt' | 'closedAt';
+
+/** A span between two stages that the latency statistics are reported for. */
+export interface StageInterval {
+  label: string;
+  from: RunLogTimestamp;
+  to: RunLogTimestamp;
+}
+
+export const STAGE_INTERVALS: ReadonlyArray<StageInterval> = [
+  { label: 'open → ready', from: 'openedAt', to: 'readyAt' },
+  { label: 'ready → session created', from: 'readyAt', to: 'sessionCreatedAt' },
+  { label: 'session created → outcome', from: 'sessionCreatedAt', to: 'outcomeAt' },
+  { label: 'outcome → closed', from: 'outcomeAt', to: 'closedAt' },
+  { label: 'open → closed', from: 'openedAt', to: 'closedAt' }
+];
+
+export interface StageLatency {
+  interval: StageInterval;
+  /** How many runs reached both stages. */
+  count: number;
+  /** Milliseconds; null without any runs that reached both stages. */
+  p50: number | null;
+  p95: number | null;
+}
+
+export interface RunLogSummary {
+  total: number;
+  byOutcome: Record<RunOutcome, number>;
+  /** Most frequent first. */
+  byErrorCode: Array<{ code: string, count: number }>;
+  latencies: StageLatency[];
+}
+
+export function toRunLogEntry(run: Run): RunLogEntry {
+  const success = findRunEvent(run, 'success');
+  const outcome = findRunEvent(run, 'success', 'failure');
+  const debugInfo = (success?.payload as { debugInfo?: unknown } | undefined)?.debugInfo;
+  return {
+    runId: run.id,
+    launchOptions: run.launchOptions,
+    outcome: getRunOutcome(run),
+    errorCodes: getFailureErrorCodes(findRunEvent(run, 'failure')?.payload),
+    ...(debugInfo === undefined ? {} : { debugInfo }),
+    openedAt: run.events[0].at,
+    readyAt: findRunEvent(run, 'ready')?.at,
+    sessionCreatedAt: findRunEvent(run, 'sessionCreated')?.at,
+    outcomeAt: outcome?.at,
+    closedAt: findRunEvent(run, 'finish', 'cancel')?.at
+  };
+}
+
+export function getRunEnvironment(options: LaunchOptions): RunEnvironment {
+  if (options.useMockAppWindow) {
+    return 'mock';
+  }
+  return options.isTestEnvironment ? 'sandbox' : 'prod';
+}
+
+/** Nearest-rank percentile of values sorted in ascending order. */
+export function percentile(sortedValues: number[], p: number): number | null {
+  if (!sortedValues.length) {
+    return null;
+  }
+  const rank = Math.max(1, Math.ceil(p / 100 * sortedValues.length));
+  return sortedValues[rank - 1];
+}
+
+export function summarizeRunLog(entries: RunLogEntry[]): RunLogSummary {
+  const byOutcome: Record<RunOutcome, number> = { success: 0, failure: 0, cancelled: 0, pending: 0 };
+  const errorCodeCounts = new Map<string, number>();
+  for (const entry of entries) {
+    byOutcome[entry.outcome]++;
+    for (const code of entry.errorCodes) {
+      errorCodeCounts.set(code, (errorCodeCounts.get(code) ?? 0) + 1);
+    }
+  }
+
+  const latencies = STAGE_INTERVALS.map(interval => {
+    const durations: number[] = [];
+    for (const entry of entries) {
+      const from = entry[interval.from];
+      const to = entry[interval.to];
+      if (from !== undefined && to !== undefined) {
+        durations.push(to - from);
+      }
+    }
+    durations.sort((a, b) => a - b);
+    return { interval, count: durations.length, p50: percentile(durations, 50), p95: percentile(durations, 95) };
+  });
+
+  return {
+    total: entries.length,
+    byOutcome,
+    byErrorCode: Array.from(errorCodeCounts, ([code, count]) => ({ code, count }))
+      .sort((a, b) => b.count - a.count || a.code.localeCompare(b.code)),
+    latencies
+  };
+}
+
+export const RUN_LOG_CSV_COLUMNS = [
+  'runId', 'integratorId', 'environment', 'apiVersion', 'tokenSetting', 'cardSetting', 'hl', 'clientSessionId', 'outcome', 'errorCodes',
+  'openedAt', 'readyMs', 'sessionCreatedMs', 'outcomeMs', 'closedMs', 'debugInfo'
+] as const;
+
+/** Stage timestamps are given in milliseconds since the window was opened. */
+export function toRunLogCsvRow(entry: RunLogEntry): Record<typeof RUN_LOG_CSV_COLUMNS[number], string> {
+  const sinceOpen = (at?: number) => at === undefined ? '' : String(at - entry.openedAt);
+  return {
+    runId: entry.runId,
+    integratorId: entry.launchOptions.integratorId,
+    environment: getRunEnvironment(entry.launchOptions),
+    apiVersion: entry.launchOptions.apiVersion ?? DEFAULT_API_VERSION,
+    tokenSetting: String(entry.launchOptions.tokenSetting),
+    cardSetting: String(entry.launchOptions.cardSetting),
+    hl: entry.launchOptions.hl ?? '',
+    clientSessionId: entry.launchOptions.clientSessionId ?? '',
+    outcome: entry.outcome,
+    errorCodes: entry.errorCodes.join(' '),
+    openedAt: new Date(entry.openedAt).toISOString(),
+    readyMs: sinceOpen(entry.readyAt),
+    sessionCreatedMs: sinceOpen(entry.sessionCreatedAt),
+    outcomeMs: sinceOpen(entry.outcomeAt),
+    closedMs: sinceOpen(entry.closedAt),
+    debugInfo: entry.debugInfo === undefined ? '' : JSON.stringify(entry.debugInfo)
+  };
+}
@@ -0,0 +1,44 @@
+import { DEFAULT_LAUNCH_OPTIONS } from './launch-options';
+import { findMatchingId, getRunIds, Run } from './run';
+
+describe('run IDs', () => {
+  const run: Run = {
+    id: 'run',
+    launchOptions: { ...DEFAULT_LAUNCH_OPTIONS, clientSessionId: 'qa-launch' },
+    events: [
+      { type: 'open', at: 1000 },
+      {
+        type: 'sessionCreated',
+        at: 1500,
+        payload: { clientSessionId: 'qa-session', serverSessionId: '4321', publicDeviceId: 'Device-A', publicWalletId: 'wallet-b' }
+      }
+    ]
+  };
+
+  it('should read the IDs from the created session', () => {
+    expect(getRunIds(run)).toEqual({
+      clientSessionId: 'qa-session',
+      serverSessionId: '4321',
+      publicDeviceId: 'Device-A',
+      publicWalletId: 'wallet-b'
+    });
+  });
+
+  it('should fall back to the launched clientSessionId before a session is created', () => {
+    expect(getRunIds({ ...run, events: run.events.slice(0, 1) })).toEqual({
+      clientSessionId: 'qa-launch',
+      serverSessionId: undefined,
+      publicDeviceId: undefined,
+      publicWalletId: undefined
+    });
+  });
+
+  it('should match any ID by substring, ignoring case', () => {
+    const ids = getRunIds(run);
+
+    expect(findMatchingId(ids, ' device-a ')).toBe('publicDeviceId');
+    expect(findMatchingId(ids, '32')).toBe('serverSessionId');
+    expect(findMatchingId(ids, 'missing')).toBeUndefined();
+    expect(findMatchingId(ids, '  ')).toBeUndefined();
+  });
+});
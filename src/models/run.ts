@@ -0,0 +1,114 @@
+import { GooglePayEventType, SessionCreatedPayload } from './google-pay';
+import { HarnessTab } from './harness-tab';
+import { LaunchOptions } from './launch-options';
+
+/**
+ * Lifecycle stages of one openAppWindow call. 'open' is recorded by the
+ * harness when it launches; the rest mirror the six library callbacks, with
+ * 'finish' and 'cancel' both meaning the app window was closed.
+ */
+export type RunEventType = 'open' | GooglePayEventType;
+
+export interface RunEvent {
+  type: RunEventType;
+  /** Epoch milliseconds. */
+  at: number;
+  payload?: unknown;
+}
+
+/**
+ * A 'message' event that the library accepted from the run's window, as
+ * reported to onMessageDiagnostic.
+ */
+export interface RunMessage {
+  /** Epoch milliseconds. */
+  at: number;
+  origin: string;
+  expectedOrigin: string;
+  expectedAppWindowId: string;
+  data: unknown;
+}
+
+export interface Run {
+  id: string;
+  launchOptions: LaunchOptions;
+  events: RunEvent[];
+  /** Missing on runs recorded before messages were kept. */
+  messages?: RunMessage[];
+  /** True if the run replayed a fixture instead of opening a window. */
+  replayed?: boolean;
+  /** The harness tab that launched it; missing on runs recorded before tabs were told apart. */
+  tab?: HarnessTab;
+}
+
+export type RunOutcome = 'pending' | 'success' | 'failure' | 'cancelled';
+
+export const RUN_EVENT_LABELS: Record<RunEventType, string> = {
+  open: 'Window opened',
+  ready: 'Ready',
+  sessionCreated: 'Session created',
+  success: 'Success',
+  failure: 'Failure',
+  finish: 'Window closed (finished)',
+  cancel: 'Window closed (cancelled)',
+  timeout: 'Stage timed out',
+  popupBlocked: 'Popup blocked'
+};
+
+export function findRunEvent(run: Run, ...types: RunEventType[]): RunEvent | undefined {
+  return run.events.find(event => types.includes(event.type));
+}
+
+export function getRunOutcome(run: Run): RunOutcome {
+  const outcome = findRunEvent(run, 'success', 'failure', 'cancel');
+  switch (outcome?.type) {
+    case 'success':
+      return 'success';
+    case 'failure':
+      return 'failure';
+    case 'cancel':
+      return 'cancelled';
+    default:
+      return 'pending';
+  }
+}
+
+/** The IDs that tie a run to issuer and Google logs. */
+export interface RunIds {
+  clientSessionId?: string;
+  serverSessionId?: string;
+  publicDeviceId?: string;
+  publicWalletId?: string;
+}
+
+export const RUN_ID_FIELDS: ReadonlyArray<keyof RunIds> = [
+  'clientSessionId',
+  'serverSessionId',
+  'publicDeviceId',
+  'publicWalletId'
+];
+
+/**
+ * The run's IDs from its onSessionCreated payload, falling back to the
+ * clientSessionId it was launched with if no session was created.
+ */
+export function getRunIds(run: Run): RunIds {
+  const session = findRunEvent(run, 'sessionCreated')?.payload as Partial<SessionCreatedPayload> | undefined;
+  return {
+    clientSessionId: session?.clientSessionId || run.launchOptions.clientSessionId,
+    serverSessionId: session?.serverSessionId,
+    publicDeviceId: session?.publicDeviceId,
+    publicWalletId: session?.publicWalletId
+  };
+}
+
+/** The first ID that contains the query, ignoring case and surrounding whitespace. */
+export function findMatchingId(ids: RunIds, query: string): keyof RunIds | undefined {
+  const needle = query.trim().toLowerCase();
+  return needle ? RUN_ID_FIELDS.find(field => ids[field]?.toLowerCase().includes(needle)) : undefined;
+}
+
+/** True once the app window has been closed, i.e. no further events follow. */
+export function isRunComplete(run: Run): boolean {
+  return Boolean(findRunEvent(run, 'finish', 'cancel'));
+}
@@ -0,0 +1,36 @@
+import { SessionCreatedPayload } from './google-pay';
+
+export type ExportFormat = 'postman' | 'karate-js' | 'karate-json' | 'dotenv';
+
+export const EXPORT_FORMATS: ReadonlyArray<{ value: ExportFormat, label: string }> = [
+  { value: 'postman', label: 'Postman environment (.json)' },
+  { value: 'karate-js', label: 'Karate karate-config.js' },
+  { value: 'karate-json', label: 'Karate JSON snippet' },
+  { value: 'dotenv', label: 'dotenv (.env)' }
+];
+
+/** Session payload fields that can be exported as variables. */
+export type ExportField = keyof Pick<SessionCreatedPayload,
+  'clientSessionId' | 'serverSessionId' | 'publicDeviceId' | 'publicWalletId'>;
+
+/** Variable name per exported field; an empty name leaves the field out. */
+export type ExportVariableNames = Record<ExportField, string>;
+
+export const EXPORT_FIELDS: ReadonlyArray<ExportField> =
+  ['clientSessionId', 'serverSessionId', 'publicDeviceId', 'publicWalletId'];
+
+export const DEFAULT_EXPORT_VARIABLE_NAMES: ExportVariableNames = {
+  clientSessionId: 'clientSessionId',
+  serverSessionId: 'serverSessionId',
+  publicDeviceId: 'publicDeviceId',
+  publicWalletId: 'publicWalletId'
+};
+
+/** Variable names must be usable as identifiers in every export format. */
+export const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export interface ExportFile {
+  filename: string;
+  mimeType: string;
+  content: string;
+}
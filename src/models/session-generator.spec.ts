@@ -0,0 +1,92 @@
+import { GooglePayEvent } from './google-pay';
+import { DEFAULT_LAUNCH_OPTIONS } from './launch-options';
+import {
+  applyGeneratorEvent,
+  GeneratedSession,
+  DEFAULT_GENERATOR_OUTCOME_TIMEOUT_MS,
+  GENERATOR_OPTIONS_PARAM,
+  GENERATOR_SCENARIO_PARAM,
+  parseSessionGeneratorRequest,
+  toSessionGeneratorReport
+} from './session-generator';
+
+describe('session generator', () => {
+  const params = (values: Record<string, string>) => new URLSearchParams(values);
+  const pending: GeneratedSession = { index: 0, options: DEFAULT_LAUNCH_OPTIONS, status: 'cancelled' };
+
+  it('should launch the defaults once with the success scenario when given no parameters', () => {
+    const request = parseSessionGeneratorRequest(params({}));
+
+    expect(request.scenario.id).toBe('success');
+    expect(request.optionSets).toEqual([{
+      ...DEFAULT_LAUNCH_OPTIONS,
+      outcomeTimeoutMs: DEFAULT_GENERATOR_OUTCOME_TIMEOUT_MS,
+      closeOnTimeout: true,
+      useMockAppWindow: true
+    }]);
+  });
+
+  it('should give every launch a deadline that closes its window', () => {
+    const request = parseSessionGeneratorRequest(params({
+      [GENERATOR_OPTIONS_PARAM]: '[{"outcomeTimeoutMs": 5000, "closeOnTimeout": false}, {}]'
+    }));
+
+    expect(request.optionSets.map(options => [options.outcomeTimeoutMs, options.closeOnTimeout])).toEqual([
+      [5000, true],
+      [DEFAULT_GENERATOR_OUTCOME_TIMEOUT_MS, true]
+    ]);
+  });
+
+  it('should apply each option set over the defaults and force the mock app window', () => {
+    const request = parseSessionGeneratorRequest(params({
+      [GENERATOR_OPTIONS_PARAM]: '[{"tokenSetting": 0}, {"hl": "de-DE", "useMockAppWindow": false}]',
+      [GENERATOR_SCENARIO_PARAM]: 'failure'
+    }));
+
+    expect(request.scenario.id).toBe('failure');
+    expect(request.optionSets.map(options => [options.tokenSetting, options.hl, options.useMockAppWindow])).toEqual([
+      [0, 'en-US', true],
+      [1, 'de-DE', true]
+    ]);
+  });
+
+  it('should reject malformed options and unknown scenarios', () => {
+    expect(() => parseSessionGeneratorRequest(params({ [GENERATOR_OPTIONS_PARAM]: '{"tokenSetting": 0}' })))
+      .toThrowError(/options parameter is malformed/);
+    expect(() => parseSessionGeneratorRequest(params({ [GENERATOR_OPTIONS_PARAM]: '[]' }))).toThrowError(/no option sets/);
+    expect(() => parseSessionGeneratorRequest(params({ [GENERATOR_SCENARIO_PARAM]: 'nope' }))).toThrowError(/no mock scenario 'nope'/);
+  });
+
+  it('should keep the sessionCreated and outcome payloads', () => {
+    const sessionCreated = {
+      clientSessionId: 'c', serverSessionId: 's', tokenSetting: '1', cardSetting: '1', publicDeviceId: 'd', publicWalletId: 'w'
+    };
+    const failure = { errors: [{ errorCode: 'MOCK_FAILURE' }] };
+
+    const events: GooglePayEvent[] = [
+      { type: 'ready', payload: {} },
+      { type: 'sessionCreated', payload: sessionCreated },
+      { type: 'failure', payload: failure },
+      { type: 'finish', payload: {} }
+    ];
+    const session = events.reduce(applyGeneratorEvent, pending);
+
+    expect(session).toEqual({ ...pending, status: 'failure', sessionCreated, outcome: failure });
+  });
+
+  it('should report a launch that timed out as cancelled', () => {
+    const events: GooglePayEvent[] = [
+      { type: 'ready', payload: {} },
+      { type: 'timeout', payload: { stage: 'outcome', elapsedMs: DEFAULT_GENERATOR_OUTCOME_TIMEOUT_MS } },
+      { type: 'cancel', payload: {} }
+    ];
+
+    expect(events.reduce(applyGeneratorEvent, pending)).toEqual({ ...pending, status: 'cancelled', timedOut: 'outcome' });
+  });
+
+  it('should only report ok when every launch succeeded', () => {
+    expect(toSessionGeneratorReport('success', [{ ...pending, status: 'success' }]).ok).toBeTrue();
+    expect(toSessionGeneratorReport('success', [{ ...pending, status: 'success' }, pending]).ok).toBeFalse();
+    expect(toSessionGeneratorReport('', [], 'malformed')).toEqual(jasmine.objectContaining({ ok: false, error: 'malformed' }));
+  });
+});
@@ -0,0 +1,118 @@
+import { parseBatchOptionList } from './batch';
+import { FailurePayload, GooglePayEvent, SessionCreatedPayload, SuccessPayload, TimeoutStage } from './google-pay';
+import { DEFAULT_LAUNCH_OPTIONS, LaunchOptions } from './launch-options';
+import { MOCK_SCENARIOS, MockScenario } from './mock-scenario';
+import { LaunchParams } from './profile';
+
+/**
+ * The /generate route runs option sets against the local mock app window
+ * without anyone at the keyboard; scripts/generate-sessions.js drives it from
+ * headless Chrome and collects the report it POSTs back.
+ */
+
+/** Query parameter with a JSON array of partial option sets, as the batch runner takes them. */
+export const GENERATOR_OPTIONS_PARAM = 'options';
+/** Query parameter with the ID of the built-in mock scenario to play. */
+export const GENERATOR_SCENARIO_PARAM = 'scenario';
+/** Query parameter with the URL that the report is POSTed to. */
+export const GENERATOR_REPORT_PARAM = 'report';
+
+export const DEFAULT_GENERATOR_SCENARIO_ID = 'success';
+/** How long a launch may take to reach an outcome, unless its option set says otherwise. */
+export const DEFAULT_GENERATOR_OUTCOME_TIMEOUT_MS = 30000;
+
+export interface SessionGeneratorRequest {
+  optionSets: LaunchOptions[];
+  scenario: MockScenario;
+}
+
+export type GeneratedSessionStatus = 'success' | 'failure' | 'cancelled' | 'error';
+
+/** What happened when one option set was launched. */
+export interface GeneratedSession {
+  index: number;
+  options: LaunchOptions;
+  status: GeneratedSessionStatus;
+  sessionCreated?: SessionCreatedPayload;
+  /** The onSuccess or onFailure payload. */
+  outcome?: SuccessPayload | FailurePayload;
+  /** The code openAppWindow threw, for the 'error' status. */
+  errorCode?: string;
+  /** The stage whose deadline passed; the window was then closed, and the launch cancelled. */
+  timedOut?: TimeoutStage;
+}
+
+export interface SessionGeneratorReport {
+  kind: 'google-pay-push-generated-sessions';
+  version: 1;
+  /** Empty if the request could not be parsed. */
+  scenario: string;
+  sessions: GeneratedSession[];
+  /** Why nothing was launched, e.g. a malformed options parameter. */
+  error?: string;
+  /** True when every option set ended in onSuccess. */
+  ok: boolean;
+}
+
+/**
+ * Option sets are applied over the default launch options and always use the
+ * mock app window; without an options parameter, the defaults are launched
+ * once. Every launch has an outcome deadline, DEFAULT_GENERATOR_OUTCOME_TIMEOUT_MS
+ * unless the option set gives one, and its window is closed when any deadline
+ * passes, so that a stuck launch does not hold up the rest.
+ *
+ * @throws {Error} if the options are not a JSON array of objects or the
+ *     scenario is not a built-in one.
+ */
+export function parseSessionGeneratorRequest(params: LaunchParams): SessionGeneratorRequest {
+  const scenarioId = params.get(GENERATOR_SCENARIO_PARAM) || DEFAULT_GENERATOR_SCENARIO_ID;
+  const scenario = MOCK_SCENARIOS.find(candidate => candidate.id === scenarioId);
+  if (!scenario) {
+    throw new Error(`There is no mock scenario '${scenarioId}'. Use one of: ${MOCK_SCENARIOS.map(({ id }) => id).join(', ')}.`);
+  }
+  const optionsJson = params.get(GENERATOR_OPTIONS_PARAM) || '[{}]';
+  let optionSets: LaunchOptions[];
+  try {
+    optionSets = parseBatchOptionList(DEFAULT_LAUNCH_OPTIONS, optionsJson);
+  } catch (error) {
+    throw new Error(`The options parameter is malformed: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  if (!optionSets.length) {
+    throw new Error('The options parameter lists no option sets.');
+  }
+  return {
+    optionSets: optionSets.map(options => ({
+      ...options,
+      outcomeTimeoutMs: options.outcomeTimeoutMs ?? DEFAULT_GENERATOR_OUTCOME_TIMEOUT_MS,
+      closeOnTimeout: true,
+      useMockAppWindow: true
+    })),
+    scenario
+  };
+}
+
+/** Folds a launch's events into its result; a launch that never reaches an outcome ends up cancelled. */
+export function applyGeneratorEvent(session: GeneratedSession, event: GooglePayEvent): GeneratedSession {
+  switch (event.type) {
+    case 'sessionCreated':
+      return { ...session, sessionCreated: event.payload };
+    case 'success':
+    case 'failure':
+      return { ...session, status: event.type, outcome: event.payload };
+    case 'timeout':
+      return { ...session, timedOut: event.payload.stage };
+    default:
+      return session;
+  }
+}
+
+export function toSessionGeneratorReport(scenario: string, sessions: GeneratedSession[], error?: string): SessionGeneratorReport {
+  return {
+    kind: 'google-pay-push-generated-sessions',
+    version: 1,
+    scenario,
+    sessions,
+    ...(error === undefined ? {} : { error }),
+    ok: error === undefined && sessions.every(session => session.status === 'success')
+  };
+}
@@ -0,0 +1,26 @@
+import { SessionCreatedPayload } from './google-pay';
+import { HarnessTab } from './harness-tab';
+import { LaunchOptions } from './launch-options';
+import { WebhookResult } from './webhook';
+
+/** An onSessionCreated payload together with the launch that produced it. */
+export interface CapturedSession {
+  id: string;
+  capturedAt: string;
+  launchOptions: LaunchOptions;
+  payload: SessionCreatedPayload;
+  /** The harness tab that captured it; missing on sessions captured before tabs were told apart. */
+  tab?: HarnessTab;
+  /** Response from forwarding the session to the issuer backend webhook. */
+  webhook?: WebhookResult;
+}
+
+/** Payload fields shown with a copy button, in display order. */
+export const SESSION_FIELDS: ReadonlyArray<keyof SessionCreatedPayload> = [
+  'clientSessionId',
+  'serverSessionId',
+  'publicDeviceId',
+  'publicWalletId',
+  'tokenSetting',
+  'cardSetting'
+];
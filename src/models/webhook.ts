@@ -0,0 +1,99 @@
+import { SessionCreatedPayload } from './google-pay';
+import { LaunchOptions } from './launch-options';
+
+/**
+ * Where and how the harness forwards onSessionCreated payloads, e.g. to an
+ * issuer backend stub that then pushes credentials server to server.
+ */
+export interface WebhookConfig {
+  enabled: boolean;
+  url: string;
+  /** One "Name: value" header per line. */
+  headers: string;
+  /** JSON with {{placeholder}} variables, see WEBHOOK_VARIABLES. */
+  bodyTemplate: string;
+}
+
+/** Response (or network error) from forwarding one session. */
+export interface WebhookResult {
+  url: string;
+  sentAt: number;
+  status: number;
+  statusText: string;
+  body: string;
+  error?: string;
+}
+
+export const WEBHOOK_VARIABLES = [
+  'clientSessionId',
+  'serverSessionId',
+  'publicDeviceId',
+  'publicWalletId',
+  'tokenSetting',
+  'cardSetting',
+  'integratorId',
+  'isTestEnvironment'
+] as const;
+
+export type WebhookVariables = Record<typeof WEBHOOK_VARIABLES[number], string>;
+
+export const DEFAULT_WEBHOOK_CONFIG: WebhookConfig = {
+  enabled: false,
+  url: 'http://localhost:8080/sessions',
+  headers: 'Content-Type: application/json',
+  bodyTemplate: JSON.stringify({
+    serverSessionId: '{{serverSessionId}}',
+    clientSessionId: '{{clientSessionId}}',
+    publicDeviceId: '{{publicDeviceId}}',
+    publicWalletId: '{{publicWalletId}}',
+    integratorId: '{{integratorId}}'
+  }, null, 2)
+};
+
+export function toWebhookVariables(launchOptions: LaunchOptions, payload: SessionCreatedPayload): WebhookVariables {
+  return {
+    clientSessionId: payload.clientSessionId ?? '',
+    serverSessionId: payload.serverSessionId ?? '',
+    publicDeviceId: payload.publicDeviceId ?? '',
+    publicWalletId: payload.publicWalletId ?? '',
+    tokenSetting: String(payload.tokenSetting ?? ''),
+    cardSetting: String(payload.cardSetting ?? ''),
+    integratorId: launchOptions.integratorId,
+    isTestEnvironment: String(launchOptions.isTestEnvironment)
+  };
+}
+
+/**
+ * Substitutes {{variable}} placeholders, escaped for use inside JSON strings,
+ * and parses the result.
+ *
+ * @throws {Error} for unknown placeholders or if the result is not JSON.
+ */
+export function renderWebhookBody(template: string, variables: WebhookVariables): unknown {
+  const rendered = template.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name: string) => {
+    if (!(WEBHOOK_VARIABLES as ReadonlyArray<string>).includes(name)) {
+      throw new Error(`Unknown placeholder ${placeholder}; use one of ${WEBHOOK_VARIABLES.join(', ')}.`);
+    }
+    return JSON.stringify(variables[name as keyof WebhookVariables]).slice(1, -1);
+  });
+  try {
+    return JSON.parse(rendered);
+  } catch {
+    throw new Error('The body template is not valid JSON once its placeholders are filled in.');
+  }
+}
+
+/**
+ * @throws {Error} for lines that are not "Name: value".
+ */
+export function parseWebhookHeaders(headers: string): Record<string, string> {
+  const parsed: Record<string, string> = {};
+  headers.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator < 1) {
+      throw new Error(`Header "${line}" must look like "Name: value".`);
+    }
+    parsed[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return parsed;
+}
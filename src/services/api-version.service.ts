@@ -0,0 +1,68 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { ApiVersionDefinition } from 'src/models/google-pay';
+import { GooglePayService } from './google-pay.service';
+
+const STORAGE_KEY = 'google-pay-push.api-versions';
+
+/**
+ * Keeps the API versions added under "API versions" and registers them with
+ * the library, which only knows its built-in version after a page load.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class ApiVersionService {
+  private currentDefinitions: ApiVersionDefinition[] = this.load();
+  private readonly versionsSubject: BehaviorSubject<ApiVersionDefinition[]>;
+
+  constructor(private googlePay: GooglePayService) {
+    for (const definition of this.currentDefinitions) {
+      try {
+        googlePay.registerApiVersion(definition);
+      } catch (error) {
+        console.error(`API version ${definition.apiVersion} could not be registered`, error);
+      }
+    }
+    this.versionsSubject = new BehaviorSubject(this.getVersions());
+  }
+
+  /** Every version that can be launched with, the built-in one first. */
+  get versions$(): Observable<ApiVersionDefinition[]> {
+    return this.versionsSubject.asObservable();
+  }
+
+  /** The added versions, as they were saved. */
+  get definitions(): ApiVersionDefinition[] {
+    return this.currentDefinitions;
+  }
+
+  /**
+   * Registers the definitions and saves them in place of the previous ones.
+   * Versions that are left out stay registered with the library until the
+   * page is reloaded, but are no longer offered.
+   *
+   * @throws {GooglePayError} E419 if the library rejects a definition; nothing is registered or saved then.
+   */
+  save(definitions: ApiVersionDefinition[]): void {
+    this.googlePay.registerApiVersion(...definitions);
+    this.currentDefinitions = definitions;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(definitions));
+    this.versionsSubject.next(this.getVersions());
+  }
+
+  private getVersions(): ApiVersionDefinition[] {
+    const [builtIn, ...registered] = this.googlePay.getApiVersions();
+    const saved = new Set(this.currentDefinitions.map(definition => definition.apiVersion));
+    return [builtIn, ...registered.filter(version => saved.has(version.apiVersion))];
+  }
+
+  private load(): ApiVersionDefinition[] {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+}
@@ -0,0 +1,89 @@
+import { TestBed } from '@angular/core/testing';
+import { Subject, throwError } from 'rxjs';
+import { GooglePayError, GooglePayEvent } from 'src/models/google-pay';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { BatchRunnerService } from './batch-runner.service';
+import { UtilsService } from './utils.service';
+
+describe('BatchRunnerService', () => {
+  let utils: jasmine.SpyObj<UtilsService>;
+  let launches: Subject<GooglePayEvent>[];
+  let runner: BatchRunnerService;
+
+  beforeEach(() => {
+    launches = [];
+    utils = jasmine.createSpyObj<UtilsService>('UtilsService', ['openAppWindow', 'closeAppWindow']);
+    utils.openAppWindow.and.callFake(() => {
+      const launch = new Subject<GooglePayEvent>();
+      launches.push(launch);
+      return launch;
+    });
+    TestBed.configureTestingModule({ providers: [{ provide: UtilsService, useValue: utils }] });
+    runner = TestBed.inject(BatchRunnerService);
+    runner.enqueue([DEFAULT_LAUNCH_OPTIONS, { ...DEFAULT_LAUNCH_OPTIONS, tokenSetting: 0 }]);
+  });
+
+  it('should launch the next option set only after the window closes', () => {
+    runner.start();
+    expect(utils.openAppWindow).toHaveBeenCalledTimes(1);
+
+    launches[0].next({
+      type: 'sessionCreated',
+      payload: { clientSessionId: 'c', serverSessionId: 's', tokenSetting: '1', cardSetting: '1' }
+    });
+    launches[0].next({ type: 'success', payload: { tokenResult: '', cardResult: '' } });
+    expect(utils.openAppWindow).toHaveBeenCalledTimes(1);
+    launches[0].complete();
+
+    expect(utils.openAppWindow).toHaveBeenCalledTimes(2);
+    expect(utils.openAppWindow.calls.mostRecent().args[0].tokenSetting).toBe(0);
+    expect(runner.state.items[0].status).toBe('success');
+    expect(runner.state.items[0].serverSessionId).toBe('s');
+
+    launches[1].complete();
+    expect(runner.state.items[1].status).toBe('cancelled');
+    expect(runner.state.status).toBe('idle');
+  });
+
+  it('should record launch errors and move on', () => {
+    utils.openAppWindow.and.returnValues(throwError(new GooglePayError('E411')), new Subject<GooglePayEvent>());
+
+    runner.start();
+
+    expect(runner.state.items[0].status).toBe('error');
+    expect(runner.state.items[0].errorCodes).toEqual(['E411']);
+    expect(runner.state.items[1].status).toBe('running');
+  });
+
+  it('should stop after the current launch when paused', () => {
+    runner.start();
+    runner.pause();
+    launches[0].complete();
+
+    expect(utils.openAppWindow).toHaveBeenCalledTimes(1);
+    expect(runner.state.status).toBe('paused');
+    expect(runner.state.items[1].status).toBe('queued');
+  });
+
+  it('should skip queued items and close the window of the running one', () => {
+    runner.start();
+    const [running, queued] = runner.state.items;
+
+    runner.skip(queued.id);
+    runner.skip(running.id);
+    launches[0].complete();
+
+    expect(utils.closeAppWindow).toHaveBeenCalled();
+    expect(runner.state.items.map(item => item.status)).toEqual(['skipped', 'skipped']);
+  });
+
+  it('should queue a finished item again on retry', () => {
+    runner.start();
+    launches[0].complete();
+    launches[1].complete();
+
+    runner.retry(runner.state.items[0].id);
+
+    expect(runner.state.items[0].status).toBe('queued');
+  });
+});
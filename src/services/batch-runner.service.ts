@@ -0,0 +1,164 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable, Subscription } from 'rxjs';
+import { BATCH_CSV_COLUMNS, BatchItem, BatchItemStatus, BatchState, toBatchCsvRow, toCsvField } from 'src/models/batch';
+import { GooglePayError } from 'src/models/google-pay';
+import { LaunchOptions } from 'src/models/launch-options';
+import { FileDownloadService } from './file-download.service';
+import { RedactionService } from './redaction.service';
+import { UtilsService } from './utils.service';
+
+/**
+ * Launches a queue of option sets one after another. openAppWindow refuses a
+ * second window while one is open (E410), so each launch waits for the
+ * previous window's onFinish or onCancel.
+ *
+ * Only the first launch comes from a click; browsers block the later popups
+ * (E411) unless popups are allowed for the harness origin.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class BatchRunnerService {
+  private readonly stateSubject = new BehaviorSubject<BatchState>({ status: 'idle', items: [] });
+  private current: Subscription | null = null;
+  private skipRequested = false;
+
+  constructor(private utils: UtilsService, private fileDownload: FileDownloadService, private redaction: RedactionService) {}
+
+  get state$(): Observable<BatchState> {
+    return this.stateSubject.asObservable();
+  }
+
+  get state(): BatchState {
+    return this.stateSubject.value;
+  }
+
+  enqueue(optionSets: LaunchOptions[]): void {
+    const items = optionSets.map((options, index): BatchItem => ({
+      id: `${Date.now()}-${index}-${Math.random().toString(36).slice(2, 6)}`,
+      options,
+      status: 'queued',
+      errorCodes: []
+    }));
+    this.setState({ items: [...this.state.items, ...items] });
+  }
+
+  start(): void {
+    this.setState({ status: 'running' });
+    this.launchNext();
+  }
+
+  /** Lets the current launch finish, then stops. */
+  pause(): void {
+    if (this.state.status === 'running') {
+      this.setState({ status: 'paused' });
+    }
+  }
+
+  /** Skips a queued item, or closes the window of the running one. */
+  skip(itemId: string): void {
+    const item = this.state.items.find(candidate => candidate.id === itemId);
+    if (item?.status === 'queued') {
+      this.updateItem(itemId, { status: 'skipped' });
+    } else if (item?.status === 'running') {
+      this.skipRequested = true;
+      this.utils.closeAppWindow();
+    }
+  }
+
+  retry(itemId: string): void {
+    this.updateItem(itemId, {
+      status: 'queued',
+      startedAt: undefined,
+      finishedAt: undefined,
+      clientSessionId: undefined,
+      serverSessionId: undefined,
+      publicDeviceId: undefined,
+      publicWalletId: undefined,
+      errorCodes: []
+    });
+    this.launchNext();
+  }
+
+  /** Removes every item that is not running. */
+  clear(): void {
+    this.setState({ items: this.state.items.filter(item => item.status === 'running') });
+  }
+
+  /** IDs are masked unless masking is turned off in the redaction settings. */
+  exportResults(format: 'csv' | 'json'): void {
+    const items = this.redaction.redact(this.state.items) as BatchItem[];
+    if (format === 'json') {
+      this.fileDownload.download({
+        filename: 'google-pay-push-batch.json',
+        mimeType: 'application/json',
+        content: `${JSON.stringify(items, null, 2)}\n`
+      });
+      return;
+    }
+    const rows = items.map(toBatchCsvRow).map(row => BATCH_CSV_COLUMNS.map(column => toCsvField(row[column])).join(','));
+    this.fileDownload.download({
+      filename: 'google-pay-push-batch.csv',
+      mimeType: 'text/csv',
+      content: [BATCH_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+    });
+  }
+
+  private launchNext(): void {
+    if (this.state.status !== 'running' || this.current) {
+      return;
+    }
+    const item = this.state.items.find(candidate => candidate.status === 'queued');
+    if (!item) {
+      this.setState({ status: 'idle' });
+      return;
+    }
+
+    let outcome: BatchItemStatus = 'cancelled';
+    this.skipRequested = false;
+    this.updateItem(item.id, { status: 'running', startedAt: Date.now() });
+    // Launch errors arrive synchronously, so mark the launch as current first.
+    const launch = new Subscription();
+    this.current = launch;
+    launch.add(this.utils.openAppWindow(item.options).subscribe({
+      next: event => {
+        switch (event.type) {
+          case 'sessionCreated':
+            this.updateItem(item.id, {
+              clientSessionId: event.payload.clientSessionId,
+              serverSessionId: event.payload.serverSessionId,
+              publicDeviceId: event.payload.publicDeviceId,
+              publicWalletId: event.payload.publicWalletId
+            });
+            break;
+          case 'success':
+            outcome = 'success';
+            break;
+          case 'failure':
+            outcome = 'failure';
+            this.updateItem(item.id, { errorCodes: event.payload.errors.map(error => error.errorCode) });
+            break;
+        }
+      },
+      error: error => {
+        this.updateItem(item.id, { errorCodes: [error instanceof GooglePayError ? error.code : String(error)] });
+        this.finish(item.id, 'error');
+      },
+      complete: () => this.finish(item.id, this.skipRequested ? 'skipped' : outcome)
+    }));
+  }
+
+  private finish(itemId: string, status: BatchItemStatus): void {
+    this.updateItem(itemId, { status, finishedAt: Date.now() });
+    this.current = null;
+    this.launchNext();
+  }
+
+  private updateItem(itemId: string, changes: Partial<BatchItem>): void {
+    this.setState({ items: this.state.items.map(item => item.id === itemId ? { ...item, ...changes } : item) });
+  }
+
+  private setState(changes: Partial<BatchState>): void {
+    this.stateSubject.next({ ...this.state, ...changes });
+  }
+}
@@ -0,0 +1,50 @@
+import { Injectable } from '@angular/core';
+import {
+  ClientSessionIdSettings,
+  DEFAULT_CLIENT_SESSION_ID_SETTINGS,
+  generateClientSessionId
+} from 'src/models/client-session-id';
+import { LaunchOptions } from 'src/models/launch-options';
+
+const STORAGE_KEY = 'google-pay-push.client-session-id';
+
+/** Generates clientSessionIds with the settings persisted to localStorage. */
+@Injectable({
+  providedIn: 'root'
+})
+export class ClientSessionIdService {
+  private currentSettings = this.load();
+
+  get settings(): ClientSessionIdSettings {
+    return this.currentSettings;
+  }
+
+  set settings(settings: ClientSessionIdSettings) {
+    this.currentSettings = { ...settings };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.currentSettings));
+  }
+
+  /** @throws {Error} if the 'prefixed' format is selected with an invalid prefix. */
+  generate(): string {
+    return generateClientSessionId(this.currentSettings);
+  }
+
+  /**
+   * Adds a generated clientSessionId to options that have none, if
+   * autoGenerate is on, so that every launch can be found in issuer logs.
+   */
+  fill(options: LaunchOptions): LaunchOptions {
+    if (options.clientSessionId || !this.currentSettings.autoGenerate) {
+      return options;
+    }
+    return { ...options, clientSessionId: this.generate() };
+  }
+
+  private load(): ClientSessionIdSettings {
+    try {
+      return { ...DEFAULT_CLIENT_SESSION_ID_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+      return DEFAULT_CLIENT_SESSION_ID_SETTINGS;
+    }
+  }
+}
@@ -0,0 +1,17 @@
+import { Injectable } from '@angular/core';
+import { ExportFile } from 'src/models/session-export';
+
+/** Saves generated text files through a temporary object URL. */
+@Injectable({
+  providedIn: 'root'
+})
+export class FileDownloadService {
+  download(file: ExportFile): void {
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
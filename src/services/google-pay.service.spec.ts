@@ -0,0 +1,499 @@
+import { TestBed } from '@angular/core/testing';
+import {
+  ApiVersionDefinition,
+  AppWindowRecording,
+  GooglePayApi,
+  GooglePayAppOptions,
+  GooglePayCallbacks,
+  GooglePayError,
+  GooglePayEvent,
+  GooglePayStateSnapshot,
+  GooglePayTestingApi,
+  MessageDiagnostic
+} from 'src/models/google-pay';
+import { GooglePayService } from './google-pay.service';
+
+describe('GooglePayService', () => {
+  const options: GooglePayAppOptions = { integratorId: 'ACMEISSUER_1', tokenSetting: 1, cardSetting: 1 };
+  const session = {
+    clientSessionId: 'csid',
+    serverSessionId: 'ssid',
+    tokenSetting: '1',
+    cardSetting: '1'
+  };
+
+  const builtIn: ApiVersionDefinition = {
+    apiVersion: 'V1_6',
+    options: ['integratorId', 'tokenSetting', 'cardSetting'],
+    callbacks: ['onSessionCreated', 'onReady', 'onSuccess', 'onFailure', 'onFinish', 'onCancel'],
+    urlParams: ['integratorId', 'tokenSetting', 'cardSetting']
+  };
+  const legacy: ApiVersionDefinition = { ...builtIn, apiVersion: 'V1_5', callbacks: ['onSessionCreated', 'onCancel'] };
+
+  let api: jasmine.SpyObj<GooglePayApi>;
+  let originalApi: GooglePayApi | undefined;
+  let service: GooglePayService;
+
+  /** The callbacks passed to the most recent openAppWindow call. */
+  const callbacks = (): GooglePayCallbacks => api.openAppWindow.calls.mostRecent().args[0];
+
+  beforeEach(() => {
+    originalApi = window.googlepay;
+    api = jasmine.createSpyObj<GooglePayApi>('googlepay', [
+      'openAppWindow',
+      'closeAppWindow',
+      'replayAppWindow',
+      'getState',
+      'addEventListener',
+      'removeEventListener',
+      'getApiVersions'
+    ]);
+    api.getApiVersions.and.returnValue([builtIn, legacy]);
+    window.googlepay = api;
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(GooglePayService);
+  });
+
+  afterEach(() => {
+    window.googlepay = originalApi;
+  });
+
+  it('should pass the options through and emit an event per callback', () => {
+    const events: GooglePayEvent[] = [];
+    let completed = false;
+    service.open(options).subscribe({ next: event => events.push(event), complete: () => completed = true });
+
+    expect(api.openAppWindow).toHaveBeenCalledWith(jasmine.objectContaining(options));
+    callbacks().onReady?.({});
+    callbacks().onSessionCreated(session);
+    callbacks().onSuccess?.({ tokenResult: 'SUCCESS', cardResult: 'SUCCESS' });
+    expect(completed).toBeFalse();
+    callbacks().onFinish?.({});
+
+    expect(events.map(event => event.type)).toEqual(['ready', 'sessionCreated', 'success', 'finish']);
+    expect(completed).toBeTrue();
+    expect(api.closeAppWindow).not.toHaveBeenCalled();
+  });
+
+  it('should leave out the callbacks that the API version does not take', () => {
+    service.open({ ...options, apiVersion: 'V1_5' }).subscribe();
+
+    expect(callbacks().onSessionCreated).toEqual(jasmine.any(Function));
+    expect(callbacks().onCancel).toEqual(jasmine.any(Function));
+    expect(callbacks().onReady).toBeUndefined();
+    expect(callbacks().onFinish).toBeUndefined();
+    expect(callbacks().onTimeout).toEqual(jasmine.any(Function));
+  });
+
+  it('should complete on cancel', () => {
+    let completed = false;
+    service.open(options).subscribe({ complete: () => completed = true });
+
+    callbacks().onCancel?.({});
+
+    expect(completed).toBeTrue();
+  });
+
+  it('should emit stage timeouts without completing', () => {
+    const events: GooglePayEvent[] = [];
+    let completed = false;
+    service.open({ ...options, readyTimeoutMs: 1000 }).subscribe({ next: event => events.push(event), complete: () => completed = true });
+
+    callbacks().onTimeout?.({ stage: 'ready', elapsedMs: 1001 });
+
+    expect(events).toEqual([{ type: 'timeout', payload: { stage: 'ready', elapsedMs: 1001 } }]);
+    expect(completed).toBeFalse();
+  });
+
+  it('should turn library error codes into GooglePayErrors', () => {
+    api.openAppWindow.and.throwError(new Error('E410'));
+    let error: unknown;
+
+    service.open(options).subscribe({ error: e => error = e });
+
+    expect(error).toEqual(jasmine.any(GooglePayError));
+    expect((error as GooglePayError).code).toBe('E410');
+  });
+
+  it('should replay a recording through the same callbacks', () => {
+    const recording: AppWindowRecording = { appOrigin: 'https://pay.google.com', appWindowId: 'window', messages: [] };
+    api.replayAppWindow.and.throwError(new Error('E414'));
+    let error: unknown;
+
+    service.replay(options, recording).subscribe({ error: e => error = e });
+
+    const [appOptions, passedRecording] = api.replayAppWindow.calls.mostRecent().args;
+    expect(appOptions).toEqual(jasmine.objectContaining(options));
+    expect(appOptions.onSessionCreated).toEqual(jasmine.any(Function));
+    expect(passedRecording).toBe(recording);
+    expect((error as GooglePayError).code).toBe('E414');
+    expect(api.openAppWindow).not.toHaveBeenCalled();
+  });
+
+  it('should close the app window when unsubscribed early', () => {
+    service.open(options).subscribe().unsubscribe();
+
+    expect(api.closeAppWindow).toHaveBeenCalled();
+  });
+
+  it('should emit the current state and then every state change', () => {
+    api.getState.and.returnValue({ state: 'idle', isAppWindowOpen: false, options: null });
+    const states: GooglePayStateSnapshot[] = [];
+
+    const subscription = service.state$.subscribe(state => states.push(state));
+    const listener = api.addEventListener.calls.mostRecent().args[1];
+    listener({ type: 'statechange', state: 'opening', previousState: 'idle', isAppWindowOpen: true, options: null });
+    subscription.unsubscribe();
+
+    expect(states.map(state => state.state)).toEqual(['idle', 'opening']);
+    expect(api.removeEventListener).toHaveBeenCalledWith('statechange', listener);
+  });
+
+  it('should resolve openForSession with the session payload', async () => {
+    const promise = service.openForSession(options);
+
+    callbacks().onSessionCreated(session);
+
+    expect(await promise).toEqual(session);
+    expect(api.closeAppWindow).not.toHaveBeenCalled();
+  });
+
+  it('should reject openForSession if the window closes first', async () => {
+    const promise = service.openForSession(options);
+
+    callbacks().onCancel?.({});
+
+    await expectAsync(promise).toBeRejectedWithError(/closed before a session/);
+  });
+});
+
+describe('GooglePayService with the integration library', () => {
+  const options: GooglePayAppOptions = { integratorId: 'ACMEISSUER_1', tokenSetting: 1, cardSetting: 1, clientSessionId: 'csid' };
+
+  let testing: GooglePayTestingApi;
+  let service: GooglePayService;
+
+  beforeEach(() => {
+    testing = (window.googlepay as GooglePayApi).testing;
+    testing.install(0);
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(GooglePayService);
+  });
+
+  afterEach(() => {
+    testing.uninstall();
+  });
+
+  it('should emit the app window messages and finish when the window is closed', () => {
+    const events: GooglePayEvent[] = [];
+    let completed = false;
+    service.open(options).subscribe({ next: event => events.push(event), complete: () => completed = true });
+
+    expect(testing.getAppWindow()?.params.csid).toBe('csid');
+    testing.dispatch('ready');
+    testing.dispatch('sessionCreated', { clientSessionId: 'csid', serverSessionId: 'ssid', tokenSetting: '1', cardSetting: '1' });
+    testing.dispatch('success', { tokenResult: 'SUCCESS', cardResult: 'SUCCESS' });
+    testing.markAppWindowClosed();
+    testing.tick(200);
+
+    expect(events.map(event => event.type)).toEqual(['ready', 'sessionCreated', 'success', 'finish']);
+    expect(completed).toBeTrue();
+  });
+
+  it('should ignore messages from another origin', () => {
+    const events: GooglePayEvent[] = [];
+    service.open(options).subscribe(event => events.push(event));
+
+    testing.dispatchMessage({ action: 'ready', appWindowId: testing.getAppWindow()?.name }, 'https://example.com');
+
+    expect(events).toEqual([]);
+  });
+
+  describe('onMessageDiagnostic', () => {
+    let diagnostics: MessageDiagnostic[];
+
+    beforeEach(() => {
+      diagnostics = [];
+      service.open(options, diagnostic => diagnostics.push(diagnostic)).subscribe();
+    });
+
+    it('should report accepted messages', () => {
+      testing.dispatch('ready');
+
+      expect(diagnostics).toEqual([jasmine.objectContaining({ accepted: true, reason: 'accepted', action: 'ready' })]);
+    });
+
+    it('should report messages from another origin with the expected origin', () => {
+      const appWindow = testing.getAppWindow();
+
+      testing.dispatchMessage({ action: 'ready', appWindowId: appWindow?.name }, 'https://example.com');
+
+      expect(diagnostics).toEqual([jasmine.objectContaining({
+        accepted: false,
+        reason: 'originMismatch',
+        origin: 'https://example.com',
+        expectedOrigin: appWindow?.origin
+      })]);
+    });
+
+    it('should report messages addressed to another app window', () => {
+      testing.dispatchMessage({ action: 'ready', appWindowId: 'someone-else' });
+
+      expect(diagnostics).toEqual([jasmine.objectContaining({
+        accepted: false,
+        reason: 'appWindowIdMismatch',
+        appWindowId: 'someone-else',
+        expectedAppWindowId: testing.getAppWindow()?.name
+      })]);
+    });
+
+    it('should report messages until the closed window is noticed, and none after', () => {
+      testing.markAppWindowClosed();
+      testing.dispatch('success');
+
+      expect(diagnostics.map(diagnostic => diagnostic.reason)).toEqual(['appWindowClosed']);
+
+      testing.tick(200);
+      testing.dispatch('success');
+      testing.dispatchMessage({ unrelated: true });
+
+      expect(diagnostics.length).toBe(1);
+    });
+  });
+
+  it('should end a replay that never closed right after its last message', () => {
+    const events: GooglePayEvent[] = [];
+    let completed = false;
+    const origin = 'https://pay.sandbox.google.com';
+    const recording = {
+      appOrigin: origin,
+      appWindowId: 'recorded-window',
+      messages: [{ atMs: 100, origin, data: { action: 'ready', appWindowId: 'recorded-window' } }]
+    };
+
+    service.replay(options, recording).subscribe({ next: event => events.push(event), complete: () => completed = true });
+    testing.tick(100);
+    testing.tick(200);
+
+    expect(events.map(event => event.type)).toEqual(['ready', 'cancel']);
+    expect(completed).toBeTrue();
+    expect(testing.getPendingTimerCount()).toBe(0);
+  });
+
+  it('should emit stage timeouts on the virtual clock', () => {
+    const events: GooglePayEvent[] = [];
+    service.open({ ...options, readyTimeoutMs: 1000 }).subscribe(event => events.push(event));
+
+    testing.tick(999);
+    expect(events).toEqual([]);
+    testing.tick(1);
+
+    expect(events).toEqual([{ type: 'timeout', payload: { stage: 'ready', elapsedMs: 1000 } }]);
+  });
+
+  it('should error with the library\'s validation errors', () => {
+    let error: unknown;
+
+    service.open({ ...options, hl: 'not a language tag', strictOptions: true }).subscribe({ error: e => error = e });
+
+    expect((error as GooglePayError).code).toBe('E416');
+    expect((error as GooglePayError).findings).toEqual([jasmine.objectContaining({ severity: 'error', option: 'hl' })]);
+    expect((error as GooglePayError).message).toContain('hl must be a BCP 47 language tag');
+    expect(testing.getAppWindow()).toBeNull();
+  });
+
+  it('should not lint options that are left undefined', () => {
+    expect(service.lint({ integratorId: undefined, tokenSetting: undefined, cardSetting: 1 } as unknown as GooglePayAppOptions))
+      .toEqual([]);
+    expect(service.lint({ ...options, tokenSetting: 2 } as unknown as GooglePayAppOptions))
+      .toEqual([jasmine.objectContaining({ severity: 'error', option: 'tokenSetting' })]);
+  });
+
+  it('should only warn that nothing will be provisioned when both settings are 0', () => {
+    const nothingProvisioned = jasmine.objectContaining({ severity: 'warning', option: 'cardSetting' });
+
+    expect(service.lint({ ...options, tokenSetting: 0, cardSetting: 0 })).toEqual([nothingProvisioned]);
+    expect(service.lint({ ...options, tokenSetting: '', cardSetting: null } as unknown as GooglePayAppOptions))
+      .not.toContain(nothingProvisioned);
+  });
+
+  it('should open the app window with a registered API version', () => {
+    service.registerApiVersion({
+      apiVersion: 'V1_7',
+      options: ['integratorId', 'tokenSetting', 'cardSetting', 'clientSessionId'],
+      callbacks: ['onSessionCreated', 'onFinish', 'onCancel'],
+      urlParams: ['integratorId', 'csid']
+    });
+    let error: unknown;
+
+    service.open({ ...options, apiVersion: 'V1_7', hl: 'en' }).subscribe({ error: e => error = e });
+    expect((error as GooglePayError).code).toBe('E420');
+    service.open({ ...options, apiVersion: 'V1_7' }).subscribe();
+
+    expect(testing.getAppWindow()?.name).toBe('googlepay-webpp-v1_7-app-window-1');
+    expect(testing.getAppWindow()?.params).toEqual(jasmine.objectContaining({ apiVersion: 'V1_7', csid: 'csid' }));
+    expect(testing.getAppWindow()?.params.tokenSetting).toBeUndefined();
+  });
+
+  it('should register no API version if any definition is invalid', () => {
+    const valid: ApiVersionDefinition = { apiVersion: 'V1_8', options: [], callbacks: ['onSessionCreated'], urlParams: [] };
+    const invalid: ApiVersionDefinition = { ...valid, apiVersion: 'V1_9', callbacks: [] };
+
+    expect(() => service.registerApiVersion(valid, invalid)).toThrow(jasmine.objectContaining({ code: 'E419' }));
+    expect(service.getApiVersions().map(version => version.apiVersion)).toEqual(['V1_6']);
+  });
+
+  it('should forget the API versions registered while the testing module was installed', () => {
+    service.registerApiVersion({ apiVersion: 'V1_8', options: [], callbacks: ['onSessionCreated'], urlParams: [] });
+
+    testing.uninstall();
+
+    expect(service.getApiVersions().map(version => version.apiVersion)).toEqual(['V1_6']);
+  });
+
+  it('should not install while a window opened on the real clock is still open', () => {
+    const api = window.googlepay as GooglePayApi;
+    testing.uninstall();
+    api.replayAppWindow({ ...options, onSessionCreated: () => undefined }, { appOrigin: '', appWindowId: '', messages: [] });
+
+    expect(() => testing.install(0)).toThrowError(/E418/);
+
+    api.closeAppWindow();
+    testing.install(0);
+    expect(testing.getAppWindow()).toBeNull();
+  });
+
+  it('should rethrow a callback error from the call that caused it', () => {
+    const api = window.googlepay as GooglePayApi;
+    api.openAppWindow({ ...options, onSessionCreated: () => undefined, onReady: () => { throw new Error('boom'); } });
+
+    expect(() => testing.dispatch('ready')).toThrowError('boom');
+    expect(api.getState().state).toBe('ready');
+    expect(() => testing.tick(0)).not.toThrow();
+  });
+
+  it('should run the remaining timers when one throws, then rethrow', () => {
+    const cancelled = jasmine.createSpy('onCancel');
+    (window.googlepay as GooglePayApi).openAppWindow({
+      ...options,
+      readyTimeoutMs: 100,
+      onSessionCreated: () => undefined,
+      onTimeout: () => {
+        testing.markAppWindowClosed();
+        throw new Error('boom');
+      },
+      onCancel: cancelled
+    });
+
+    expect(() => testing.tick(250)).toThrowError('boom');
+    expect(cancelled).toHaveBeenCalled();
+    expect(testing.getPendingTimerCount()).toBe(0);
+  });
+
+  it('should error with E411 when the popup is blocked', () => {
+    testing.setPopupBlocked(true);
+    let error: unknown;
+
+    service.open(options).subscribe({ error: e => error = e });
+
+    expect((error as GooglePayError).code).toBe('E411');
+  });
+
+  describe('window size and placement', () => {
+    const featuresFor = (extra: Partial<GooglePayAppOptions>) => {
+      service.open({ ...options, ...extra }).subscribe();
+      return testing.getAppWindow()?.features;
+    };
+    const centered = (height: number, width: number) =>
+      `height=${height},width=${width},` +
+      `left=${Math.round(window.screenX + (window.outerWidth - width) / 2)},` +
+      `top=${Math.round(window.screenY + (window.outerHeight - height) / 2)}`;
+
+    it('should leave the size and position to the browser by default', () => {
+      expect(featuresFor({})).toBe('');
+      expect(testing.getAppWindow()?.params.windowFeatures).toBeUndefined();
+    });
+
+    it('should size the window as each preset, below the minimum content size', () => {
+      expect(featuresFor({ windowSizePreset: 'desktop' })).toBe('height=700,width=1100');
+      testing.uninstall();
+      testing.install(0);
+      expect(featuresFor({ windowSizePreset: 'tablet' })).toBe('height=1180,width=820');
+      testing.uninstall();
+      testing.install(0);
+      expect(featuresFor({ windowSizePreset: 'mobile' })).toBe('height=915,width=412');
+    });
+
+    it('should center the window over this one, at the minimum content size unless sized', () => {
+      expect(featuresFor({ windowPlacement: 'center' })).toBe(centered(700, 1100));
+      testing.uninstall();
+      testing.install(0);
+      expect(featuresFor({ windowPlacement: 'center', windowSizePreset: 'mobile' })).toBe(centered(915, 412));
+    });
+
+    it('should place the window at rounded explicit coordinates', () => {
+      expect(featuresFor({ windowPlacement: 'auto', windowLeft: 10.4, windowTop: 20.6 })).toBe('left=10,top=21');
+    });
+  });
+
+  describe('popup blocked prompt', () => {
+    const findPrompt = () => document.querySelector<HTMLElement>('[role="alertdialog"][aria-label="Google Pay"]');
+    const findButton = (label: string) =>
+      Array.from(findPrompt()?.querySelectorAll('button') ?? []).find(button => button.textContent === label);
+    let events: GooglePayEvent[];
+    let completed: boolean;
+
+    beforeEach(() => {
+      events = [];
+      completed = false;
+      testing.setPopupBlocked(true);
+      service.open({ ...options, popupBlockedPrompt: true })
+        .subscribe({ next: event => events.push(event), complete: () => completed = true });
+    });
+
+    it('should show the prompt once and count every blocked attempt', () => {
+      expect(window.googlepay?.getState().state).toBe('popupBlocked');
+      expect(findPrompt()).not.toBeNull();
+
+      expect(service.retry()).toBeFalse();
+
+      expect(events).toEqual([
+        { type: 'popupBlocked', payload: { attempts: 1, prompt: true } },
+        { type: 'popupBlocked', payload: { attempts: 2, prompt: true } }
+      ]);
+      expect(document.querySelectorAll('[role="alertdialog"][aria-label="Google Pay"]').length).toBe(1);
+      expect(testing.getAppWindow()).toBeNull();
+    });
+
+    it('should open the window and remove the prompt once a retry is allowed', () => {
+      testing.setPopupBlocked(false);
+
+      expect(service.retry()).toBeTrue();
+
+      expect(window.googlepay?.getState().state).toBe('opening');
+      expect(findPrompt()).toBeNull();
+      expect(testing.getAppWindow()?.params.csid).toBe('csid');
+      expect(service.retry()).toBeFalse();
+      testing.dispatch('ready');
+      expect(events.map(event => event.type)).toEqual(['popupBlocked', 'ready']);
+    });
+
+    it('should retry from the prompt button', () => {
+      testing.setPopupBlocked(false);
+
+      findButton('Open Google Pay')?.click();
+
+      expect(findPrompt()).toBeNull();
+      expect(testing.getAppWindow()).not.toBeNull();
+    });
+
+    it('should give up and cancel from the prompt button', () => {
+      findButton('Cancel')?.click();
+
+      expect(findPrompt()).toBeNull();
+      expect(window.googlepay?.getState().state).toBe('closed');
+      expect(events.map(event => event.type)).toEqual(['popupBlocked', 'cancel']);
+      expect(completed).toBeTrue();
+    });
+  });
+});
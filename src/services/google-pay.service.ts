@@ -0,0 +1,197 @@
+import { Injectable, NgZone } from '@angular/core';
+import { Observable } from 'rxjs';
+import {
+  ApiVersionDefinition,
+  AppWindowRecording,
+  DEFAULT_API_VERSION,
+  GooglePayApi,
+  GooglePayAppOptions,
+  GooglePayCallbacks,
+  GooglePayError,
+  GooglePayEvent,
+  GooglePayStateChangeListener,
+  GooglePayStateSnapshot,
+  MessageDiagnostic,
+  OptionLintFinding,
+  SessionCreatedPayload
+} from 'src/models/google-pay';
+
+/**
+ * Typed wrapper around window.googlepay (src/assets/js/integration.js).
+ *
+ * Callbacks fire from a 'message' listener and a polling timer that the
+ * library set up outside the Angular zone, so every event is re-entered into
+ * the zone before it is emitted.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class GooglePayService {
+  constructor(private zone: NgZone) {}
+
+  /**
+   * Emits the library's current state when subscribed to, then every state
+   * change, whichever code opened the app window.
+   */
+  get state$(): Observable<GooglePayStateSnapshot> {
+    return new Observable<GooglePayStateSnapshot>(subscriber => {
+      const listener: GooglePayStateChangeListener = event => this.zone.run(() => subscriber.next(event));
+      subscriber.next(this.api.getState());
+      this.api.addEventListener('statechange', listener);
+      return () => this.api.removeEventListener('statechange', listener);
+    });
+  }
+
+  /**
+   * Opens the app window when subscribed to and emits one event per callback.
+   * Completes after 'finish' or 'cancel'. Errors with a GooglePayError if
+   * openAppWindow throws. Unsubscribing early closes the app window.
+   *
+   * Pass onMessageDiagnostic to opt in to the library's report on every
+   * 'message' event it sees, accepted or not.
+   *
+   * A blocked popup errors with E411 unless options.popupBlockedPrompt is set,
+   * in which case 'popupBlocked' is emitted and the library waits for a retry.
+   */
+  open(options: GooglePayAppOptions, onMessageDiagnostic?: (diagnostic: MessageDiagnostic) => void): Observable<GooglePayEvent> {
+    return this.launch(callbacks => this.api.openAppWindow({
+      ...options,
+      ...this.forApiVersion(options.apiVersion, callbacks),
+      onPopupBlocked: options.popupBlockedPrompt ? callbacks.onPopupBlocked : undefined
+    }), onMessageDiagnostic);
+  }
+
+  /**
+   * Like open, but replays a recording through the library instead of opening
+   * a window. Unsubscribing early closes the replayed window.
+   */
+  replay(
+    options: GooglePayAppOptions,
+    recording: AppWindowRecording,
+    onMessageDiagnostic?: (diagnostic: MessageDiagnostic) => void
+  ): Observable<GooglePayEvent> {
+    return this.launch(
+      callbacks => this.api.replayAppWindow({ ...options, ...this.forApiVersion(options.apiVersion, callbacks) }, recording),
+      onMessageDiagnostic
+    );
+  }
+
+  /**
+   * Opens the app window and resolves with the onSessionCreated payload.
+   * Rejects if the window is closed first or openAppWindow throws. The window
+   * stays open after resolving so that the user can finish the flow.
+   */
+  openForSession(options: GooglePayAppOptions): Promise<SessionCreatedPayload> {
+    return new Promise((resolve, reject) => {
+      this.open(options).subscribe({
+        next: event => {
+          if (event.type === 'sessionCreated') {
+            resolve(event.payload);
+          }
+        },
+        error: reject,
+        complete: () => reject(new Error('The app window was closed before a session was created.'))
+      });
+    });
+  }
+
+  close(): void {
+    this.api.closeAppWindow();
+  }
+
+  /**
+   * Opens the app window after the browser blocked it. Call from a click
+   * handler; the library's own prompt does the same.
+   */
+  retry(): boolean {
+    return this.api.retryAppWindow();
+  }
+
+  /** Checks the options that the library would otherwise pass to the server unchecked. */
+  lint(options: GooglePayAppOptions): OptionLintFinding[] {
+    return this.api.lintAppOptions(options);
+  }
+
+  /** The library's API versions, the built-in one first. */
+  getApiVersions(): ApiVersionDefinition[] {
+    return this.api.getApiVersions();
+  }
+
+  /** Throws a GooglePayError (E419) if the library rejects any definition; none is registered then. */
+  registerApiVersion(...definitions: ApiVersionDefinition[]): void {
+    try {
+      this.api.registerApiVersion(...definitions);
+    } catch (error) {
+      throw GooglePayError.from(error);
+    }
+  }
+
+  /**
+   * Leaves out the app callbacks that the API version does not take, which
+   * openAppWindow would otherwise reject with E420. Events for them are then
+   * never emitted; without onFinish and onCancel, the Observable does not
+   * complete when the window closes.
+   */
+  private forApiVersion(apiVersion: string | undefined, callbacks: GooglePayCallbacks): GooglePayCallbacks {
+    const version = this.api.getApiVersions().find(v => v.apiVersion === (apiVersion ?? DEFAULT_API_VERSION));
+    if (!version) {
+      // Let openAppWindow report the unknown version (E419).
+      return callbacks;
+    }
+    const supported: GooglePayCallbacks = { ...callbacks };
+    for (const key of ['onReady', 'onSuccess', 'onFailure', 'onFinish', 'onCancel'] as const) {
+      if (!version.callbacks.includes(key)) {
+        delete supported[key];
+      }
+    }
+    return supported;
+  }
+
+  /** Calls openAppWindow or replayAppWindow with callbacks that feed the returned Observable. */
+  private launch(
+    launchWithCallbacks: (callbacks: GooglePayCallbacks) => void,
+    onMessageDiagnostic?: (diagnostic: MessageDiagnostic) => void
+  ): Observable<GooglePayEvent> {
+    return new Observable<GooglePayEvent>(subscriber => {
+      let windowClosed = false;
+      const emit = (event: GooglePayEvent) => this.zone.run(() => {
+        windowClosed = event.type === 'finish' || event.type === 'cancel';
+        subscriber.next(event);
+        if (windowClosed) {
+          subscriber.complete();
+        }
+      });
+
+      try {
+        launchWithCallbacks({
+          onReady: payload => emit({ type: 'ready', payload }),
+          onSessionCreated: payload => emit({ type: 'sessionCreated', payload }),
+          onSuccess: payload => emit({ type: 'success', payload }),
+          onFailure: payload => emit({ type: 'failure', payload }),
+          onFinish: payload => emit({ type: 'finish', payload }),
+          onCancel: payload => emit({ type: 'cancel', payload }),
+          onTimeout: payload => emit({ type: 'timeout', payload }),
+          onPopupBlocked: payload => emit({ type: 'popupBlocked', payload }),
+          onMessageDiagnostic: onMessageDiagnostic && (diagnostic => this.zone.run(() => onMessageDiagnostic(diagnostic))),
+          onCallbackError: ({ callback, error }) => console.error(`The ${callback} callback threw`, error)
+        });
+      } catch (error) {
+        subscriber.error(GooglePayError.from(error));
+        return;
+      }
+
+      return () => {
+        if (!windowClosed) {
+          this.close();
+        }
+      };
+    });
+  }
+
+  private get api(): GooglePayApi {
+    if (!window.googlepay) {
+      throw new Error('window.googlepay is not loaded; check the scripts in angular.json.');
+    }
+    return window.googlepay;
+  }
+}
@@ -0,0 +1,25 @@
+import { HarnessTabService } from './harness-tab.service';
+
+describe('HarnessTabService', () => {
+  beforeEach(() => {
+    sessionStorage.removeItem('google-pay-push.tab');
+    sessionStorage.removeItem('google-pay-push.tab-in-use');
+  });
+
+  it('should keep its identity across a reload', () => {
+    const tab = new HarnessTabService().tab;
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(new HarnessTabService().tab).toEqual(tab);
+  });
+
+  it('should take a new identity in a duplicated tab', () => {
+    const tab = new HarnessTabService().tab;
+
+    const duplicate = new HarnessTabService().tab;
+
+    expect(duplicate.id).not.toBe(tab.id);
+    expect(JSON.parse(sessionStorage.getItem('google-pay-push.tab') || 'null')).toEqual(duplicate);
+  });
+});
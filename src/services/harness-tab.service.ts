@@ -0,0 +1,55 @@
+import { Injectable } from '@angular/core';
+import { fromEvent, Observable } from 'rxjs';
+import { filter, map } from 'rxjs/operators';
+import { createHarnessTab, HarnessTab } from 'src/models/harness-tab';
+
+const STORAGE_KEY = 'google-pay-push.tab';
+/** Set in sessionStorage while a page holds the identity, cleared on pagehide. */
+const IN_USE_KEY = 'google-pay-push.tab-in-use';
+
+/**
+ * Identifies this tab and reports changes that other harness tabs make to
+ * localStorage. The identity is kept in sessionStorage, so it survives
+ * reloads. A duplicated tab starts out with a copy of that sessionStorage,
+ * taken while the original page still holds the identity, and so takes a
+ * new one.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class HarnessTabService {
+  readonly tab: HarnessTab = this.load();
+
+  constructor() {
+    sessionStorage.setItem(IN_USE_KEY, this.tab.id);
+    window.addEventListener('pagehide', () => sessionStorage.removeItem(IN_USE_KEY));
+    // Pages restored from the back/forward cache hold the identity again.
+    window.addEventListener('pageshow', () => sessionStorage.setItem(IN_USE_KEY, this.tab.id));
+  }
+
+  /**
+   * Emits when another tab writes the key, or clears localStorage. Browsers
+   * do not report a tab's own writes back to it.
+   */
+  storageChanges(key: string): Observable<void> {
+    return fromEvent<StorageEvent>(window, 'storage').pipe(
+      filter(event => event.storageArea === localStorage && (event.key === key || event.key === null)),
+      map(() => undefined)
+    );
+  }
+
+  private load(): HarnessTab {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+      if (typeof stored?.id === 'string' && typeof stored.label === 'string' &&
+          sessionStorage.getItem(IN_USE_KEY) !== stored.id) {
+        return stored;
+      }
+    } catch {
+      // Fall through to a new identity.
+    }
+    const tab = createHarnessTab();
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(tab));
+    return tab;
+  }
+}
@@ -0,0 +1,92 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable, timer } from 'rxjs';
+import { map, switchMap } from 'rxjs/operators';
+import { getLockHeldElsewhere, LAUNCH_LOCK_HEARTBEAT_MS, LaunchLock } from 'src/models/harness-tab';
+import { HarnessTabService } from './harness-tab.service';
+
+const STORAGE_KEY = 'google-pay-push.launch-lock';
+
+/**
+ * Advertises to the other harness tabs that this tab has an app window open.
+ * The lock only warns: a tab can still launch after the user confirms, and
+ * then takes the lock over. It is released when the run ends or the tab is
+ * closed, and goes stale if the holder stops refreshing it.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class LaunchLockService {
+  private readonly lockSubject = new BehaviorSubject<LaunchLock | null>(this.load());
+  private heartbeat: number | null = null;
+
+  constructor(private harnessTab: HarnessTabService) {
+    harnessTab.storageChanges(STORAGE_KEY).subscribe(() => this.lockSubject.next(this.load()));
+    window.addEventListener('pagehide', () => {
+      const lock = this.lockSubject.value;
+      if (lock?.tab.id === this.harnessTab.tab.id) {
+        this.release(lock.runId);
+      }
+    });
+  }
+
+  /** The lock while another live tab holds it, re-checked as it goes stale. */
+  get lockElsewhere$(): Observable<LaunchLock | null> {
+    return this.lockSubject.pipe(
+      switchMap(lock => timer(0, LAUNCH_LOCK_HEARTBEAT_MS).pipe(
+        map(() => getLockHeldElsewhere(lock, this.harnessTab.tab.id, Date.now()))
+      ))
+    );
+  }
+
+  get lockElsewhere(): LaunchLock | null {
+    return getLockHeldElsewhere(this.lockSubject.value, this.harnessTab.tab.id, Date.now());
+  }
+
+  acquire(runId: string): void {
+    const now = Date.now();
+    this.save({ tab: this.harnessTab.tab, runId, since: now, heartbeatAt: now });
+    this.stopHeartbeat();
+    this.heartbeat = window.setInterval(() => {
+      const lock = this.lockSubject.value;
+      if (lock?.runId === runId) {
+        this.save({ ...lock, heartbeatAt: Date.now() });
+      } else {
+        // Another tab took the lock over.
+        this.stopHeartbeat();
+      }
+    }, LAUNCH_LOCK_HEARTBEAT_MS);
+  }
+
+  /** Only releases the lock if it is still held for the run. */
+  release(runId: string): void {
+    if (this.lockSubject.value?.runId === runId) {
+      this.save(null);
+      this.stopHeartbeat();
+    }
+  }
+
+  private stopHeartbeat(): void {
+    if (this.heartbeat !== null) {
+      window.clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  private load(): LaunchLock | null {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      return typeof stored?.runId === 'string' && typeof stored.tab?.id === 'string' ? stored : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private save(lock: LaunchLock | null): void {
+    if (lock) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(lock));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    this.lockSubject.next(lock);
+  }
+}
@@ -0,0 +1,22 @@
+import { Injectable } from '@angular/core';
+import { Observable, Subject } from 'rxjs';
+import { LaunchRequest } from 'src/models/profile';
+
+/**
+ * Carries options from the /launch route to the launch form, which lives in
+ * AppComponent rather than in the routed component.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class LaunchRequestService {
+  private readonly requestsSubject = new Subject<LaunchRequest>();
+
+  get requests$(): Observable<LaunchRequest> {
+    return this.requestsSubject.asObservable();
+  }
+
+  request(request: LaunchRequest): void {
+    this.requestsSubject.next(request);
+  }
+}
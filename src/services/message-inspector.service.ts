@@ -0,0 +1,38 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { MessageDiagnostic } from 'src/models/google-pay';
+
+const ENABLED_STORAGE_KEY = 'google-pay-push.message-inspector-enabled';
+const MAX_RECORDS = 500;
+
+/**
+ * Collects the library's onMessageDiagnostic reports, newest first. Off by
+ * default: the page receives plenty of unrelated messages (e.g. from the dev
+ * server), and each report triggers change detection.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class MessageInspectorService {
+  private readonly recordsSubject = new BehaviorSubject<MessageDiagnostic[]>([]);
+
+  get records$(): Observable<MessageDiagnostic[]> {
+    return this.recordsSubject.asObservable();
+  }
+
+  get enabled(): boolean {
+    return localStorage.getItem(ENABLED_STORAGE_KEY) === 'true';
+  }
+
+  set enabled(enabled: boolean) {
+    localStorage.setItem(ENABLED_STORAGE_KEY, String(enabled));
+  }
+
+  add(record: MessageDiagnostic): void {
+    this.recordsSubject.next([record, ...this.recordsSubject.value].slice(0, MAX_RECORDS));
+  }
+
+  clear(): void {
+    this.recordsSubject.next([]);
+  }
+}
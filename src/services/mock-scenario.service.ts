@@ -0,0 +1,37 @@
+import { Injectable } from '@angular/core';
+import { MOCK_SCENARIO_STORAGE_KEY, MOCK_SCENARIOS, MockScenario, parseMockScenario } from 'src/models/mock-scenario';
+
+/**
+ * Holds the scenario that the local mock app window plays. The selection is
+ * written to localStorage, which is how the mock window receives it.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class MockScenarioService {
+  readonly scenarios = MOCK_SCENARIOS;
+
+  get selected(): MockScenario {
+    try {
+      return parseMockScenario(localStorage.getItem(MOCK_SCENARIO_STORAGE_KEY) || '');
+    } catch {
+      return MOCK_SCENARIOS[0];
+    }
+  }
+
+  select(scenario: MockScenario): void {
+    localStorage.setItem(MOCK_SCENARIO_STORAGE_KEY, JSON.stringify(scenario));
+  }
+
+  /**
+   * Selects the scenario for a while, e.g. for a scripted run. Call the
+   * returned function to put back the previous selection, or none.
+   */
+  selectTemporarily(scenario: MockScenario): () => void {
+    const previous = localStorage.getItem(MOCK_SCENARIO_STORAGE_KEY);
+    this.select(scenario);
+    return () => previous === null ?
+      localStorage.removeItem(MOCK_SCENARIO_STORAGE_KEY) :
+      localStorage.setItem(MOCK_SCENARIO_STORAGE_KEY, previous);
+  }
+}
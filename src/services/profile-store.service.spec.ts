@@ -0,0 +1,30 @@
+import { TestBed } from '@angular/core/testing';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { ProfileStoreService } from './profile-store.service';
+
+describe('ProfileStoreService', () => {
+  let store: ProfileStoreService;
+
+  beforeEach(() => {
+    localStorage.removeItem('google-pay-push.profiles');
+    TestBed.configureTestingModule({});
+    store = TestBed.inject(ProfileStoreService);
+  });
+
+  it('should keep profiles sorted by name and replace same-named ones', () => {
+    store.save({ name: 'Sandbox', options: DEFAULT_LAUNCH_OPTIONS });
+    store.save({ name: 'Acme', options: DEFAULT_LAUNCH_OPTIONS });
+    store.save({ name: 'Sandbox', options: { ...DEFAULT_LAUNCH_OPTIONS, integratorId: 'OTHER_1' } });
+
+    expect(store.profiles.map(profile => profile.name)).toEqual(['Acme', 'Sandbox']);
+    expect(store.find('Sandbox')?.options.integratorId).toBe('OTHER_1');
+  });
+
+  it('should remove profiles and restore the rest in a new instance', () => {
+    store.save({ name: 'Acme', options: DEFAULT_LAUNCH_OPTIONS }, { name: 'Sandbox', options: DEFAULT_LAUNCH_OPTIONS });
+
+    store.remove('Acme');
+
+    expect(new ProfileStoreService().profiles.map(profile => profile.name)).toEqual(['Sandbox']);
+  });
+});
@@ -0,0 +1,50 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { LaunchProfile } from 'src/models/profile';
+
+const STORAGE_KEY = 'google-pay-push.profiles';
+
+/** Saved launch profiles, sorted by name and persisted to localStorage. */
+@Injectable({
+  providedIn: 'root'
+})
+export class ProfileStoreService {
+  private readonly profilesSubject = new BehaviorSubject<LaunchProfile[]>(this.load());
+
+  get profiles$(): Observable<LaunchProfile[]> {
+    return this.profilesSubject.asObservable();
+  }
+
+  get profiles(): LaunchProfile[] {
+    return this.profilesSubject.value;
+  }
+
+  find(name: string): LaunchProfile | undefined {
+    return this.profiles.find(profile => profile.name === name);
+  }
+
+  /** Adds the profiles, replacing any saved under the same names. */
+  save(...profiles: LaunchProfile[]): void {
+    const names = new Set(profiles.map(profile => profile.name));
+    this.persist([...this.profiles.filter(profile => !names.has(profile.name)), ...profiles]
+      .sort((a, b) => a.name.localeCompare(b.name)));
+  }
+
+  remove(name: string): void {
+    this.persist(this.profiles.filter(profile => profile.name !== name));
+  }
+
+  private load(): LaunchProfile[] {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  private persist(profiles: LaunchProfile[]): void {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    this.profilesSubject.next(profiles);
+  }
+}
@@ -0,0 +1,87 @@
+import { Injectable } from '@angular/core';
+import {
+  collectSensitiveIds,
+  DEFAULT_REDACTION_SETTINGS,
+  maskValue,
+  redactPayload,
+  RedactionSettings,
+  REDACTED,
+  ShareBundle,
+  ShareMode,
+  toShareBundle
+} from 'src/models/redaction';
+import { Run } from 'src/models/run';
+import { CapturedSession } from 'src/models/session';
+
+const STORAGE_KEY = 'google-pay-push.redaction';
+const HASH_LENGTH = 12;
+
+/**
+ * Masks session, device and wallet IDs and redacts debugInfo keys wherever the
+ * harness shows, logs or exports payloads. IDs can be revealed one at a time,
+ * wherever they appear; reveals last until the page is reloaded.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class RedactionService {
+  private currentSettings = this.load();
+  private readonly revealed = new Set<string>();
+
+  get settings(): RedactionSettings {
+    return this.currentSettings;
+  }
+
+  set settings(settings: RedactionSettings) {
+    this.currentSettings = { ...settings, debugInfoRules: [...settings.debugInfoRules] };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.currentSettings));
+  }
+
+  /** A copy of the payload that is safe to show or log. */
+  redact(payload: unknown): unknown {
+    return redactPayload(payload, this.currentSettings.debugInfoRules, this.currentSettings.maskIdentifiers ? maskValue : null);
+  }
+
+  /** An ID as it should be displayed: masked unless masking is off or it was revealed. */
+  display(id: string | undefined): string | undefined {
+    return id && this.isMasked(id) ? maskValue(id) : id;
+  }
+
+  isMasked(id: string): boolean {
+    return this.currentSettings.maskIdentifiers && !this.revealed.has(id);
+  }
+
+  toggleReveal(id: string): void {
+    if (!this.revealed.delete(id)) {
+      this.revealed.add(id);
+    }
+  }
+
+  /** Strips IDs, or replaces them with salted SHA-256 hashes that still match each other. */
+  async createShareBundle(runs: Run[], sessions: CapturedSession[], mode: ShareMode): Promise<ShareBundle> {
+    const hashes = mode === 'hash' ? await this.hashIds(collectSensitiveIds([runs, sessions])) : new Map<string, string>();
+    return toShareBundle(runs, sessions, this.currentSettings.debugInfoRules, mode, id => hashes.get(id) ?? REDACTED);
+  }
+
+  private async hashIds(ids: Set<string>): Promise<Map<string, string>> {
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), toHex).join('');
+    const hashes = new Map<string, string>();
+    for (const id of ids) {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(salt + id));
+      hashes.set(id, `sha256:${Array.from(new Uint8Array(digest), toHex).join('').slice(0, HASH_LENGTH)}`);
+    }
+    return hashes;
+  }
+
+  private load(): RedactionSettings {
+    try {
+      return { ...DEFAULT_REDACTION_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+      return DEFAULT_REDACTION_SETTINGS;
+    }
+  }
+}
+
+function toHex(byte: number): string {
+  return byte.toString(16).padStart(2, '0');
+}
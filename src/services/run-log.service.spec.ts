@@ -0,0 +1,133 @@
+import { TestBed } from '@angular/core/testing';
+import { BehaviorSubject } from 'rxjs';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { REDACTED } from 'src/models/redaction';
+import { Run } from 'src/models/run';
+import { RUN_LOG_CSV_COLUMNS, RunLogEntry } from 'src/models/run-log';
+import { FileDownloadService } from './file-download.service';
+import { HarnessTabService } from './harness-tab.service';
+import { RedactionService } from './redaction.service';
+import { RunLogService } from './run-log.service';
+import { RunStoreService } from './run-store.service';
+
+describe('RunLogService', () => {
+  let runs: BehaviorSubject<Run[]>;
+  let download: jasmine.Spy;
+
+  const makeRun = (id: string, changes: Partial<Run> = {}): Run => ({
+    id,
+    launchOptions: { ...DEFAULT_LAUNCH_OPTIONS, clientSessionId: '0476106612151453164217831917' },
+    events: [
+      { type: 'open', at: Date.now() },
+      { type: 'success', at: Date.now() + 1, payload: { tokenResult: 'SUCCESS', debugInfo: { walletId: 'w-1', region: 'eu' } } },
+      { type: 'finish', at: Date.now() + 2 }
+    ],
+    tab: TestBed.inject(HarnessTabService).tab,
+    ...changes
+  });
+
+  const storedEntries = (): RunLogEntry[] => JSON.parse(localStorage.getItem('google-pay-push.run-log') || '{}').entries;
+
+  beforeEach(() => {
+    localStorage.removeItem('google-pay-push.run-log');
+    localStorage.removeItem('google-pay-push.redaction');
+    runs = new BehaviorSubject<Run[]>([]);
+    TestBed.configureTestingModule({
+      providers: [{ provide: RunStoreService, useValue: { runs$: runs } }]
+    });
+    download = spyOn(TestBed.inject(FileDownloadService), 'download');
+  });
+
+  it('should log each run of this tab once its window has closed', () => {
+    const service = TestBed.inject(RunLogService);
+    const open = makeRun('open', { events: [{ type: 'open', at: Date.now() }] });
+
+    runs.next([open, makeRun('closed')]);
+    runs.next([open, makeRun('closed')]);
+
+    expect(service.entries.map(entry => entry.runId)).toEqual(['closed']);
+    expect(service.entries[0].outcome).toBe('success');
+    expect(storedEntries().map(entry => entry.runId)).toEqual(['closed']);
+  });
+
+  it('should leave out replays and the runs of other tabs', () => {
+    const service = TestBed.inject(RunLogService);
+
+    runs.next([
+      makeRun('replay', { replayed: true }),
+      makeRun('other', { tab: { id: 'other-tab', label: 'Tab OTHR' } }),
+      makeRun('untagged', { tab: undefined })
+    ]);
+
+    expect(service.entries.map(entry => entry.runId)).toEqual(['untagged']);
+  });
+
+  it('should not log runs opened before the log was cleared, even after a reload', () => {
+    const openedAt = (run: Run, at: number): Run => ({ ...run, events: run.events.map(event => ({ ...event, at: event.at + at })) });
+    const before = openedAt(makeRun('before'), -60000);
+    const after = openedAt(makeRun('after'), 60000);
+    const service = TestBed.inject(RunLogService);
+    runs.next([before]);
+
+    service.clear();
+    runs.next([before]);
+    const reloaded = new RunLogService(
+      TestBed.inject(RunStoreService),
+      TestBed.inject(HarnessTabService),
+      TestBed.inject(FileDownloadService),
+      TestBed.inject(RedactionService)
+    );
+
+    expect(service.entries).toEqual([]);
+    expect(reloaded.entries).toEqual([]);
+
+    runs.next([after, before]);
+
+    expect(service.entries.map(entry => entry.runId)).toEqual(['after']);
+  });
+
+  it('should keep the most recent 1000 entries', () => {
+    const oldEntries = Array.from({ length: 1000 }, (_, i) => ({ ...makeLogEntry(`old-${i}`), openedAt: 1000 - i }));
+    localStorage.setItem('google-pay-push.run-log', JSON.stringify({ entries: oldEntries }));
+    const service = TestBed.inject(RunLogService);
+
+    runs.next([makeRun('new')]);
+
+    expect(service.entries.length).toBe(1000);
+    expect(service.entries[0].runId).toBe('new');
+    expect(service.entries[999].runId).toBe('old-998');
+  });
+
+  it('should keep the entries another tab logged since its last storage event', () => {
+    const service = TestBed.inject(RunLogService);
+    const theirs = { ...makeLogEntry('theirs'), openedAt: Date.now() + 60000 };
+    localStorage.setItem('google-pay-push.run-log', JSON.stringify({ entries: [theirs] }));
+
+    runs.next([makeRun('mine')]);
+
+    expect(service.entries.map(entry => entry.runId)).toEqual(['theirs', 'mine']);
+    expect(storedEntries().map(entry => entry.runId)).toEqual(['theirs', 'mine']);
+  });
+
+  it('should export the entries with IDs masked and debugInfo redacted', () => {
+    const service = TestBed.inject(RunLogService);
+    runs.next([makeRun('closed')]);
+
+    service.export(service.entries, 'json');
+    service.export(service.entries, 'csv');
+
+    const [json] = download.calls.argsFor(0);
+    const exported = JSON.parse(json.content)[0];
+    expect(json.filename).toBe('google-pay-push-run-log.json');
+    expect(exported.launchOptions.clientSessionId).toBe('••••7917');
+    expect(exported.debugInfo).toEqual({ walletId: REDACTED, region: 'eu' });
+    const [csv] = download.calls.argsFor(1);
+    expect(csv.filename).toBe('google-pay-push-run-log.csv');
+    expect(csv.content.split('\n')[0]).toBe(RUN_LOG_CSV_COLUMNS.join(','));
+    expect(csv.content).not.toContain('0476106612151453164217831917');
+  });
+
+  function makeLogEntry(runId: string): RunLogEntry {
+    return { runId, launchOptions: DEFAULT_LAUNCH_OPTIONS, outcome: 'success', errorCodes: [], openedAt: 0 };
+  }
+});
@@ -0,0 +1,108 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { toCsvField } from 'src/models/batch';
+import { isRunComplete } from 'src/models/run';
+import { RUN_LOG_CSV_COLUMNS, RunLogEntry, toRunLogCsvRow, toRunLogEntry } from 'src/models/run-log';
+import { FileDownloadService } from './file-download.service';
+import { HarnessTabService } from './harness-tab.service';
+import { RedactionService } from './redaction.service';
+import { RunStoreService } from './run-store.service';
+
+const STORAGE_KEY = 'google-pay-push.run-log';
+const MAX_ENTRIES = 1000;
+
+interface StoredRunLog {
+  entries: RunLogEntry[];
+  /** Runs opened before the log was last cleared are not logged again. */
+  clearedAt?: number;
+}
+
+/**
+ * Logs every run once its window has closed, newest first. The log follows
+ * the run store but keeps far more runs, without their messages, and keeps
+ * them after they are removed from the timeline. Replays are left out, since
+ * their timing is only a copy of the recorded run's. Each tab logs the runs it
+ * launched, and picks up what the other harness tabs log. New entries are
+ * merged into the stored log, so tabs logging at once keep each other's.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class RunLogService {
+  private readonly stored = this.load();
+  private readonly entriesSubject = new BehaviorSubject<RunLogEntry[]>(this.stored.entries);
+  private clearedAt = this.stored.clearedAt ?? 0;
+
+  constructor(
+    runStore: RunStoreService,
+    harnessTab: HarnessTabService,
+    private fileDownload: FileDownloadService,
+    private redaction: RedactionService
+  ) {
+    harnessTab.storageChanges(STORAGE_KEY).subscribe(() => {
+      const stored = this.load();
+      this.clearedAt = stored.clearedAt ?? 0;
+      this.entriesSubject.next(stored.entries);
+    });
+    runStore.runs$.subscribe(runs => {
+      // Another tab may have logged or cleared since its last storage event.
+      const stored = this.load();
+      this.clearedAt = stored.clearedAt ?? 0;
+      const logged = new Set(stored.entries.map(entry => entry.runId));
+      const added = runs
+        .filter(run => !run.replayed && (!run.tab || run.tab.id === harnessTab.tab.id))
+        .filter(run => isRunComplete(run) && !logged.has(run.id) && run.events[0].at > this.clearedAt)
+        .map(toRunLogEntry);
+      if (added.length) {
+        this.save([...added, ...stored.entries].sort((a, b) => b.openedAt - a.openedAt).slice(0, MAX_ENTRIES));
+      }
+    });
+  }
+
+  get entries$(): Observable<RunLogEntry[]> {
+    return this.entriesSubject.asObservable();
+  }
+
+  get entries(): RunLogEntry[] {
+    return this.entriesSubject.value;
+  }
+
+  clear(): void {
+    this.clearedAt = Date.now();
+    this.save([]);
+  }
+
+  /** Exports the entries with IDs and debugInfo redacted as configured. */
+  export(entries: RunLogEntry[], format: 'csv' | 'json'): void {
+    const redacted = this.redaction.redact(entries) as RunLogEntry[];
+    if (format === 'json') {
+      this.fileDownload.download({
+        filename: 'google-pay-push-run-log.json',
+        mimeType: 'application/json',
+        content: `${JSON.stringify(redacted, null, 2)}\n`
+      });
+      return;
+    }
+    const rows = redacted.map(toRunLogCsvRow).map(row => RUN_LOG_CSV_COLUMNS.map(column => toCsvField(row[column])).join(','));
+    this.fileDownload.download({
+      filename: 'google-pay-push-run-log.csv',
+      mimeType: 'text/csv',
+      content: [RUN_LOG_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+    });
+  }
+
+  private load(): StoredRunLog {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      return Array.isArray(stored?.entries) ? stored : { entries: [] };
+    } catch {
+      return { entries: [] };
+    }
+  }
+
+  private save(entries: RunLogEntry[]): void {
+    const stored: StoredRunLog = { entries, clearedAt: this.clearedAt || undefined };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    this.entriesSubject.next(entries);
+  }
+}
@@ -0,0 +1,115 @@
+import { TestBed } from '@angular/core/testing';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { getRunOutcome, isRunComplete } from 'src/models/run';
+import { HarnessTabService } from './harness-tab.service';
+import { MAX_RUN_MESSAGES, RunStoreService } from './run-store.service';
+
+describe('RunStoreService', () => {
+  let store: RunStoreService;
+
+  beforeEach(() => {
+    localStorage.removeItem('google-pay-push.runs');
+    TestBed.configureTestingModule({});
+    store = TestBed.inject(RunStoreService);
+  });
+
+  it('should start a run with an open event', () => {
+    const run = store.start(DEFAULT_LAUNCH_OPTIONS);
+
+    expect(run.events.map(event => event.type)).toEqual(['open']);
+    expect(store.runs).toEqual([run]);
+    expect(getRunOutcome(run)).toBe('pending');
+  });
+
+  it('should append events to the matching run only', () => {
+    const first = store.start(DEFAULT_LAUNCH_OPTIONS);
+    const second = store.start(DEFAULT_LAUNCH_OPTIONS);
+
+    store.record(first.id, 'ready', {});
+    store.record(first.id, 'failure', { errors: [{ errorCode: 'E1' }] });
+    store.record(first.id, 'finish', {});
+
+    const [latest, earlier] = store.runs;
+    expect(latest.id).toBe(second.id);
+    expect(latest.events.length).toBe(1);
+    expect(earlier.events.map(event => event.type)).toEqual(['open', 'ready', 'failure', 'finish']);
+    expect(getRunOutcome(earlier)).toBe('failure');
+    expect(isRunComplete(earlier)).toBeTrue();
+  });
+
+  it('should report a window closed before any outcome as cancelled', () => {
+    const run = store.start(DEFAULT_LAUNCH_OPTIONS);
+
+    store.record(run.id, 'cancel', {});
+
+    expect(getRunOutcome(store.runs[0])).toBe('cancelled');
+  });
+
+  it('should keep messages with the matching run and flag replays', () => {
+    const run = store.start(DEFAULT_LAUNCH_OPTIONS, true);
+    const other = store.start(DEFAULT_LAUNCH_OPTIONS);
+    const message = {
+      at: Date.now(),
+      origin: 'https://pay.sandbox.google.com',
+      expectedOrigin: 'https://pay.sandbox.google.com',
+      expectedAppWindowId: 'googlepay-webpp-v1_6-app-window-1',
+      data: { action: 'ready' }
+    };
+
+    store.recordMessage(run.id, message);
+
+    expect(store.runs.find(stored => stored.id === run.id)?.messages).toEqual([message]);
+    expect(store.runs.find(stored => stored.id === run.id)?.replayed).toBeTrue();
+    expect(store.runs.find(stored => stored.id === other.id)?.messages).toEqual([]);
+    expect(store.runs.find(stored => stored.id === other.id)?.replayed).toBeUndefined();
+  });
+
+  it('should stop writing once a run holds the most messages it keeps', () => {
+    const run = store.start(DEFAULT_LAUNCH_OPTIONS);
+    const message = { at: 0, origin: 'https://example.com', expectedOrigin: 'https://example.com', expectedAppWindowId: 'w', data: {} };
+    for (let i = 0; i < MAX_RUN_MESSAGES; i++) {
+      store.recordMessage(run.id, message);
+    }
+    spyOn(localStorage, 'setItem');
+
+    store.recordMessage(run.id, message);
+
+    expect(localStorage.setItem).not.toHaveBeenCalled();
+    expect(store.runs[0].messages?.length).toBe(MAX_RUN_MESSAGES);
+  });
+
+  it('should restore runs saved by a previous instance', () => {
+    const run = store.start(DEFAULT_LAUNCH_OPTIONS);
+
+    expect(new RunStoreService(TestBed.inject(HarnessTabService)).runs).toEqual([run]);
+  });
+
+  it('should keep the writes of another tab that it has not picked up yet', () => {
+    const otherTab = new RunStoreService(TestBed.inject(HarnessTabService));
+    const message = { at: 0, origin: 'https://example.com', expectedOrigin: 'https://example.com', expectedAppWindowId: 'w', data: {} };
+
+    const mine = store.start(DEFAULT_LAUNCH_OPTIONS);
+    const theirs = otherTab.start(DEFAULT_LAUNCH_OPTIONS);
+    store.record(mine.id, 'ready', {});
+    otherTab.recordMessage(theirs.id, message);
+    otherTab.record(theirs.id, 'ready', {});
+    store.recordMessage(mine.id, message);
+
+    const stored = new RunStoreService(TestBed.inject(HarnessTabService)).runs;
+    expect(stored.map(run => run.id)).toEqual([theirs.id, mine.id]);
+    expect(stored.map(run => run.events.map(event => event.type))).toEqual([['open', 'ready'], ['open', 'ready']]);
+    expect(stored.map(run => run.messages)).toEqual([[message], [message]]);
+    expect(store.runs).toEqual(stored);
+  });
+
+  it('should pick up runs that another tab records', () => {
+    const run = store.start(DEFAULT_LAUNCH_OPTIONS);
+    const otherTab = { ...run, id: 'other', tab: { id: 'other-tab', label: 'Tab OTHR' } };
+
+    localStorage.setItem('google-pay-push.runs', JSON.stringify([otherTab, run]));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'google-pay-push.runs', storageArea: localStorage }));
+
+    expect(store.runs).toEqual([otherTab, run]);
+    expect(run.tab).toEqual(TestBed.inject(HarnessTabService).tab);
+  });
+});
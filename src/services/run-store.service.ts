@@ -0,0 +1,91 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { LaunchOptions } from 'src/models/launch-options';
+import { Run, RunEventType, RunMessage } from 'src/models/run';
+import { HarnessTabService } from './harness-tab.service';
+
+const STORAGE_KEY = 'google-pay-push.runs';
+const MAX_RUNS = 50;
+export const MAX_RUN_MESSAGES = 200;
+
+/**
+ * Records the lifecycle events of every openAppWindow call, newest run
+ * first, and persists them to localStorage alongside the captured sessions.
+ * Runs launched in other harness tabs show up as they progress. Each change
+ * is applied to the stored runs rather than this tab's copy, which lags
+ * behind the other tabs' writes.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class RunStoreService {
+  private readonly runsSubject = new BehaviorSubject<Run[]>(this.load());
+
+  constructor(private harnessTab: HarnessTabService) {
+    harnessTab.storageChanges(STORAGE_KEY).subscribe(() => this.runsSubject.next(this.load()));
+  }
+
+  get runs$(): Observable<Run[]> {
+    return this.runsSubject.asObservable();
+  }
+
+  get runs(): Run[] {
+    return this.runsSubject.value;
+  }
+
+  /** Starts a run with its 'open' event stamped now. */
+  start(launchOptions: LaunchOptions, replayed = false): Run {
+    const at = Date.now();
+    const run: Run = {
+      id: `${at}-${Math.random().toString(36).slice(2, 8)}`,
+      launchOptions,
+      events: [{ type: 'open', at }],
+      messages: [],
+      ...(replayed ? { replayed } : {}),
+      tab: this.harnessTab.tab
+    };
+    this.save(runs => [run, ...runs].slice(0, MAX_RUNS));
+    return run;
+  }
+
+  record(runId: string, type: RunEventType, payload?: unknown): void {
+    const at = Date.now();
+    this.save(runs => runs.map(run => run.id === runId ? { ...run, events: [...run.events, { type, at, payload }] } : run));
+  }
+
+  /**
+   * Keeps the first MAX_RUN_MESSAGES messages of a run for its replay fixture.
+   * Past that, nothing is written, since every write reaches the other tabs.
+   */
+  recordMessage(runId: string, message: RunMessage): void {
+    const runs = this.load();
+    const run = runs.find(candidate => candidate.id === runId);
+    if (!run || (run.messages ?? []).length >= MAX_RUN_MESSAGES) {
+      return;
+    }
+    this.save(() => runs.map(candidate => candidate === run ? { ...run, messages: [...(run.messages ?? []), message] } : candidate));
+  }
+
+  remove(runId: string): void {
+    this.save(runs => runs.filter(run => run.id !== runId));
+  }
+
+  clear(): void {
+    this.save(() => []);
+  }
+
+  private load(): Run[] {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  private save(change: (stored: Run[]) => Run[]): void {
+    const runs = change(this.load());
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(runs));
+    this.runsSubject.next(runs);
+  }
+}
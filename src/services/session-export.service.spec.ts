@@ -0,0 +1,82 @@
+import { TestBed } from '@angular/core/testing';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { CapturedSession } from 'src/models/session';
+import { FileDownloadService } from './file-download.service';
+import { SessionExportService } from './session-export.service';
+
+describe('SessionExportService', () => {
+  let service: SessionExportService;
+
+  const makeSession = (serverSessionId: string): CapturedSession => ({
+    id: serverSessionId,
+    capturedAt: '2021-03-01T00:00:00.000Z',
+    launchOptions: DEFAULT_LAUNCH_OPTIONS,
+    payload: {
+      clientSessionId: `csid-${serverSessionId}`,
+      serverSessionId,
+      tokenSetting: '1',
+      cardSetting: '1',
+      publicDeviceId: `device-${serverSessionId}`,
+      publicWalletId: `wallet-${serverSessionId}`
+    }
+  });
+
+  beforeEach(() => {
+    localStorage.removeItem('google-pay-push.export-variable-names');
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(SessionExportService);
+  });
+
+  it('should use plain variable names for a single session', () => {
+    expect(service.toVariables([makeSession('1')])).toEqual({
+      clientSessionId: 'csid-1',
+      serverSessionId: '1',
+      publicDeviceId: 'device-1',
+      publicWalletId: 'wallet-1'
+    });
+  });
+
+  it('should suffix variable names when exporting several sessions', () => {
+    const variables = service.toVariables([makeSession('1'), makeSession('2')]);
+
+    expect(variables.serverSessionId_1).toBe('1');
+    expect(variables.serverSessionId_2).toBe('2');
+    expect(variables.serverSessionId).toBeUndefined();
+  });
+
+  it('should apply and persist configured variable names', () => {
+    service.variableNames = { ...service.variableNames, serverSessionId: 'SESSION_ID', clientSessionId: '' };
+
+    const variables = TestBed.inject(SessionExportService).toVariables([makeSession('1')]);
+    const restored = new SessionExportService(TestBed.inject(FileDownloadService)).variableNames;
+
+    expect(variables.SESSION_ID).toBe('1');
+    expect(variables.clientSessionId).toBeUndefined();
+    expect(restored.serverSessionId).toBe('SESSION_ID');
+  });
+
+  it('should build a Postman environment', () => {
+    const file = service.build('postman', [makeSession('1')]);
+    const environment = JSON.parse(file.content);
+
+    expect(file.filename).toMatch(/\.postman_environment\.json$/);
+    expect(environment._postman_variable_scope).toBe('environment');
+    expect(environment.values).toContain({ key: 'serverSessionId', value: '1', type: 'default', enabled: true });
+  });
+
+  it('should build a karate-config.js function', () => {
+    const file = service.build('karate-js', [makeSession('1')]);
+
+    expect(file.filename).toBe('karate-config.js');
+    expect(file.content).toContain('function fn() {');
+    expect(file.content).toContain('"serverSessionId": "1"');
+    expect(file.content).toContain('return config;');
+  });
+
+  it('should build a dotenv file', () => {
+    const file = service.build('dotenv', [makeSession('1')]);
+
+    expect(file.content).toContain('serverSessionId=1\n');
+    expect(file.content).toContain('publicWalletId=wallet-1\n');
+  });
+});
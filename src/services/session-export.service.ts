@@ -0,0 +1,123 @@
+import { Injectable } from '@angular/core';
+import { CapturedSession } from 'src/models/session';
+import {
+  DEFAULT_EXPORT_VARIABLE_NAMES,
+  EXPORT_FIELDS,
+  ExportFile,
+  ExportFormat,
+  ExportVariableNames,
+  VARIABLE_NAME_PATTERN
+} from 'src/models/session-export';
+import { FileDownloadService } from './file-download.service';
+
+const STORAGE_KEY = 'google-pay-push.export-variable-names';
+
+/**
+ * Turns captured sessions into files for the tools testers paste session IDs
+ * into. A single session exports plain variable names; several sessions get
+ * a 1-based suffix per session (serverSessionId_1, serverSessionId_2, ...).
+ * IDs are exported raw whatever the redaction settings, since the tools need
+ * the real values.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class SessionExportService {
+  private names: ExportVariableNames = this.loadVariableNames();
+
+  constructor(private fileDownload: FileDownloadService) {}
+
+  get variableNames(): ExportVariableNames {
+    return { ...this.names };
+  }
+
+  set variableNames(names: ExportVariableNames) {
+    this.names = { ...names };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.names));
+  }
+
+  build(format: ExportFormat, sessions: CapturedSession[]): ExportFile {
+    const variables = this.toVariables(sessions);
+    switch (format) {
+      case 'postman':
+        return {
+          filename: 'google-pay-push.postman_environment.json',
+          mimeType: 'application/json',
+          content: this.toPostmanEnvironment(variables)
+        };
+      case 'karate-js':
+        return {
+          filename: 'karate-config.js',
+          mimeType: 'text/javascript',
+          content: `function fn() {\n  var config = ${this.indent(JSON.stringify(variables, null, 2))};\n  return config;\n}\n`
+        };
+      case 'karate-json':
+        return {
+          filename: 'google-pay-push.karate.json',
+          mimeType: 'application/json',
+          content: `${JSON.stringify(variables, null, 2)}\n`
+        };
+      case 'dotenv':
+        return {
+          filename: 'google-pay-push.env',
+          mimeType: 'text/plain',
+          content: Object.entries(variables).map(([name, value]) => `${name}=${this.quoteDotenv(value)}\n`).join('')
+        };
+    }
+  }
+
+  download(format: ExportFormat, sessions: CapturedSession[]): void {
+    this.fileDownload.download(this.build(format, sessions));
+  }
+
+  /** Flattens sessions into name/value pairs using the configured names. */
+  toVariables(sessions: CapturedSession[]): Record<string, string> {
+    const variables: Record<string, string> = {};
+    sessions.forEach((session, index) => {
+      const suffix = sessions.length > 1 ? `_${index + 1}` : '';
+      for (const field of EXPORT_FIELDS) {
+        const name = this.names[field];
+        const value = session.payload[field];
+        if (name && value !== undefined) {
+          variables[`${name}${suffix}`] = value;
+        }
+      }
+    });
+    return variables;
+  }
+
+  private toPostmanEnvironment(variables: Record<string, string>): string {
+    const environment = {
+      id: crypto.randomUUID(),
+      name: 'google-pay-push sessions',
+      values: Object.entries(variables).map(([key, value]) => ({ key, value, type: 'default', enabled: true })),
+      _postman_variable_scope: 'environment',
+      _postman_exported_at: new Date().toISOString(),
+      _postman_exported_using: 'google-pay-push'
+    };
+    return `${JSON.stringify(environment, null, 2)}\n`;
+  }
+
+  private quoteDotenv(value: string): string {
+    return /^[\w.-]*$/.test(value) ? value : JSON.stringify(value);
+  }
+
+  private indent(json: string): string {
+    return json.replace(/\n/g, '\n  ');
+  }
+
+  private loadVariableNames(): ExportVariableNames {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      const names = { ...DEFAULT_EXPORT_VARIABLE_NAMES };
+      for (const field of EXPORT_FIELDS) {
+        if (typeof stored[field] === 'string' && (stored[field] === '' || VARIABLE_NAME_PATTERN.test(stored[field]))) {
+          names[field] = stored[field];
+        }
+      }
+      return names;
+    } catch {
+      return { ...DEFAULT_EXPORT_VARIABLE_NAMES };
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import { TestBed } from '@angular/core/testing';
+import { SessionCreatedPayload } from 'src/models/google-pay';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { HarnessTabService } from './harness-tab.service';
+import { SessionStoreService } from './session-store.service';
+
+describe('SessionStoreService', () => {
+  const payload: SessionCreatedPayload = {
+    clientSessionId: '0476106612151453164217831917',
+    serverSessionId: '1234567890',
+    tokenSetting: '1',
+    cardSetting: '0',
+    publicDeviceId: 'device-1',
+    publicWalletId: 'wallet-1'
+  };
+
+  beforeEach(() => {
+    localStorage.removeItem('google-pay-push.sessions');
+    TestBed.configureTestingModule({});
+  });
+
+  it('should add sessions newest first', () => {
+    const store = TestBed.inject(SessionStoreService);
+
+    const first = store.add(DEFAULT_LAUNCH_OPTIONS, payload);
+    const second = store.add(DEFAULT_LAUNCH_OPTIONS, { ...payload, serverSessionId: '2' });
+
+    expect(store.sessions.map(session => session.id)).toEqual([second.id, first.id]);
+    expect(second.launchOptions).toEqual(DEFAULT_LAUNCH_OPTIONS);
+  });
+
+  it('should restore sessions saved by a previous instance', () => {
+    const saved = new SessionStoreService(TestBed.inject(HarnessTabService)).add(DEFAULT_LAUNCH_OPTIONS, payload);
+
+    const store = TestBed.inject(SessionStoreService);
+
+    expect(store.sessions).toEqual([saved]);
+  });
+
+  it('should remember the tab that captured a session', () => {
+    const session = TestBed.inject(SessionStoreService).add(DEFAULT_LAUNCH_OPTIONS, payload);
+
+    expect(session.tab).toEqual(TestBed.inject(HarnessTabService).tab);
+  });
+
+  it('should pick up sessions captured in another tab', () => {
+    const store = TestBed.inject(SessionStoreService);
+    const other = { ...store.add(DEFAULT_LAUNCH_OPTIONS, payload), id: 'other', tab: { id: 'other-tab', label: 'Tab OTHR' } };
+
+    localStorage.setItem('google-pay-push.sessions', JSON.stringify([other]));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'google-pay-push.sessions', storageArea: localStorage }));
+
+    expect(store.sessions).toEqual([other]);
+  });
+
+  it('should keep the writes of another tab that it has not picked up yet', () => {
+    const store = TestBed.inject(SessionStoreService);
+    const otherTab = new SessionStoreService(TestBed.inject(HarnessTabService));
+
+    const mine = store.add(DEFAULT_LAUNCH_OPTIONS, payload);
+    const theirs = otherTab.add(DEFAULT_LAUNCH_OPTIONS, { ...payload, serverSessionId: '2' });
+    const webhook = (status: number) => ({ url: 'https://issuer.example/hook', sentAt: 0, status, statusText: '', body: '' });
+    otherTab.update(theirs.id, { webhook: webhook(500) });
+    store.update(mine.id, { webhook: webhook(200) });
+
+    const stored = new SessionStoreService(TestBed.inject(HarnessTabService)).sessions;
+    expect(stored.map(session => [session.id, session.webhook?.status])).toEqual([[theirs.id, 500], [mine.id, 200]]);
+    expect(store.sessions).toEqual(stored);
+  });
+
+  it('should remove and clear sessions', () => {
+    const store = TestBed.inject(SessionStoreService);
+    const first = store.add(DEFAULT_LAUNCH_OPTIONS, payload);
+    const second = store.add(DEFAULT_LAUNCH_OPTIONS, payload);
+
+    store.remove(first.id);
+    expect(store.sessions).toEqual([second]);
+
+    store.clear();
+    expect(store.sessions).toEqual([]);
+  });
+
+  it('should ignore corrupt stored history', () => {
+    localStorage.setItem('google-pay-push.sessions', '{not json');
+
+    expect(TestBed.inject(SessionStoreService).sessions).toEqual([]);
+  });
+});
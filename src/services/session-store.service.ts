@@ -0,0 +1,74 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { LaunchOptions } from 'src/models/launch-options';
+import { SessionCreatedPayload } from 'src/models/google-pay';
+import { CapturedSession } from 'src/models/session';
+import { HarnessTabService } from './harness-tab.service';
+
+const STORAGE_KEY = 'google-pay-push.sessions';
+const MAX_SESSIONS = 50;
+
+/**
+ * Keeps every captured onSessionCreated payload, newest first, and persists
+ * the history to localStorage so it survives reloads. The history is shared
+ * with the other harness tabs, which pick up each change. Each change is
+ * applied to the stored history rather than this tab's copy, which lags
+ * behind the other tabs' writes.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class SessionStoreService {
+  private readonly sessionsSubject = new BehaviorSubject<CapturedSession[]>(this.load());
+
+  constructor(private harnessTab: HarnessTabService) {
+    harnessTab.storageChanges(STORAGE_KEY).subscribe(() => this.sessionsSubject.next(this.load()));
+  }
+
+  get sessions$(): Observable<CapturedSession[]> {
+    return this.sessionsSubject.asObservable();
+  }
+
+  get sessions(): CapturedSession[] {
+    return this.sessionsSubject.value;
+  }
+
+  add(launchOptions: LaunchOptions, payload: SessionCreatedPayload): CapturedSession {
+    const session: CapturedSession = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      capturedAt: new Date().toISOString(),
+      launchOptions,
+      payload,
+      tab: this.harnessTab.tab
+    };
+    this.save(sessions => [session, ...sessions].slice(0, MAX_SESSIONS));
+    return session;
+  }
+
+  update(id: string, changes: Partial<CapturedSession>): void {
+    this.save(sessions => sessions.map(session => session.id === id ? { ...session, ...changes } : session));
+  }
+
+  remove(id: string): void {
+    this.save(sessions => sessions.filter(session => session.id !== id));
+  }
+
+  clear(): void {
+    this.save(() => []);
+  }
+
+  private load(): CapturedSession[] {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  private save(change: (stored: CapturedSession[]) => CapturedSession[]): void {
+    const sessions = change(this.load());
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+    this.sessionsSubject.next(sessions);
+  }
+}
@@ -1,22 +1,172 @@
 import { Injectable } from "@angular/core";
+import { defer, Observable } from 'rxjs';
+import { catchError, finalize, tap } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+import {
+    GooglePayAppOptions,
+    GooglePayEvent,
+    MessageDiagnostic,
+    OptionLintFinding,
+    SessionCreatedPayload
+} from 'src/models/google-pay';
+import { LaunchOptions } from 'src/models/launch-options';
+import { ReplayFixture } from 'src/models/replay-fixture';
+import { Run } from 'src/models/run';
+import { ClientSessionIdService } from './client-session-id.service';
+import { GooglePayService } from './google-pay.service';
+import { LaunchLockService } from './launch-lock.service';
+import { MessageInspectorService } from './message-inspector.service';
+import { RedactionService } from './redaction.service';
+import { RunStoreService } from './run-store.service';
+import { SessionStoreService } from './session-store.service';
+import { WebhookService } from './webhook.service';
 
 @Injectable({
     providedIn: 'root'
 })
 export class UtilsService {
-    openAppWindow() {
-        (window as any).googlepay.openAppWindow({
-            integratorId: 'CAPITALONE_1',
-            isTestEnvironment: true,
-            tokenSetting: 1,
-            cardSetting: 1,
-            hl: 'en-US',
-            onReady: () => {
-                console.debug("ready hook fired");
-            },
-            onSessionCreated: (payload: any) => {
-                console.debug("session created hook fired", payload);
+    constructor(
+        private googlePay: GooglePayService,
+        private sessionStore: SessionStoreService,
+        private runStore: RunStoreService,
+        private messageInspector: MessageInspectorService,
+        private webhook: WebhookService,
+        private clientSessionIds: ClientSessionIdService,
+        private redaction: RedactionService,
+        private launchLock: LaunchLockService
+    ) {}
+
+    /**
+     * Launches the app window with the given options, recording every event
+     * and message in the run timeline and every created session in the
+     * session history. Errors with a GooglePayError if openAppWindow throws.
+     * Holds the cross-tab launch lock until the run ends, but does not check
+     * it; callers warn about another tab's lock before launching.
+     * A clientSessionId is generated on each subscription if the options have
+     * none and auto-generation is turned on.
+     */
+    openAppWindow(options: LaunchOptions): Observable<GooglePayEvent> {
+        return defer(() => {
+            const launchOptions = this.clientSessionIds.fill(options);
+            return this.launch(launchOptions, false, onMessageDiagnostic =>
+                this.googlePay.open(this.toAppOptions(launchOptions), onMessageDiagnostic));
+        });
+    }
+
+    /**
+     * Replays a saved fixture with the launch options it was recorded with.
+     * The run is recorded like any other, but created sessions are not
+     * captured again or forwarded to the webhook.
+     */
+    replayFixture(fixture: ReplayFixture): Observable<GooglePayEvent> {
+        return this.launch(fixture.launchOptions, true, onMessageDiagnostic =>
+            this.googlePay.replay(this.toAppOptions(fixture.launchOptions), fixture, onMessageDiagnostic));
+    }
+
+    closeAppWindow(): void {
+        this.googlePay.close();
+    }
+
+    /** What the library's strictOptions mode would say about the options. */
+    lintOptions(options: LaunchOptions): OptionLintFinding[] {
+        return this.googlePay.lint(this.toAppOptions(options));
+    }
+
+    private launch(
+        options: LaunchOptions,
+        replayed: boolean,
+        open: (onMessageDiagnostic: (diagnostic: MessageDiagnostic) => void) => Observable<GooglePayEvent>
+    ): Observable<GooglePayEvent> {
+        return defer(() => {
+            const run = this.runStore.start(options, replayed);
+            if (!replayed) {
+                this.launchLock.acquire(run.id);
             }
+            return open(diagnostic => this.recordMessage(run, diagnostic)).pipe(
+                tap(event => {
+                    console.debug(`${event.type} hook fired`, this.redaction.redact(event.payload));
+                    this.runStore.record(run.id, event.type, event.payload);
+                    if (event.type === 'sessionCreated' && !replayed) {
+                        this.captureSession(options, event.payload);
+                    }
+                }),
+                catchError(error => {
+                    // Nothing was opened, so there is no run to show.
+                    this.runStore.remove(run.id);
+                    throw error;
+                }),
+                finalize(() => this.launchLock.release(run.id))
+            );
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * Keeps an accepted message for the run's replay fixture, and shows every
+     * message in the inspector if enabled. Rejected messages, e.g. from another
+     * origin, are not part of what the app window sent.
+     */
+    private recordMessage(run: Run, diagnostic: MessageDiagnostic): void {
+        if (diagnostic.accepted) {
+            this.runStore.recordMessage(run.id, {
+                at: diagnostic.timeStamp,
+                origin: diagnostic.origin,
+                expectedOrigin: diagnostic.expectedOrigin,
+                expectedAppWindowId: diagnostic.expectedAppWindowId,
+                data: diagnostic.data
+            });
+        }
+        if (this.messageInspector.enabled) {
+            this.messageInspector.add(diagnostic);
+        }
+    }
+
+    /**
+     * Adds a created session to the history and, if the webhook is enabled,
+     * forwards it to the issuer backend and stores the response with it.
+     */
+    private captureSession(options: LaunchOptions, payload: SessionCreatedPayload): void {
+        const session = this.sessionStore.add(options, payload);
+        if (this.webhook.config.enabled) {
+            this.webhook.forward(session).subscribe(result => this.sessionStore.update(session.id, { webhook: result }));
+        }
+    }
+
+    private toAppOptions(options: LaunchOptions): GooglePayAppOptions {
+        return {
+            apiVersion: options.apiVersion || undefined,
+            integratorId: options.integratorId,
+            isTestEnvironment: options.isTestEnvironment,
+            tokenSetting: options.tokenSetting,
+            cardSetting: options.cardSetting,
+            clientSessionId: options.clientSessionId || undefined,
+            hl: options.hl || undefined,
+            contentHeight: options.contentHeight ?? undefined,
+            contentWidth: options.contentWidth ?? undefined,
+            readyTimeoutMs: options.readyTimeoutMs,
+            sessionCreatedTimeoutMs: options.sessionCreatedTimeoutMs,
+            outcomeTimeoutMs: options.outcomeTimeoutMs,
+            closeOnTimeout: options.closeOnTimeout,
+            strictOptions: options.strictOptions,
+            windowSizePreset: options.windowSizePreset || undefined,
+            windowPlacement: options.windowPlacement,
+            windowLeft: options.windowLeft ?? undefined,
+            windowTop: options.windowTop ?? undefined,
+            popupBlockedPrompt: options.popupBlockedPrompt,
+            ...this.getMockAppWindowOptions(options)
+        };
+    }
+
+    /**
+     * Points the library at the local mock app window when the launch options
+     * ask for it. The harness origin is passed as the trusted appOrigin.
+     */
+    private getMockAppWindowOptions(options: LaunchOptions): { appOrigin?: string, appUrlPath?: string } {
+        if (!options.useMockAppWindow) {
+            return {};
+        }
+        return {
+            appOrigin: window.location.origin,
+            appUrlPath: environment.mockAppWindow.urlPath
+        };
+    }
+}
@@ -0,0 +1,78 @@
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { TestBed } from '@angular/core/testing';
+import { DEFAULT_LAUNCH_OPTIONS } from 'src/models/launch-options';
+import { CapturedSession } from 'src/models/session';
+import { DEFAULT_WEBHOOK_CONFIG, renderWebhookBody, toWebhookVariables, WebhookResult } from 'src/models/webhook';
+import { WebhookService } from './webhook.service';
+
+describe('WebhookService', () => {
+  const session: CapturedSession = {
+    id: '1',
+    capturedAt: '2021-03-01T00:00:00.000Z',
+    launchOptions: DEFAULT_LAUNCH_OPTIONS,
+    payload: { clientSessionId: 'c"1', serverSessionId: 's1', tokenSetting: '1', cardSetting: '1' }
+  };
+
+  let service: WebhookService;
+  let http: HttpTestingController;
+
+  beforeEach(() => {
+    localStorage.removeItem('google-pay-push.webhook');
+    TestBed.configureTestingModule({ imports: [HttpClientTestingModule] });
+    service = TestBed.inject(WebhookService);
+    http = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => http.verify());
+
+  it('should render placeholders as escaped JSON string content', () => {
+    const body = renderWebhookBody('{"id": "{{ serverSessionId }}", "csid": "{{clientSessionId}}"}',
+      toWebhookVariables(DEFAULT_LAUNCH_OPTIONS, session.payload));
+
+    expect(body).toEqual({ id: 's1', csid: 'c"1' });
+    expect(() => renderWebhookBody('{"x": "{{nope}}"}', toWebhookVariables(DEFAULT_LAUNCH_OPTIONS, session.payload)))
+      .toThrowError(/Unknown placeholder/);
+  });
+
+  it('should reject placeholders named after inherited object members', () => {
+    const variables = toWebhookVariables(DEFAULT_LAUNCH_OPTIONS, session.payload);
+
+    expect(() => renderWebhookBody('{"x": "{{constructor}}"}', variables)).toThrowError(/Unknown placeholder {{constructor}}/);
+    expect(() => renderWebhookBody('{"x": "{{ toString }}"}', variables)).toThrowError(/Unknown placeholder {{ toString }}/);
+  });
+
+  it('should POST the rendered body with the configured headers', () => {
+    service.config = { ...DEFAULT_WEBHOOK_CONFIG, enabled: true, headers: 'X-Api-Key: secret' };
+    let result: WebhookResult | undefined;
+
+    service.forward(session).subscribe(forwarded => result = forwarded);
+    const request = http.expectOne(DEFAULT_WEBHOOK_CONFIG.url);
+    request.flush('{"pushed": true}', { status: 202, statusText: 'Accepted' });
+
+    expect(request.request.method).toBe('POST');
+    expect(request.request.headers.get('X-Api-Key')).toBe('secret');
+    expect(request.request.body.serverSessionId).toBe('s1');
+    expect(result?.status).toBe(202);
+    expect(result?.body).toBe('{"pushed": true}');
+  });
+
+  it('should report error responses in the result', () => {
+    let result: WebhookResult | undefined;
+
+    service.forward(session).subscribe(forwarded => result = forwarded);
+    http.expectOne(DEFAULT_WEBHOOK_CONFIG.url).flush('unknown session', { status: 404, statusText: 'Not Found' });
+
+    expect(result?.status).toBe(404);
+    expect(result?.body).toBe('unknown session');
+    expect(result?.error).toBeDefined();
+  });
+
+  it('should report template errors without sending', () => {
+    service.config = { ...DEFAULT_WEBHOOK_CONFIG, bodyTemplate: '{not json' };
+    let result: WebhookResult | undefined;
+
+    service.forward(session).subscribe(forwarded => result = forwarded);
+
+    expect(result?.error).toMatch(/not valid JSON/);
+  });
+});
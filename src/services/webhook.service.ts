@@ -0,0 +1,82 @@
+import { HttpClient, HttpErrorResponse, HttpHeaders } from '@angular/common/http';
+import { Injectable } from '@angular/core';
+import { Observable, of } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { CapturedSession } from 'src/models/session';
+import {
+  DEFAULT_WEBHOOK_CONFIG,
+  parseWebhookHeaders,
+  renderWebhookBody,
+  toWebhookVariables,
+  WebhookConfig,
+  WebhookResult
+} from 'src/models/webhook';
+
+const STORAGE_KEY = 'google-pay-push.webhook';
+
+/**
+ * POSTs captured sessions to the configured issuer backend endpoint. The
+ * endpoint must allow the harness origin via CORS, or be reached through the
+ * dev server proxy.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class WebhookService {
+  private currentConfig: WebhookConfig = this.load();
+
+  constructor(private http: HttpClient) {}
+
+  get config(): WebhookConfig {
+    return { ...this.currentConfig };
+  }
+
+  set config(config: WebhookConfig) {
+    this.currentConfig = { ...config };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.currentConfig));
+  }
+
+  /**
+   * Sends the session and emits the outcome once. Template and header errors
+   * and failed requests are reported in the result rather than thrown.
+   */
+  forward(session: CapturedSession): Observable<WebhookResult> {
+    const { url, headers, bodyTemplate } = this.currentConfig;
+    const sentAt = Date.now();
+    const failed = (error: string, status = 0, statusText = '', responseBody = ''): WebhookResult =>
+      ({ url, sentAt, status, statusText, body: responseBody, error });
+
+    let body: unknown;
+    let httpHeaders: HttpHeaders;
+    try {
+      body = renderWebhookBody(bodyTemplate, toWebhookVariables(session.launchOptions, session.payload));
+      httpHeaders = new HttpHeaders(parseWebhookHeaders(headers));
+    } catch (error) {
+      return of(failed(error instanceof Error ? error.message : String(error)));
+    }
+
+    return this.http.post(url, body, { headers: httpHeaders, observe: 'response', responseType: 'text' }).pipe(
+      map((response): WebhookResult => ({
+        url,
+        sentAt,
+        status: response.status,
+        statusText: response.statusText,
+        body: response.body ?? ''
+      })),
+      catchError((error: HttpErrorResponse) => of(failed(
+        error.message,
+        error.status,
+        error.statusText,
+        typeof error.error === 'string' ? error.error : ''
+      )))
+    );
+  }
+
+  private load(): WebhookConfig {
+    try {
+      return { ...DEFAULT_WEBHOOK_CONFIG, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+      return { ...DEFAULT_WEBHOOK_CONFIG };
+    }
+  }
+}